@@ -2,72 +2,276 @@
  * API module for handling user profile data
  */
 
+// The browser loads the dependencies as earlier scripts (see index.html); Node requires them
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, {
+        ...require('./storage.js'),
+        ...require('./transport.js'),
+        ...require('./events.js'),
+        ...require('./avatars.js'),
+        ResponseCache: require('./cache.js'),
+        LiveUpdateClient: require('./live-updates.js'),
+        RecommendationEngine: require('./recommendations.js')
+    });
+}
+
 class UserAPI {
-    constructor() {
-        this.baseURL = 'https://jsonplaceholder.typicode.com'; // Mock API for demo
-        this.cache = new Map();
-        this.subscribers = new Set();
+    /**
+     * @param {Object} options - Optional settings
+     * @param {Object} options.transport - Transport used for requests (see transport.js);
+     *   defaults to HttpTransport against the JSONPlaceholder demo API
+     * @param {Object} options.resilience - Retry and circuit breaker settings for ResilientTransport
+     * @param {Object} options.cache - ResponseCache settings (maxEntries, ttls, defaultTtl, staleTtl)
+     * @param {boolean} options.staleWhileRevalidate - Serve expired profiles immediately and refresh
+     *   them in the background (default true)
+     * @param {EventBus} options.events - Event bus to publish on (see events.js); defaults to a private bus
+     * @param {Array<Object>} options.avatarProviders - Avatar providers tried in order (see avatars.js);
+     *   defaults to the uploaded avatar, then offline initials
+     * @param {Function} options.isReadOnly - Returns true while profile changes must be refused,
+     *   e.g. when support staff are impersonating a user
+     * @param {RecommendationEngine} options.recommender - Product scoring (see recommendations.js)
+     * @param {ProductCatalogAPI} options.catalog - Source of the products to recommend;
+     *   defaults to the bundled fixture catalog
+     */
+    constructor(options = {}) {
+        const transport = options.transport || new HttpTransport({
+            baseURL: 'https://jsonplaceholder.typicode.com' // Mock API for demo
+        });
+        this.transport = new ResilientTransport(transport, options.resilience);
+        this.cache = new ResponseCache({
+            maxEntries: 50,
+            ttls: {
+                user_: 5 * 60 * 1000,
+                recommendations_: 2 * 60 * 1000
+            },
+            ...options.cache
+        });
+        this.staleWhileRevalidate = options.staleWhileRevalidate !== false;
+        this.revalidating = new Set();
+        this.inFlight = new Map();
+        this.liveUpdates = null;
+        this.events = options.events || new EventBus();
+        this.editableProfileFields = ['name', 'email', 'phone', 'website', 'company'];
+        // Fields a `profile:updated` live message may change
+        this.liveProfileFields = [...this.editableProfileFields, 'username', 'lastSeen'];
+        this.avatarSizes = [80, 160, 320];
+        this.avatarTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+        this.maxAvatarBytes = 5 * 1024 * 1024;
+        this.avatarProviders = options.avatarProviders || [new UploadedAvatarProvider(), new InitialsAvatarProvider()];
+        this.isReadOnly = options.isReadOnly || (() => false);
+        this.recommender = options.recommender || new RecommendationEngine();
+        this.catalog = options.catalog || new ProductCatalogAPI();
+        // Optimistic profile edits per user: confirmed profile, pending edits and send queue
+        this.profileEdits = new Map();
+
+        // Republish circuit breaker changes for components showing service health
+        this.transport.subscribe(status => this.events.emit('service:status', status));
+    }
+
+    /**
+     * Send a request through the transport. Concurrent identical GETs share one
+     * underlying request; it is cancelled only once every caller has aborted.
+     * @param {string} path - Request path
+     * @param {Object} options - Transport request options; `signal` aborts only this caller
+     * @returns {Promise<any>} Parsed response body
+     */
+    request(path, options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        if (method !== 'GET') {
+            return this.transport.request(path, options);
+        }
+
+        const key = `${path}?${JSON.stringify(options.query || {})}`;
+        let pending = this.inFlight.get(key);
+        if (!pending) {
+            const controller = new AbortController();
+            pending = { key, controller, waiters: 0, settled: false };
+            pending.promise = this.transport.request(path, { ...options, signal: controller.signal });
+            pending.promise
+                .catch(() => {}) // Failures are delivered to each waiter below
+                .finally(() => {
+                    pending.settled = true;
+                    if (this.inFlight.get(key) === pending) {
+                        this.inFlight.delete(key);
+                    }
+                });
+            this.inFlight.set(key, pending);
+        }
+
+        return this.joinInFlight(pending, options.signal);
+    }
+
+    /**
+     * Wait on a shared in-flight request on behalf of one caller
+     * @param {Object} pending - Registry entry for the shared request
+     * @param {AbortSignal} signal - The caller's abort signal
+     * @returns {Promise<any>} Parsed response body
+     */
+    joinInFlight(pending, signal) {
+        return new Promise((resolve, reject) => {
+            const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+            if (signal?.aborted) {
+                reject(abortError());
+                return;
+            }
+
+            pending.waiters += 1;
+            let done = false;
+
+            const leave = () => {
+                done = true;
+                pending.waiters -= 1;
+                signal?.removeEventListener('abort', onAbort);
+            };
+
+            const onAbort = () => {
+                if (done) return;
+                leave();
+                reject(abortError());
+
+                // Last caller gone: cancel the shared request and stop sharing it
+                if (pending.waiters === 0 && !pending.settled) {
+                    pending.controller.abort();
+                    if (this.inFlight.get(pending.key) === pending) {
+                        this.inFlight.delete(pending.key);
+                    }
+                }
+            };
+
+            signal?.addEventListener('abort', onAbort);
+
+            pending.promise.then(
+                (data) => {
+                    if (done) return;
+                    leave();
+                    resolve(data);
+                },
+                (error) => {
+                    if (done) return;
+                    leave();
+                    reject(error);
+                }
+            );
+        });
     }
 
     /**
      * Fetch user profile data from the backend API
      * @param {number} userId - The user ID to fetch
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Aborts this call
      * @returns {Promise<Object>} User profile data
      */
-    async fetchUserProfile(userId = 1) {
+    async fetchUserProfile(userId, { signal } = {}) {
+        if (!userId) {
+            throw new Error('A user ID is required to fetch a profile.');
+        }
+
         try {
-            // Check cache first
-            const cacheKey = `user_${userId}`;
-            if (this.cache.has(cacheKey)) {
-                return this.cache.get(cacheKey);
+            // Check cache first; in stale-while-revalidate mode an expired
+            // profile is returned right away and refreshed in the background
+            const cached = this.cache.peek(`user_${userId}`);
+            if (cached && !cached.isStale) {
+                return cached.value;
             }
-
-            // Fetch from API
-            const response = await fetch(`${this.baseURL}/users/${userId}`);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            if (cached && this.staleWhileRevalidate) {
+                this.revalidateUserProfile(userId);
+                return cached.value;
             }
 
-            const userData = await response.json();
-            
-            // Transform the data to match our profile structure
-            const profileData = {
-                id: userData.id,
-                name: userData.name,
-                email: userData.email,
-                avatar: this.generateAvatarURL(userData.name), // Generate avatar URL
-                username: userData.username,
-                phone: userData.phone,
-                website: userData.website,
-                company: userData.company?.name || '',
-                lastUpdated: new Date().toISOString()
-            };
-
-            // Cache the result
-            this.cache.set(cacheKey, profileData);
-            
-            return profileData;
+            return await this.requestUserProfile(userId, signal);
         } catch (error) {
+            if (error.name === 'AbortError') throw error;
             console.error('Error fetching user profile:', error);
             throw new Error('Failed to fetch user profile. Please try again later.');
         }
     }
 
     /**
-     * Generate avatar URL using a service like Gravatar or UI Avatars
-     * @param {string} name - User's name
-     * @returns {string} Avatar URL
+     * Fetch a profile from the backend and cache it
+     * @param {number} userId - The user ID to fetch
+     * @param {AbortSignal} signal - Optional abort signal
+     * @returns {Promise<Object>} User profile data
+     */
+    async requestUserProfile(userId, signal) {
+        const userData = await this.request(`/users/${userId}`, { signal });
+        const profileData = this.toProfileData(userData);
+
+        // Cache the result
+        this.cache.set(`user_${userId}`, profileData, { tags: [`user:${userId}`, 'profile'] });
+
+        return profileData;
+    }
+
+    /**
+     * List users for the support staff switcher
+     * @returns {Promise<Array<{id: number, name: string, email: string}>>} Users
+     */
+    async fetchUsers() {
+        const cached = this.cache.get('users_list');
+        if (cached) return cached;
+
+        try {
+            const users = await this.request('/users');
+            const list = users.map(user => ({ id: user.id, name: user.name, email: user.email }));
+            this.cache.set('users_list', list, { tags: ['users'] });
+            return list;
+        } catch (error) {
+            console.error('Error fetching users:', error);
+            throw new Error('Failed to fetch users. Please try again later.');
+        }
+    }
+
+    /**
+     * Transform a backend user record to match our profile structure
+     * @param {Object} userData - User record from the API
+     * @returns {Object} Profile data
+     */
+    toProfileData(userData) {
+        const profileData = {
+            id: userData.id,
+            name: userData.name,
+            email: userData.email,
+            avatarSizes: userData.avatar || null,
+            username: userData.username,
+            phone: userData.phone,
+            website: userData.website,
+            company: userData.company?.name || '',
+            lastSeen: userData.lastSeen || null,
+            lastUpdated: new Date().toISOString()
+        };
+        return { ...profileData, ...this.resolveAvatar(profileData) };
+    }
+
+    /**
+     * Refresh a stale profile in the background and publish the fresh data
+     * @param {number} userId - The user ID to refresh
+     */
+    revalidateUserProfile(userId) {
+        if (this.revalidating.has(userId)) return;
+        this.revalidating.add(userId);
+
+        this.requestUserProfile(userId)
+            .then(profileData => this.events.emit('profile:updated', profileData))
+            .catch(error => console.warn('Background profile refresh failed:', error))
+            .finally(() => this.revalidating.delete(userId));
+    }
+
+    /**
+     * Pick a profile's avatar from the provider chain
+     * @param {Object} profileData - Profile data
+     * @returns {{avatar: string, avatarFallbacks: Array<string>}} First available URL, and the
+     *   remaining ones to try if it fails to load
      */
-    generateAvatarURL(name) {
-        // Using UI Avatars service for demo - generates avatar based on initials
-        const initials = name
-            .split(' ')
-            .map(word => word.charAt(0).toUpperCase())
-            .join('')
-            .substring(0, 2);
-        
-        return `https://ui-avatars.com/api/?name=${encodeURIComponent(name)}&size=80&background=667eea&color=ffffff&bold=true`;
+    resolveAvatar(profileData) {
+        const urls = this.avatarProviders
+            .map(provider => provider.getURL(profileData))
+            .filter(Boolean);
+
+        return {
+            avatar: urls[0] || this.getDefaultAvatar(),
+            avatarFallbacks: urls.slice(1)
+        };
     }
 
     /**
@@ -79,192 +283,467 @@ class UserAPI {
     }
 
     /**
-     * Update user profile data
+     * Validate editable profile fields
+     * @param {Object} profileData - Values for any of the editable profile fields
+     * @returns {Object<string, string>} Error message per invalid field; empty when valid
+     */
+    validateProfileData(profileData) {
+        const errors = {};
+        const value = field => String(profileData[field] ?? '').trim();
+
+        if ('name' in profileData) {
+            if (!value('name')) {
+                errors.name = 'Name is required.';
+            } else if (value('name').length > 100) {
+                errors.name = 'Name must be 100 characters or fewer.';
+            }
+        }
+
+        if ('email' in profileData && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value('email'))) {
+            errors.email = 'Enter a valid email address.';
+        }
+
+        if ('phone' in profileData && value('phone') && !/^[0-9+()\-.\s]{7,20}(\s*(x|ext\.?)\s*\d{1,6})?$/i.test(value('phone'))) {
+            errors.phone = 'Enter a valid phone number.';
+        }
+
+        if ('website' in profileData && value('website')
+            && !/^(https?:\/\/)?[a-z0-9-]+(\.[a-z0-9-]+)+(\/\S*)?$/i.test(value('website'))) {
+            errors.website = 'Enter a valid website, e.g. example.com.';
+        }
+
+        if ('company' in profileData && value('company').length > 100) {
+            errors.company = 'Company must be 100 characters or fewer.';
+        }
+
+        return errors;
+    }
+
+    /**
+     * List the editable fields that differ between a profile and edited values
+     * @param {Object} profileData - Current profile
+     * @param {Object} editedData - Edited values; surrounding whitespace is ignored
+     * @returns {Array<{field: string, from: string, to: string}>} Changed fields
+     */
+    diffProfile(profileData, editedData) {
+        return this.editableProfileFields
+            .filter(field => field in editedData)
+            .map(field => ({
+                field,
+                from: String(profileData[field] ?? ''),
+                to: String(editedData[field] ?? '').trim()
+            }))
+            .filter(change => change.from !== change.to);
+    }
+
+    /**
+     * Update user profile data. Only the given fields are sent (PATCH semantics).
+     *
+     * The change is applied optimistically: the cached profile is updated and
+     * `profile:updated` published before the request is sent. Edits for a user
+     * are sent one at a time in the order they were made, so a slow earlier
+     * response cannot overwrite a later edit. If a request fails, its change is
+     * rolled back (later pending edits stay applied) and the rolled-back profile
+     * is published again.
+     * Rejections carry `fieldErrors` when the backend reports invalid fields.
+     * Changes are refused while `isReadOnly()` is true.
      * @param {number} userId - The user ID
-     * @param {Object} profileData - Updated profile data
+     * @param {Object} changes - Changed profile fields, e.g. `{ email, company }`
      * @returns {Promise<Object>} Updated profile data
      */
-    async updateUserProfile(userId, profileData) {
-        try {
-            const response = await fetch(`${this.baseURL}/users/${userId}`, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(profileData)
-            });
+    updateUserProfile(userId, changes) {
+        if (this.isReadOnly()) {
+            return Promise.reject(new Error('Profiles are read-only while you are viewing as another user.'));
+        }
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
+        let edits = this.profileEdits.get(userId);
+        if (!edits) {
+            edits = {
+                confirmed: this.cache.peek(`user_${userId}`)?.value || null,
+                pending: [],
+                queue: Promise.resolve()
+            };
+            this.profileEdits.set(userId, edits);
+        }
+
+        const edit = { changes };
+        edits.pending.push(edit);
+        this.applyProfileEdits(userId, edits);
+
+        const result = edits.queue.then(() => this.sendProfileEdit(userId, edits, edit));
+        edits.queue = result.catch(() => {}); // Keep the queue going after a failure
+        return result;
+    }
+
+    /**
+     * Send one queued profile edit and settle the optimistic state
+     * @param {number} userId - The user ID
+     * @param {Object} edits - Confirmed profile and pending edits for the user
+     * @param {Object} edit - The edit to send
+     * @returns {Promise<Object>} Profile with every still-pending edit applied
+     */
+    async sendProfileEdit(userId, edits, edit) {
+        // The backend nests the company name in an object and stores avatar sizes as `avatar`
+        const body = { ...edit.changes };
+        if ('company' in body) {
+            body.company = { name: body.company };
+        }
+        if ('avatarSizes' in body) {
+            body.avatar = body.avatarSizes;
+            delete body.avatarSizes;
+        }
 
-            const updatedData = await response.json();
-            
-            // Update cache
-            const cacheKey = `user_${userId}`;
-            const cachedData = this.cache.get(cacheKey) || {};
-            const mergedData = {
-                ...cachedData,
-                ...updatedData,
-                lastUpdated: new Date().toISOString()
+        let failure = null;
+        try {
+            const updatedData = await this.request(`/users/${userId}`, {
+                method: 'PATCH',
+                body
+            });
+            edits.confirmed = {
+                ...edits.confirmed,
+                ...this.toProfileData(updatedData)
             };
-            
-            this.cache.set(cacheKey, mergedData);
-            
-            // Notify subscribers of the update
-            this.notifySubscribers(mergedData);
-            
-            return mergedData;
         } catch (error) {
             console.error('Error updating user profile:', error);
+            failure = error;
+        }
+
+        // Drop this edit; on failure that rolls its change back
+        edits.pending = edits.pending.filter(item => item !== edit);
+        const profileData = this.applyProfileEdits(userId, edits);
+        if (!edits.pending.length && this.profileEdits.get(userId) === edits) {
+            this.profileEdits.delete(userId);
+        }
+
+        if (failure) {
+            const fieldErrors = failure.body?.errors;
+            if ((failure.status === 400 || failure.status === 422) && fieldErrors) {
+                const validationError = new Error('Please correct the highlighted fields.');
+                validationError.fieldErrors = fieldErrors;
+                throw validationError;
+            }
             throw new Error('Failed to update user profile. Please try again later.');
         }
+        return profileData;
     }
 
     /**
-     * Subscribe to profile updates for real-time notifications
-     * @param {Function} callback - Callback function to call when profile updates
+     * Cache and publish the confirmed profile with all pending edits applied
+     * @param {number} userId - The user ID
+     * @param {Object} edits - Confirmed profile and pending edits for the user
+     * @returns {Object|null} Displayed profile, or null when no profile is loaded
      */
-    subscribe(callback) {
-        this.subscribers.add(callback);
-        
-        // Return unsubscribe function
-        return () => {
-            this.subscribers.delete(callback);
-        };
+    applyProfileEdits(userId, edits) {
+        if (!edits.confirmed) return null;
+
+        const profileData = edits.pending.reduce(
+            (profile, edit) => ({ ...profile, ...edit.changes }),
+            { ...edits.confirmed }
+        );
+        Object.assign(profileData, this.resolveAvatar(profileData));
+        profileData.lastUpdated = new Date().toISOString();
+
+        this.cache.set(`user_${userId}`, profileData, { tags: [`user:${userId}`, 'profile'] });
+        this.events.emit('profile:updated', profileData);
+        return profileData;
     }
 
     /**
-     * Notify all subscribers of profile updates
-     * @param {Object} profileData - Updated profile data
+     * Check an image file before it is cropped and uploaded as an avatar
+     * @param {File} file - Selected or dropped file
+     * @returns {string|null} Error message, or null when the file is acceptable
      */
-    notifySubscribers(profileData) {
-        this.subscribers.forEach(callback => {
-            try {
-                callback(profileData);
-            } catch (error) {
-                console.error('Error in subscriber callback:', error);
-            }
-        });
+    validateAvatarFile(file) {
+        if (!file) {
+            return 'Choose an image to upload.';
+        }
+        if (!this.avatarTypes.includes(file.type)) {
+            return 'Avatar must be a JPEG, PNG, WebP or GIF image.';
+        }
+        if (file.size > this.maxAvatarBytes) {
+            return `Avatar must be ${Math.round(this.maxAvatarBytes / (1024 * 1024))} MB or smaller.`;
+        }
+        return null;
     }
 
     /**
-     * Fetch personalized product recommendations based on user profile and browsing history
+     * Save an uploaded avatar. Goes through the same optimistic, ordered update
+     * path as other profile edits.
      * @param {number} userId - The user ID
-     * @param {Array<number>} browsingHistory - Array of recently viewed product IDs
-     * @returns {Promise<Array>} Array of recommended product objects
+     * @param {Object<string, string>|null} avatarSizes - Image URLs keyed by pixel size
+     *   (`80`, `160`, `320`), or null to go back to the generated avatar
+     * @returns {Promise<Object>} Updated profile data
      */
-    async fetchRecommendations(userId, browsingHistory = []) {
-        try {
-            const cacheKey = `recommendations_${userId}_${browsingHistory.slice(0, 3).join('_')}`;
-            if (this.cache.has(cacheKey)) {
-                return this.cache.get(cacheKey);
-            }
+    uploadAvatar(userId, avatarSizes) {
+        return this.updateUserProfile(userId, { avatarSizes });
+    }
 
-            // Fetch user profile and mock product posts in parallel
-            const [userProfile, postsResponse] = await Promise.all([
-                this.fetchUserProfile(userId),
-                fetch(`${this.baseURL}/posts?_limit=20`)
-            ]);
+    /**
+     * Report backend health as seen by the circuit breakers
+     * @returns {{degraded: boolean, endpoints: Array<Object>}} Service status
+     */
+    getServiceStatus() {
+        return this.transport.getStatus();
+    }
 
-            if (!postsResponse.ok) {
-                throw new Error(`HTTP error! status: ${postsResponse.status}`);
+    /**
+     * Fetch one page of personalized product recommendations based on browsing
+     * history. Every product is ranked once per history and cached, so later pages
+     * and filter changes only filter, sort and slice that ranking.
+     * @param {number|null} userId - The user ID, or null for signed-out visitors
+     * @param {Array<number|{productId: number, weight: number}>} browsingHistory - Recently
+     *   viewed product IDs, or weighted views from BrowsingHistoryTracker.getWeightedHistory()
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Aborts this call
+     * @param {Array<Array<number>>} options.coViewHistories - Other shoppers' browsing
+     *   histories, used for "viewed together" signals
+     * @param {Array<string>} options.searches - Recent search queries, most recent first
+     * @param {Array<number>} options.wishlist - Product IDs the user saved (see WishlistAPI)
+     * @param {Object} options.filters - Product filters (see filterRecommendations)
+     * @param {string} options.sort - `relevance`, `price-asc`, `price-desc`, `rating` or `reviews`
+     * @param {number} options.offset - Products to skip
+     * @param {number} options.limit - Page size; defaults to the recommender's limit
+     * @returns {Promise<Array>} Recommended products, each with a `score` and a `reason`;
+     *   a page shorter than `limit` is the last one
+     */
+    async fetchRecommendations(userId, browsingHistory = [], {
+        signal,
+        coViewHistories = [],
+        searches = [],
+        wishlist = [],
+        filters = {},
+        sort = 'relevance',
+        offset = 0,
+        limit = this.recommender.limit
+    } = {}) {
+        try {
+            // Every ranking signal is part of the key, hashed to keep it short. Weights
+            // are rounded so that time decay alone does not re-rank between pages.
+            const signals = this.hashSignals([
+                browsingHistory.map(item => (typeof item === 'number'
+                    ? item
+                    : [item.productId, Number(item.weight.toFixed(2))])),
+                coViewHistories,
+                searches,
+                wishlist
+            ]);
+            const cacheKey = `recommendations_${userId || 'guest'}_${signals}`;
+            let ranked = this.cache.get(cacheKey);
+
+            if (!ranked) {
+                const products = await this.catalog.listProducts({ signal });
+
+                ranked = this.recommender.recommend(products, {
+                    history: browsingHistory,
+                    coViewHistories,
+                    searches,
+                    wishlist,
+                    limit: Infinity
+                });
+
+                const owner = userId || 'guest';
+                this.cache.set(cacheKey, ranked, {
+                    tags: [`user:${owner}`, 'recommendations', `recommendations:${owner}`]
+                });
             }
 
-            const posts = await postsResponse.json();
-
-            // Map posts to mock product objects with categories, prices, and ratings
-            const categories = ['Electronics', 'Clothing', 'Books', 'Sports', 'Home & Kitchen', 'Beauty', 'Toys', 'Automotive'];
-            const products = posts.map((post, index) => {
-                const category = categories[index % categories.length];
-                const basePrice = 9.99 + (post.id * 3.7) % 190;
-                const rating = 3.0 + (post.id % 20) * 0.1;
-                return {
-                    id: post.id,
-                    title: this.truncateText(post.title, 50),
-                    description: this.truncateText(post.body, 100),
-                    category,
-                    price: parseFloat(basePrice.toFixed(2)),
-                    rating: parseFloat(rating.toFixed(1)),
-                    reviewCount: 10 + (post.id * 7) % 490,
-                    image: `https://picsum.photos/seed/product${post.id}/200/200`,
-                    badge: index < 3 ? 'Top Pick' : index < 6 ? 'New' : null
-                };
-            });
-
-            // Personalize: boost products whose category matches the browsing history
-            const historySet = new Set(browsingHistory);
-            const historyCategories = new Set(
-                products
-                    .filter(p => historySet.has(p.id))
-                    .map(p => p.category)
-            );
-
-            const personalized = products
-                .map(product => ({
-                    ...product,
-                    score: historyCategories.has(product.category)
-                        ? 2 + product.rating
-                        : product.rating
-                }))
-                .sort((a, b) => b.score - a.score)
-                .slice(0, 8);
-
-            this.cache.set(cacheKey, personalized);
-            return personalized;
+            // Products only carry the category name, so chips given as slugs need the category list
+            const categories = filters.categories?.length
+                ? await this.catalog.listCategories({ signal })
+                : [];
+            const matching = this.filterRecommendations(ranked, filters, categories);
+            return this.sortRecommendations(matching, sort).slice(offset, offset + limit);
         } catch (error) {
+            if (error.name === 'AbortError') throw error;
             console.error('Error fetching recommendations:', error);
             throw new Error('Failed to fetch recommendations. Please try again later.');
         }
     }
 
     /**
-     * Truncate text to a maximum character length
-     * @param {string} text - Source text
-     * @param {number} maxLen - Maximum length before truncation
-     * @returns {string} Truncated text
+     * Short, stable digest of JSON-serializable data for cache keys (53-bit cyrb53)
+     * @param {any} value - Data to digest
+     * @returns {string} Base-36 hash
+     */
+    hashSignals(value) {
+        const text = JSON.stringify(value);
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ code, 2654435761);
+            h2 = Math.imul(h2 ^ code, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+    }
+
+    /**
+     * Keep the recommendations that pass every filter
+     * @param {Array<Object>} products - Ranked products
+     * @param {Object} filters - Filters; missing or empty values match everything
+     * @param {Array<string>} filters.categories - Category slugs; a product must be in one of them
+     * @param {number|null} filters.minPrice - Lowest price
+     * @param {number|null} filters.maxPrice - Highest price
+     * @param {number} filters.minRating - Lowest rating
+     * @param {Array<{slug: string, name: string}>} categories - Catalog categories
+     * @returns {Array<Object>} Matching products in their original order
+     */
+    filterRecommendations(products, { categories: slugs = [], minPrice = null, maxPrice = null, minRating = 0 } = {}, categories = []) {
+        const names = new Set(categories
+            .filter(category => slugs.includes(category.slug))
+            .map(category => category.name));
+
+        return products.filter(product => {
+            return (!slugs.length || names.has(product.category))
+                && (minPrice == null || product.price >= minPrice)
+                && (maxPrice == null || product.price <= maxPrice)
+                && product.rating >= (minRating || 0);
+        });
+    }
+
+    /**
+     * Order recommendations; `relevance` keeps the recommender's ranking
+     * @param {Array<Object>} products - Ranked products
+     * @param {string} sort - `relevance`, `price-asc`, `price-desc`, `rating` or `reviews`
+     * @returns {Array<Object>} Sorted copy; ties keep their ranked order
+     */
+    sortRecommendations(products, sort = 'relevance') {
+        const compare = {
+            'price-asc': (a, b) => a.price - b.price,
+            'price-desc': (a, b) => b.price - a.price,
+            rating: (a, b) => b.rating - a.rating || b.reviewCount - a.reviewCount,
+            reviews: (a, b) => b.reviewCount - a.reviewCount
+        }[sort];
+
+        return compare ? [...products].sort(compare) : [...products];
+    }
+
+    /**
+     * Products related to one product, for "customers also viewed" lists
+     * @param {number} productId - Product being viewed
+     * @param {Object} options - Request options
+     * @param {Array<Array<number>>} options.coViewHistories - Other shoppers' browsing histories
+     * @param {number} options.limit - Maximum number of products
+     * @param {AbortSignal} options.signal - Aborts this call
+     * @returns {Promise<Array>} Related products, each with a `score` and a `reason`
      */
-    truncateText(text, maxLen) {
-        if (!text) return '';
-        return text.length > maxLen ? text.substring(0, maxLen).trimEnd() + '...' : text;
+    async fetchRelatedProducts(productId, { coViewHistories = [], limit = 4, signal } = {}) {
+        try {
+            const products = await this.catalog.listProducts({ signal });
+            const product = products.find(item => item.id === productId);
+            if (!product) return [];
+
+            return this.recommender.related(product, products, { coViewHistories, limit });
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error('Error fetching related products:', error);
+            throw new Error('Failed to fetch related products. Please try again later.');
+        }
     }
 
     /**
-     * Clear cache for a specific user or all users
+     * Clear cache for a specific user (profile and recommendations) or all users
      * @param {number} userId - Optional user ID to clear specific cache
      */
     clearCache(userId = null) {
         if (userId) {
-            this.cache.delete(`user_${userId}`);
+            this.invalidateTag(`user:${userId}`);
         } else {
+            const keys = this.cache.keys();
             this.cache.clear();
+            this.events.emit('cache:invalidated', { tags: [], prefix: null, keys });
         }
     }
 
     /**
-     * Simulate real-time updates (for demo purposes)
-     * In a real application, this would be handled by WebSockets or Server-Sent Events
+     * Drop cached entries carrying a tag. Profiles are tagged `user:<id>` and
+     * `profile`; recommendations `user:<id>`, `recommendations` and
+     * `recommendations:<id>` (`guest` stands in for signed-out visitors).
+     * @param {string} tag - Tag to invalidate
+     * @returns {Array<string>} Removed cache keys
      */
-    simulateRealTimeUpdates() {
-        // Simulate a profile update every 30 seconds for demo
-        setInterval(async () => {
-            try {
-                const currentProfile = this.cache.get('user_1');
-                if (currentProfile) {
-                    // Simulate a small change (like last seen time)
-                    const updatedProfile = {
-                        ...currentProfile,
-                        lastSeen: new Date().toISOString(),
-                        lastUpdated: new Date().toISOString()
-                    };
-                    
-                    this.cache.set('user_1', updatedProfile);
-                    this.notifySubscribers(updatedProfile);
+    invalidateTag(tag) {
+        const keys = this.cache.invalidateTag(tag);
+        this.events.emit('cache:invalidated', { tags: [tag], prefix: null, keys });
+        return keys;
+    }
+
+    /**
+     * Drop cached entries whose key starts with a prefix, e.g. `recommendations_`
+     * @param {string} prefix - Cache key prefix
+     * @returns {Array<string>} Removed cache keys
+     */
+    invalidatePrefix(prefix) {
+        const keys = this.cache.invalidatePrefix(prefix);
+        this.events.emit('cache:invalidated', { tags: [], prefix, keys });
+        return keys;
+    }
+
+    /**
+     * Connect to a live update server and republish its messages on the event bus
+     * @param {Object} options - LiveUpdateClient settings; `url` is required
+     * @returns {LiveUpdateClient} The connected client
+     */
+    connectLiveUpdates(options) {
+        this.disconnectLiveUpdates();
+
+        this.liveUpdates = new LiveUpdateClient({
+            topics: ['profile:updated', 'order:status', 'recommendation:new'],
+            ...options
+        });
+        this.liveUpdates.onMessage(message => this.handleLiveMessage(message));
+        this.liveUpdates.connect();
+        return this.liveUpdates;
+    }
+
+    /**
+     * Close the live update connection, if any
+     */
+    disconnectLiveUpdates() {
+        if (this.liveUpdates) {
+            this.liveUpdates.disconnect();
+            this.liveUpdates = null;
+        }
+    }
+
+    /**
+     * Apply a live update message to the cache and publish it on the event bus
+     * @param {{type: string, payload: Object}} message - Parsed message
+     */
+    handleLiveMessage({ type, payload = {} }) {
+        switch (type) {
+            case 'profile:updated': {
+                // Only merge into profiles we hold; a partial payload is not a full profile
+                const userId = payload.id;
+                const cached = this.cache.peek(`user_${userId}`);
+                if (!cached) return;
+
+                const changes = {};
+                this.liveProfileFields
+                    .filter(field => field in payload)
+                    .forEach(field => { changes[field] = payload[field]; });
+
+                // The pushed change becomes the confirmed profile, so pending edits stay
+                // applied on top of it and rolling one back does not undo it
+                const edits = this.profileEdits.get(userId);
+                if (edits) {
+                    edits.confirmed = { ...(edits.confirmed || cached.value), ...changes };
                 }
-            } catch (error) {
-                console.error('Error in simulated real-time update:', error);
+                this.applyProfileEdits(userId, edits || { confirmed: { ...cached.value, ...changes }, pending: [] });
+                break;
             }
-        }, 30000); // 30 seconds
+            case 'recommendation:new':
+                this.invalidateTag(`recommendations:${payload.userId || 'guest'}`);
+                this.events.emit(type, payload);
+                break;
+            case 'order:status':
+                this.events.emit(type, payload);
+                break;
+            default:
+                console.warn('Ignoring unknown live update type:', type);
+        }
     }
 }
 
@@ -273,12 +752,132 @@ class UserAPI {
  * Data is persisted locally to simulate backend behavior.
  */
 class RegistrationAPI {
-    constructor() {
+    /**
+     * @param {Object} options - Optional settings
+     * @param {number} options.passwordHashIterations - PBKDF2 iteration count for new hashes
+     * @param {Object} options.storage - Storage adapter (see storage.js); defaults to localStorage
+     * @param {EventBus} options.events - Event bus for `auth:changed` (see events.js); defaults to a private bus
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || new LocalStorageAdapter();
         this.usersDbKey = 'secure_users_db_v1';
         this.auditLogKey = 'registration_audit_log_v1';
         this.emailOutboxKey = 'registration_email_outbox_v1';
+        this.sessionKey = 'secure_session_v1';
+        this.schemaVersionKey = 'secure_users_db_schema_version';
+        this.backupKeyPrefix = 'secure_users_db_backup_v';
         this.verificationTokenPrefix = 'verify_';
         this.resetTokenPrefix = 'reset_';
+        this.sessionTokenPrefix = 'session_';
+        this.sessionTtlMs = 30 * 60 * 1000;
+        this.events = options.events || new EventBus();
+        this.passwordHashIterations = options.passwordHashIterations || 210000;
+        // Set when stored accounts could not be upgraded; account changes are then refused
+        this.migrationError = null;
+
+        // Ordered upgrade steps for stored user records. Append new steps with the
+        // next version number; never edit a step that has already shipped.
+        this.migrations = [
+            {
+                version: 2,
+                description: 'Add roles to user records',
+                up: users => users.map(user => ({
+                    ...user,
+                    roles: Array.isArray(user.roles) ? user.roles : ['customer']
+                }))
+            },
+            {
+                version: 3,
+                description: 'Add session fields to user records',
+                up: users => users.map(user => ({
+                    ...user,
+                    lastLoginAt: user.lastLoginAt || null
+                }))
+            }
+        ];
+        this.schemaVersion = this.migrations[this.migrations.length - 1].version;
+    }
+
+    /**
+     * Resolve once the storage adapter can serve reads. A failed migration does not
+     * reject: it is kept in `migrationError` and the stored accounts become read-only,
+     * so the rest of the dashboard still starts.
+     * @returns {Promise<Object|null>} Migration summary from runMigrations()
+     */
+    ready() {
+        return this.storage.ready().then(() => {
+            try {
+                return this.runMigrations();
+            } catch (error) {
+                console.error('User database migration failed; account changes are disabled:', error);
+                this.migrationError = error;
+                return null;
+            }
+        });
+    }
+
+    /**
+     * Detect the schema version of the stored user database
+     * @returns {number|null} Stored version, or null when nothing has been stored yet
+     */
+    getStoredSchemaVersion() {
+        const version = this.readJson(this.schemaVersionKey, null);
+        if (version) return Number(version);
+
+        // Databases written before versioning was introduced are version 1
+        return this.storage.getItem(this.usersDbKey) ? 1 : null;
+    }
+
+    /**
+     * Upgrade stored user records to the current schema version.
+     * The previous payload is backed up before the upgraded records are saved.
+     * @returns {{fromVersion: number, toVersion: number, applied: Array<string>}|null}
+     *   Migration summary, or null when already up to date
+     */
+    runMigrations() {
+        const fromVersion = this.getStoredSchemaVersion();
+        if (fromVersion === null) {
+            this.writeJson(this.schemaVersionKey, this.schemaVersion);
+            return null;
+        }
+
+        if (fromVersion > this.schemaVersion) {
+            throw new Error(`Stored user database version ${fromVersion} is newer than supported version ${this.schemaVersion}.`);
+        }
+
+        const pending = this.migrations.filter(migration => migration.version > fromVersion);
+        if (!pending.length) return null;
+
+        const previousUsers = this.getUsers();
+        let users = previousUsers;
+        try {
+            pending.forEach(migration => {
+                users = migration.up(users);
+            });
+        } catch (error) {
+            this.logActivity('SCHEMA_MIGRATION_FAILED', {
+                fromVersion,
+                error: error.message
+            });
+            throw error;
+        }
+
+        const backupKey = `${this.backupKeyPrefix}${fromVersion}`;
+        this.writeJson(backupKey, {
+            version: fromVersion,
+            backedUpAt: new Date().toISOString(),
+            users: previousUsers
+        });
+        this.saveUsers(users);
+        this.writeJson(this.schemaVersionKey, this.schemaVersion);
+
+        const summary = {
+            fromVersion,
+            toVersion: this.schemaVersion,
+            applied: pending.map(migration => migration.description)
+        };
+        this.logActivity('SCHEMA_MIGRATED', { ...summary, backupKey });
+        return summary;
     }
 
     /**
@@ -345,39 +944,142 @@ class RegistrationAPI {
     }
 
     /**
-     * Hash password before storing it
+     * Hash password before storing it using salted PBKDF2-SHA256
+     * @param {string} password - Plain text password
+     * @param {string} salt - Hex-encoded salt; a random 16-byte salt is generated when omitted
+     * @param {number} iterations - PBKDF2 iteration count
+     * @returns {Promise<string>} Versioned hash in the form `pbkdf2$iterations$salt$hash`
+     */
+    async hashPassword(password, salt = this.createSalt(), iterations = this.passwordHashIterations) {
+        const encoder = new TextEncoder();
+        const keyMaterial = await crypto.subtle.importKey(
+            'raw',
+            encoder.encode(password),
+            'PBKDF2',
+            false,
+            ['deriveBits']
+        );
+        const hashBuffer = await crypto.subtle.deriveBits(
+            {
+                name: 'PBKDF2',
+                hash: 'SHA-256',
+                salt: this.hexToBytes(salt),
+                iterations
+            },
+            keyMaterial,
+            256
+        );
+        return `pbkdf2$${iterations}$${salt}$${this.bytesToHex(new Uint8Array(hashBuffer))}`;
+    }
+
+    /**
+     * Hash password with the original unsalted SHA-256 scheme.
+     * Only used to verify records created before PBKDF2 hashing.
      * @param {string} password - Plain text password
      * @returns {Promise<string>} SHA-256 hash
      */
-    async hashPassword(password) {
+    async hashPasswordLegacy(password) {
         const encoder = new TextEncoder();
-        const data = encoder.encode(password);
-        const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-        const bytes = Array.from(new Uint8Array(hashBuffer));
-        return bytes.map(byte => byte.toString(16).padStart(2, '0')).join('');
+        const hashBuffer = await crypto.subtle.digest('SHA-256', encoder.encode(password));
+        return this.bytesToHex(new Uint8Array(hashBuffer));
     }
 
     /**
-     * Register a user and send a verification email
-     * @param {Object} input - Registration form input
-     * @param {number} captchaAnswer - User CAPTCHA answer
-     * @param {number} captchaExpected - Expected CAPTCHA answer
-     * @returns {Promise<{user: Object, verificationToken: string}>}
+     * Check a password against a stored hash of either format
+     * @param {string} password - Plain text password
+     * @param {string} storedHash - Stored password hash
+     * @returns {Promise<{isValid: boolean, needsRehash: boolean}>}
      */
-    async registerUser(input, captchaAnswer, captchaExpected) {
-        const errors = this.validateRegistrationData(input, captchaAnswer, captchaExpected);
-        if (errors.length) {
-            this.logActivity('REGISTRATION_FAILED', {
-                email: input.email,
-                errors
-            });
-            throw new Error(errors.join(' | '));
+    async verifyPassword(password, storedHash) {
+        const parts = String(storedHash || '').split('$');
+        if (parts[0] === 'pbkdf2') {
+            const iterations = Number(parts[1]);
+            // A record that cannot be parsed never matches any password
+            if (parts.length !== 4 || !Number.isInteger(iterations) || iterations < 1 || !/^[0-9a-f]+$/i.test(parts[2])) {
+                return { isValid: false, needsRehash: false };
+            }
+            try {
+                const candidate = await this.hashPassword(password, parts[2], iterations);
+                return {
+                    isValid: this.timingSafeEqual(candidate, storedHash),
+                    needsRehash: iterations < this.passwordHashIterations
+                };
+            } catch {
+                return { isValid: false, needsRehash: false };
+            }
         }
 
-        const users = this.getUsers();
-        const now = new Date().toISOString();
-        const userId = users.length ? Math.max(...users.map(user => user.id)) + 1 : 1;
-        const passwordHash = await this.hashPassword(input.password);
+        const legacyHash = await this.hashPasswordLegacy(password);
+        return {
+            isValid: this.timingSafeEqual(legacyHash, String(storedHash || '')),
+            needsRehash: true
+        };
+    }
+
+    /**
+     * Compare two strings without exiting early on the first mismatch
+     * @param {string} a - First value
+     * @param {string} b - Second value
+     * @returns {boolean} Whether both strings are equal
+     */
+    timingSafeEqual(a, b) {
+        if (a.length !== b.length) return false;
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) {
+            diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        }
+        return diff === 0;
+    }
+
+    /**
+     * Generate a random hex-encoded salt
+     * @param {number} byteLength - Salt length in bytes
+     * @returns {string} Hex salt
+     */
+    createSalt(byteLength = 16) {
+        return this.bytesToHex(crypto.getRandomValues(new Uint8Array(byteLength)));
+    }
+
+    /**
+     * Encode bytes as a lowercase hex string
+     * @param {Uint8Array} bytes - Raw bytes
+     * @returns {string} Hex string
+     */
+    bytesToHex(bytes) {
+        return Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Decode a hex string into bytes
+     * @param {string} hex - Hex string
+     * @returns {Uint8Array} Raw bytes
+     */
+    hexToBytes(hex) {
+        const pairs = String(hex).match(/.{1,2}/g) || [];
+        return new Uint8Array(pairs.map(pair => parseInt(pair, 16)));
+    }
+
+    /**
+     * Register a user and send a verification email
+     * @param {Object} input - Registration form input
+     * @param {number} captchaAnswer - User CAPTCHA answer
+     * @param {number} captchaExpected - Expected CAPTCHA answer
+     * @returns {Promise<{user: Object, verificationToken: string}>}
+     */
+    async registerUser(input, captchaAnswer, captchaExpected) {
+        const errors = this.validateRegistrationData(input, captchaAnswer, captchaExpected);
+        if (errors.length) {
+            this.logActivity('REGISTRATION_FAILED', {
+                email: input.email,
+                errors
+            });
+            throw new Error(errors.join(' | '));
+        }
+
+        const users = this.getUsers();
+        const now = new Date().toISOString();
+        const userId = users.length ? Math.max(...users.map(user => user.id)) + 1 : 1;
+        const passwordHash = await this.hashPassword(input.password);
         const verificationToken = this.createToken(this.verificationTokenPrefix, input.email);
 
         const userRecord = {
@@ -390,6 +1092,8 @@ class RegistrationAPI {
             verificationToken,
             resetToken: null,
             resetTokenExpiry: null,
+            roles: ['customer'],
+            lastLoginAt: null,
             createdAt: now,
             updatedAt: now
         };
@@ -532,6 +1236,250 @@ class RegistrationAPI {
         return this.publicUser(users[index]);
     }
 
+    /**
+     * Sign in with email and password and start a new session
+     * @param {string} email - Account email
+     * @param {string} password - Plain-text password
+     * @returns {Promise<{token: string, user: Object, expiresAt: number}>} Active session
+     */
+    async login(email, password) {
+        const users = this.getUsers();
+        const normalizedEmail = String(email || '').toLowerCase().trim();
+        const index = users.findIndex(user => user.email === normalizedEmail);
+
+        let isValid = false;
+        let needsRehash = false;
+        if (index === -1) {
+            // Hash anyway so response time does not reveal which accounts exist
+            await this.hashPassword(String(password || ''));
+        } else {
+            ({ isValid, needsRehash } = await this.verifyPassword(String(password || ''), users[index].passwordHash));
+        }
+
+        if (!isValid) {
+            this.logActivity('LOGIN_FAILED', {
+                email: normalizedEmail,
+                reason: index === -1 ? 'unknown_email' : 'wrong_password'
+            });
+            throw new Error('Invalid email or password.');
+        }
+
+        if (!users[index].isEmailVerified) {
+            this.logActivity('LOGIN_FAILED', {
+                userId: users[index].id,
+                reason: 'email_not_verified'
+            });
+            throw new Error('Please verify your email before signing in.');
+        }
+
+        // Upgraded here so the new hash is saved with the rest of the sign-in
+        if (needsRehash) {
+            users[index].passwordHash = await this.hashPassword(String(password));
+            this.logActivity('PASSWORD_HASH_UPGRADED', {
+                userId: users[index].id,
+                iterations: this.passwordHashIterations
+            });
+        }
+
+        const now = Date.now();
+        const session = {
+            token: this.createToken(this.sessionTokenPrefix, normalizedEmail),
+            userId: users[index].id,
+            createdAt: new Date(now).toISOString(),
+            lastActivityAt: now,
+            expiresAt: now + this.sessionTtlMs
+        };
+
+        users[index].lastLoginAt = session.createdAt;
+        this.saveUsers(users);
+        this.writeJson(this.sessionKey, session);
+
+        this.logActivity('LOGIN_SUCCESS', {
+            userId: users[index].id,
+            email: normalizedEmail
+        });
+
+        const activeSession = this.toPublicSession(session, users[index]);
+        this.events.emit('auth:changed', { session: activeSession, reason: 'login' });
+        return activeSession;
+    }
+
+    /**
+     * End the current session, if any
+     */
+    logout() {
+        const session = this.readJson(this.sessionKey, null);
+        if (!session) return;
+
+        this.removeJson(this.sessionKey);
+        this.logActivity('LOGOUT', { userId: session.userId });
+        this.events.emit('auth:changed', { session: null, reason: 'logout' });
+    }
+
+    /**
+     * Return the active session, renewing its expiry on every successful read
+     * (sliding expiration). Expired or orphaned sessions are cleared.
+     * @returns {{token: string, user: Object, expiresAt: number}|null} Active session
+     */
+    getCurrentSession() {
+        const active = this.readActiveSession();
+        if (!active) return null;
+
+        const { session, user } = active;
+        const now = Date.now();
+        session.lastActivityAt = now;
+        session.expiresAt = now + this.sessionTtlMs;
+        this.writeJson(this.sessionKey, session);
+
+        return this.toPublicSession(session, user);
+    }
+
+    /**
+     * Return the active session without renewing it. Background work (auth headers,
+     * revalidation, reconnects) reads the session this way so it cannot keep an
+     * idle user signed in.
+     * @returns {{token: string, user: Object, expiresAt: number}|null} Active session
+     */
+    peekSession() {
+        const active = this.readActiveSession();
+        return active ? this.toPublicSession(active.session, active.user) : null;
+    }
+
+    /**
+     * Read the stored session and its user, clearing it when expired or orphaned
+     * @returns {{session: Object, user: Object}|null} Raw records
+     */
+    readActiveSession() {
+        const session = this.readJson(this.sessionKey, null);
+        if (!session) return null;
+
+        const user = this.getUsers().find(item => item.id === session.userId);
+        if (!user || Date.now() > session.expiresAt) {
+            this.removeJson(this.sessionKey);
+            this.logActivity('SESSION_EXPIRED', { userId: session.userId });
+            this.events.emit('auth:changed', { session: null, reason: 'expired' });
+            return null;
+        }
+        return { session, user };
+    }
+
+    /**
+     * Normalize a stored session for UI use
+     * @param {Object} session - Raw session record
+     * @param {Object} user - Raw user record
+     * @returns {{token: string, user: Object, expiresAt: number}} Safe session object
+     */
+    toPublicSession(session, user) {
+        return {
+            token: session.token,
+            user: this.publicUser(user),
+            createdAt: session.createdAt,
+            expiresAt: session.expiresAt,
+            impersonating: session.impersonation || null
+        };
+    }
+
+    /**
+     * ID of the user whose data the dashboard shows: the impersonated user while
+     * support staff are impersonating someone, otherwise the signed-in user
+     * @returns {number|null} User ID, or null when signed out
+     */
+    getActiveUserId() {
+        const session = this.getCurrentSession();
+        if (!session) return null;
+        return session.impersonating ? session.impersonating.userId : session.user.id;
+    }
+
+    /**
+     * Whether the signed-in user may impersonate other users
+     * @returns {boolean}
+     */
+    isSupportStaff() {
+        return Boolean(this.peekSession()?.user.roles.includes('support'));
+    }
+
+    /**
+     * Whether support staff are currently impersonating a user (read-only mode)
+     * @returns {boolean}
+     */
+    isImpersonating() {
+        return Boolean(this.peekSession()?.impersonating);
+    }
+
+    /**
+     * Add a role to a user, e.g. `support` to allow impersonation
+     * @param {number} userId - User identifier
+     * @param {string} role - Role name
+     * @returns {Object} Updated user data
+     */
+    grantRole(userId, role) {
+        const users = this.getUsers();
+        const index = users.findIndex(user => user.id === Number(userId));
+        if (index === -1) {
+            throw new Error('User not found.');
+        }
+
+        const roles = users[index].roles || ['customer'];
+        if (!roles.includes(role)) {
+            users[index].roles = [...roles, role];
+            users[index].updatedAt = new Date().toISOString();
+            this.saveUsers(users);
+            this.logActivity('ROLE_GRANTED', { userId: users[index].id, role });
+        }
+
+        return this.publicUser(users[index]);
+    }
+
+    /**
+     * View the dashboard as another user. Only support staff may do this; the
+     * impersonation is stored on the session and ends with it.
+     * @param {{id: number, name: string}} target - User to impersonate
+     * @returns {Object} Updated session
+     */
+    startImpersonation(target) {
+        const session = this.readJson(this.sessionKey, null);
+        if (!session || !this.isSupportStaff()) {
+            throw new Error('Only support staff can switch to another user.');
+        }
+        if (!target || !Number.isInteger(Number(target.id))) {
+            throw new Error('Choose a user to switch to.');
+        }
+        if (Number(target.id) === session.userId) {
+            throw new Error('You are already signed in as this user.');
+        }
+
+        session.impersonation = {
+            userId: Number(target.id),
+            name: String(target.name || `User ${target.id}`),
+            startedAt: new Date().toISOString()
+        };
+        this.writeJson(this.sessionKey, session);
+
+        this.logActivity('IMPERSONATION_STARTED', {
+            userId: session.userId,
+            targetUserId: session.impersonation.userId
+        });
+
+        const activeSession = this.getCurrentSession();
+        this.events.emit('auth:changed', { session: activeSession, reason: 'impersonation-started' });
+        return activeSession;
+    }
+
+    /**
+     * Return to the support user's own view
+     */
+    stopImpersonation() {
+        const session = this.readJson(this.sessionKey, null);
+        if (!session || !session.impersonation) return;
+
+        const targetUserId = session.impersonation.userId;
+        delete session.impersonation;
+        this.writeJson(this.sessionKey, session);
+
+        this.logActivity('IMPERSONATION_ENDED', { userId: session.userId, targetUserId });
+        this.events.emit('auth:changed', { session: this.getCurrentSession(), reason: 'impersonation-ended' });
+    }
+
     /**
      * Update registration info for an existing user
      * @param {number} userId - User identifier
@@ -681,13 +1629,14 @@ class RegistrationAPI {
             email: user.email,
             phone: user.phone,
             isEmailVerified: user.isEmailVerified,
+            roles: user.roles || ['customer'],
             createdAt: user.createdAt,
             updatedAt: user.updatedAt
         };
     }
 
     /**
-     * Return users from local storage
+     * Return users from storage
      * @returns {Array<Object>} Raw users
      */
     getUsers() {
@@ -695,22 +1644,25 @@ class RegistrationAPI {
     }
 
     /**
-     * Save users to local storage
+     * Save users to storage
      * @param {Array<Object>} users - Users list
      */
     saveUsers(users) {
+        if (this.migrationError) {
+            throw new Error('Account changes are unavailable because stored account data could not be upgraded.');
+        }
         this.writeJson(this.usersDbKey, users);
     }
 
     /**
-     * Read JSON from local storage
+     * Read JSON from the storage adapter
      * @param {string} key - Storage key
      * @param {any} fallback - Fallback when missing/invalid
      * @returns {any} Parsed value
      */
     readJson(key, fallback) {
         try {
-            const raw = localStorage.getItem(key);
+            const raw = this.storage.getItem(key);
             return raw ? JSON.parse(raw) : fallback;
         } catch {
             return fallback;
@@ -718,12 +1670,20 @@ class RegistrationAPI {
     }
 
     /**
-     * Write JSON to local storage
+     * Write JSON to the storage adapter
      * @param {string} key - Storage key
      * @param {any} value - Serializable value
      */
     writeJson(key, value) {
-        localStorage.setItem(key, JSON.stringify(value));
+        this.storage.setItem(key, JSON.stringify(value));
+    }
+
+    /**
+     * Remove a key from the storage adapter
+     * @param {string} key - Storage key
+     */
+    removeJson(key) {
+        this.storage.removeItem(key);
     }
 }
 
@@ -731,7 +1691,11 @@ class RegistrationAPI {
  * Order tracking API for delivery status timeline and estimate calculations.
  */
 class OrderTrackingAPI {
-    constructor() {
+    /**
+     * @param {Object} options - Optional settings
+     * @param {EventBus} options.events - Event bus carrying `order:status` updates (see events.js)
+     */
+    constructor(options = {}) {
         this.statuses = [
             'Order Confirmed',
             'Payment Verified',
@@ -741,6 +1705,15 @@ class OrderTrackingAPI {
             'Out for Delivery',
             'Delivered'
         ];
+
+        this.events = options.events || new EventBus();
+        // Latest pushed status per order number, overriding the simulated progress
+        this.statusOverrides = new Map();
+        this.events.on('order:status', ({ orderNumber, status } = {}) => {
+            if (orderNumber && this.statuses.includes(status)) {
+                this.statusOverrides.set(String(orderNumber).trim().toUpperCase(), status);
+            }
+        });
     }
 
     /**
@@ -756,7 +1729,9 @@ class OrderTrackingAPI {
 
         const now = new Date();
         const seed = this.seedFromOrder(normalizedOrder);
-        const progressIndex = 2 + (seed % 4); // Packed..Out for Delivery
+        const progressIndex = this.statusOverrides.has(normalizedOrder)
+            ? this.statuses.indexOf(this.statusOverrides.get(normalizedOrder))
+            : 2 + (seed % 4); // Packed..Out for Delivery
 
         const orderedAt = new Date(now.getTime() - ((36 + seed % 24) * 60 * 60 * 1000));
         const shippedAt = new Date(orderedAt.getTime() + (12 * 60 * 60 * 1000));
@@ -883,69 +1858,1195 @@ class OrderTrackingAPI {
     }
 }
 
-// Create and export API instance
-const userAPI = new UserAPI();
-
-// Create and export registration API instance
-const registrationAPI = new RegistrationAPI();
-
-// Create and export order tracking API instance
-const orderTrackingAPI = new OrderTrackingAPI();
-
-// Start simulating real-time updates for demo
-userAPI.simulateRealTimeUpdates();
+/**
+ * JSON Schema (draft 2020-12) for catalog products. ProductCatalogAPI checks every
+ * product it receives against it and drops records that do not match.
+ */
+const PRODUCT_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'Product',
+    type: 'object',
+    required: ['id', 'sku', 'title', 'description', 'category', 'price', 'currency', 'rating', 'reviewCount', 'image'],
+    properties: {
+        id: { type: 'integer', minimum: 1 },
+        sku: { type: 'string', minLength: 1 },
+        title: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        category: { type: 'string', minLength: 1 },
+        price: { type: 'number', minimum: 0 },
+        currency: { type: 'string', pattern: '^[A-Z]{3}$' },
+        rating: { type: 'number', minimum: 0, maximum: 5 },
+        reviewCount: { type: 'integer', minimum: 0 },
+        image: { type: 'string' },
+        images: { type: 'array', items: { type: 'string' } },
+        ratingCounts: {
+            type: 'object',
+            properties: {
+                1: { type: 'integer', minimum: 0 },
+                2: { type: 'integer', minimum: 0 },
+                3: { type: 'integer', minimum: 0 },
+                4: { type: 'integer', minimum: 0 },
+                5: { type: 'integer', minimum: 0 }
+            }
+        },
+        badge: { type: ['string', 'null'] }
+    }
+};
 
 /**
- * Tracks the user's product browsing history using localStorage so that
- * recommendations can be personalized across page loads.
+ * Product catalog: the single source of product data for recommendations,
+ * product detail and other product views. Reads the bundled fixture catalog
+ * through MockTransport unless given a transport for a real catalog service.
  */
-class BrowsingHistoryTracker {
+class ProductCatalogAPI {
     /**
-     * @param {string} storageKey - localStorage key for persistence
-     * @param {number} maxItems - Maximum number of history entries to keep
+     * @param {Object} options - Optional settings
+     * @param {Object} options.transport - Transport serving `/products` and `/categories`
+     *   (see transport.js); defaults to MockTransport over the bundled catalog
+     * @param {Object} options.resilience - Retry and circuit breaker settings for ResilientTransport
+     * @param {Object} options.cache - ResponseCache settings (maxEntries, ttls, defaultTtl, staleTtl)
+     * @param {Object} options.schema - JSON Schema products must match; defaults to PRODUCT_SCHEMA
      */
-    constructor(storageKey = 'browsing_history', maxItems = 20) {
-        this.storageKey = storageKey;
-        this.maxItems = maxItems;
+    constructor(options = {}) {
+        this.transport = new ResilientTransport(options.transport || new MockTransport(), options.resilience);
+        this.cache = new ResponseCache({
+            maxEntries: 50,
+            defaultTtl: 10 * 60 * 1000,
+            ...options.cache
+        });
+        this.schema = options.schema || PRODUCT_SCHEMA;
     }
 
     /**
-     * Retrieve the full browsing history (most recent first)
-     * @returns {Array<number>} Array of product IDs
+     * List products, optionally in one category
+     * @param {Object} options - Filters and paging
+     * @param {string} options.category - Category slug
+     * @param {number} options.offset - Products to skip
+     * @param {number} options.limit - Maximum number of products
+     * @param {AbortSignal} options.signal - Aborts this call
+     * @returns {Promise<Array<Object>>} Products
      */
-    getHistory() {
+    async listProducts({ category = null, offset = 0, limit = null, signal } = {}) {
+        const path = category ? `/categories/${encodeURIComponent(category)}/products` : '/products';
+        const query = { _start: offset || undefined, _limit: limit || undefined };
+        return this.load(`products_${category || 'all'}_${offset}_${limit || 'all'}`, async () => {
+            return this.toProducts(await this.transport.request(path, { query, signal }));
+        }, 'Failed to load products. Please try again later.');
+    }
+
+    /**
+     * Fetch a single product
+     * @param {number} productId - Product ID
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Aborts this call
+     * @returns {Promise<Object>} Product; rejects with `status` 404 when it does not exist
+     */
+    async getProduct(productId, { signal } = {}) {
         try {
-            const stored = localStorage.getItem(this.storageKey);
-            return stored ? JSON.parse(stored) : [];
-        } catch {
-            return [];
+            return await this.load(`product_${productId}`, async () => {
+                const [product] = this.toProducts([await this.transport.request(`/products/${productId}`, { signal })]);
+                if (!product) {
+                    throw new Error(`Product ${productId} does not match the product schema`);
+                }
+                return product;
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            if (error.status === 404) {
+                throw Object.assign(new Error('Product not found.'), { status: 404 });
+            }
+            console.error('Error fetching product:', error);
+            throw new Error('Failed to load product. Please try again later.');
         }
     }
 
     /**
-     * Record a product view, deduplicating and enforcing max size
-     * @param {number} productId - The product that was viewed
-     * @returns {Array<number>} Updated history
+     * Search products by title, description and category
+     * @param {string} query - Search text
+     * @param {Object} options - Paging and request options
+     * @param {number} options.limit - Maximum number of results
+     * @param {AbortSignal} options.signal - Aborts this call
+     * @returns {Promise<Array<Object>>} Matching products
+     */
+    async search(query, { limit = null, signal } = {}) {
+        const text = String(query || '').trim();
+        if (!text) return [];
+
+        return this.load(`search_${text.toLowerCase()}_${limit || 'all'}`, async () => {
+            const results = await this.transport.request('/products/search', {
+                query: { q: text, _limit: limit || undefined },
+                signal
+            });
+            return this.toProducts(results);
+        }, 'Search is unavailable. Please try again later.');
+    }
+
+    /**
+     * List product categories
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Aborts this call
+     * @returns {Promise<Array<{slug: string, name: string, productCount: number}>>} Categories
+     */
+    async listCategories({ signal } = {}) {
+        return this.load('categories', () => {
+            return this.transport.request('/categories', { signal });
+        }, 'Failed to load categories. Please try again later.');
+    }
+
+    /**
+     * List the products in a category
+     * @param {string} slug - Category slug, e.g. `home-and-kitchen`
+     * @param {Object} options - Same paging options as listProducts
+     * @returns {Promise<Array<Object>>} Products
+     */
+    getCategoryProducts(slug, options = {}) {
+        return this.listProducts({ ...options, category: slug });
+    }
+
+    /**
+     * Serve a cached response or load and cache it
+     * @param {string} cacheKey - Cache key
+     * @param {Function} loader - Resolves with the value to cache
+     * @param {string} failureMessage - Message for load failures; when omitted errors are rethrown as-is
+     * @returns {Promise<any>} Cached or loaded value
      */
-    addItem(productId) {
-        const history = this.getHistory().filter(id => id !== productId);
-        history.unshift(productId);
-        const trimmed = history.slice(0, this.maxItems);
+    async load(cacheKey, loader, failureMessage = null) {
+        const cached = this.cache.get(cacheKey);
+        if (cached !== undefined) return cached;
+
         try {
-            localStorage.setItem(this.storageKey, JSON.stringify(trimmed));
-        } catch (e) {
-            console.warn('Unable to save browsing history:', e);
+            const value = await loader();
+            this.cache.set(cacheKey, value, { tags: ['catalog'] });
+            return value;
+        } catch (error) {
+            if (!failureMessage || error.name === 'AbortError') throw error;
+            console.error(`Error loading ${cacheKey}:`, error);
+            throw new Error(failureMessage);
         }
-        return trimmed;
     }
 
     /**
-     * Clear all browsing history
+     * Keep only records that match the product schema
+     * @param {Array<Object>} records - Product records from the transport
+     * @returns {Array<Object>} Valid products
      */
-    clear() {
-        localStorage.removeItem(this.storageKey);
+    toProducts(records) {
+        return (Array.isArray(records) ? records : []).filter(record => {
+            const errors = this.validateProduct(record);
+            if (errors.length) {
+                console.warn(`Ignoring invalid product ${record?.id ?? ''}:`, errors);
+            }
+            return !errors.length;
+        });
+    }
+
+    /**
+     * Check a product against the schema
+     * @param {Object} product - Product record
+     * @returns {Array<string>} Error messages; empty when the product is valid
+     */
+    validateProduct(product) {
+        return this.validateValue(product, this.schema, 'product');
+    }
+
+    /**
+     * Validate a value against the JSON Schema keywords the product schema uses:
+     * `type`, `required`, `properties`, `items`, `minimum`, `maximum`, `minLength` and `pattern`
+     * @param {any} value - Value to check
+     * @param {Object} schema - Schema for the value
+     * @param {string} path - Location used in error messages
+     * @returns {Array<string>} Error messages
+     */
+    validateValue(value, schema, path) {
+        const types = [].concat(schema.type || []);
+        if (types.length && !types.some(type => this.matchesType(value, type))) {
+            return [`${path} must be ${types.join(' or ')}`];
+        }
+
+        const errors = [];
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            (schema.required || []).forEach(key => {
+                if (!(key in value)) errors.push(`${path}.${key} is required`);
+            });
+            Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                if (key in value) errors.push(...this.validateValue(value[key], propertySchema, `${path}.${key}`));
+            });
+        }
+        if (Array.isArray(value) && schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...this.validateValue(item, schema.items, `${path}[${index}]`));
+            });
+        }
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be at least ${schema.minimum}`);
+            if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be at most ${schema.maximum}`);
+        }
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} is too short`);
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path} does not match ${schema.pattern}`);
+        }
+        return errors;
+    }
+
+    /**
+     * Whether a value has a JSON Schema type
+     * @param {any} value - Value to check
+     * @param {string} type - JSON Schema type name
+     * @returns {boolean}
+     */
+    matchesType(value, type) {
+        switch (type) {
+            case 'null': return value === null;
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'array': return Array.isArray(value);
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            default: return typeof value === type;
+        }
+    }
+
+    /**
+     * Drop every cached catalog response
+     */
+    clearCache() {
+        this.cache.invalidateTag('catalog');
     }
 }
 
-// Create and export browsing history tracker instance
-const browsingHistoryTracker = new BrowsingHistoryTracker();
\ No newline at end of file
+// Serve data from the bundled fixtures when `?mock` is in the URL or the page is opened from disk
+const useMockTransport = typeof location !== 'undefined'
+    && (new URLSearchParams(location.search).has('mock') || location.protocol === 'file:');
+
+// Try Gravatar before the offline initials avatar when `?gravatar` is in the URL
+const useGravatar = typeof location !== 'undefined' && new URLSearchParams(location.search).has('gravatar');
+
+// Create and export product catalog instance (bundled fixture catalog)
+const productCatalogAPI = new ProductCatalogAPI();
+
+// Create and export API instance
+const userAPI = new UserAPI({
+    events: eventBus,
+    catalog: productCatalogAPI,
+    isReadOnly: () => registrationAPI.isImpersonating(),
+    avatarProviders: useGravatar
+        ? [new UploadedAvatarProvider(), new GravatarProvider(), new InitialsAvatarProvider()]
+        : undefined,
+    transport: useMockTransport
+        ? new MockTransport()
+        : new HttpTransport({
+            baseURL: 'https://jsonplaceholder.typicode.com',
+            getAuthToken: () => registrationAPI.peekSession()?.token || null
+        })
+});
+
+// Create and export registration API instance
+const registrationAPI = new RegistrationAPI({ events: eventBus });
+
+// Create and export order tracking API instance
+const orderTrackingAPI = new OrderTrackingAPI({ events: eventBus });
+
+// Connect to a live update server when one is given, e.g. `?live=ws://localhost:8787/ws`
+const liveUpdatesURL = typeof location !== 'undefined'
+    ? new URLSearchParams(location.search).get('live')
+    : null;
+if (liveUpdatesURL) {
+    userAPI.connectLiveUpdates({ url: liveUpdatesURL });
+}
+
+/**
+ * Privacy choices for browsing history tracking on this device: whether the
+ * visitor consented, how long history is kept and whether a browser opt-out
+ * signal (Do Not Track or Global Privacy Control) overrides consent.
+ */
+class PrivacySettings {
+    /**
+     * @param {Object} options - Settings storage
+     * @param {string} options.storageKey - Storage key
+     * @param {Object} options.storage - Storage adapter (see storage.js); defaults to localStorage
+     * @param {EventBus} options.events - Event bus for `privacy:changed` (see events.js)
+     * @param {Object} options.browser - Source of `doNotTrack` and `globalPrivacyControl`;
+     *   defaults to `navigator`
+     */
+    constructor({
+        storageKey = 'privacy_settings',
+        storage = new LocalStorageAdapter(),
+        events = new EventBus(),
+        browser = typeof navigator !== 'undefined' ? navigator : {}
+    } = {}) {
+        this.storageKey = storageKey;
+        this.storage = storage;
+        this.events = events;
+        this.browser = browser;
+        this.retentionOptions = [7, 30, 90, 365];
+    }
+
+    /**
+     * Settings before the visitor has chosen anything
+     * @returns {{consent: string|null, retentionDays: number, respectBrowserSignals: boolean}}
+     */
+    getDefaults() {
+        return { consent: null, retentionDays: 30, respectBrowserSignals: true };
+    }
+
+    /**
+     * Current settings; `consent` is `granted`, `denied` or null when not asked yet
+     * @returns {{consent: string|null, retentionDays: number, respectBrowserSignals: boolean}}
+     */
+    get() {
+        try {
+            return { ...this.getDefaults(), ...JSON.parse(this.storage.getItem(this.storageKey)) };
+        } catch {
+            return this.getDefaults();
+        }
+    }
+
+    /**
+     * Change settings and publish `privacy:changed`
+     * @param {Object} changes - Settings to change
+     * @returns {Object} Updated settings
+     */
+    update(changes) {
+        const settings = { ...this.get(), ...changes };
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(settings));
+        } catch (e) {
+            console.warn('Unable to save privacy settings:', e);
+        }
+        this.events.emit('privacy:changed', { settings, trackingAllowed: this.isTrackingAllowed() });
+        return settings;
+    }
+
+    /**
+     * Whether the browser sends Do Not Track or Global Privacy Control
+     * @returns {boolean}
+     */
+    hasBrowserOptOut() {
+        return this.browser.globalPrivacyControl === true
+            || this.browser.doNotTrack === '1'
+            || this.browser.doNotTrack === 'yes';
+    }
+
+    /**
+     * Whether browsing history may be recorded and used for personalization
+     * @returns {boolean}
+     */
+    isTrackingAllowed() {
+        const settings = this.get();
+        return settings.consent === 'granted'
+            && !(settings.respectBrowserSignals && this.hasBrowserOptOut());
+    }
+
+    /**
+     * Whether to ask for consent: nothing chosen yet and no browser opt-out that
+     * would decide it anyway
+     * @returns {boolean}
+     */
+    needsConsent() {
+        const settings = this.get();
+        return settings.consent === null
+            && !(settings.respectBrowserSignals && this.hasBrowserOptOut());
+    }
+
+    /**
+     * How long history is kept
+     * @returns {number} Milliseconds
+     */
+    getRetentionPeriod() {
+        return this.get().retentionDays * 24 * 60 * 60 * 1000;
+    }
+}
+
+/**
+ * Tracks the user's product browsing history through a storage adapter so that
+ * recommendations can be personalized across page loads.
+ *
+ * Each viewed product is one entry, most recently viewed first:
+ * `{ productId, firstViewedAt, lastViewedAt, viewCount, source, dwellMs }`, where
+ * `source` is how the last view was reached (`recommendation`, `search` or `detail`)
+ * and `dwellMs` is the total time spent on the product page. Histories saved as
+ * plain product ID arrays by older versions are read as entries without timestamps.
+ *
+ * With PrivacySettings, nothing is recorded unless tracking is allowed, and entries
+ * and searches older than the retention period are pruned.
+ */
+class BrowsingHistoryTracker {
+    /**
+     * @param {string} storageKey - Storage key for persistence
+     * @param {number} maxItems - Maximum number of history entries to keep
+     * @param {Object} storage - Storage adapter (see storage.js); defaults to localStorage
+     * @param {EventBus} events - Event bus for `history:changed` (see events.js)
+     * @param {PrivacySettings|null} privacy - Consent and retention; null records without asking
+     * @param {Object} options - Optional settings
+     * @param {Function} options.isReadOnly - Returns true while the current user's history must not
+     *   be changed behind their back, e.g. when support staff are impersonating them
+     */
+    constructor(storageKey = 'browsing_history', maxItems = 20, storage = new LocalStorageAdapter(), events = new EventBus(), privacy = null, { isReadOnly = () => false } = {}) {
+        this.storageKey = storageKey;
+        this.maxItems = maxItems;
+        this.storage = storage;
+        this.events = events;
+        this.privacy = privacy;
+        this.isReadOnly = isReadOnly;
+        this.userId = null;
+        this.maxSearches = 10;
+
+        // A shorter retention period applies to what is already stored, and
+        // listeners decide again whether to personalize
+        this.privacy?.events.on('privacy:changed', () => {
+            this.prune();
+            this.events.emit('history:changed', { history: this.getHistory(), reason: 'privacy' });
+        });
+    }
+
+    /**
+     * Keep history per user; signed-out visitors share the unscoped key
+     * @param {number|null} userId - User whose history to read and write
+     */
+    setUserId(userId) {
+        if (this.userId === userId) return;
+        this.userId = userId;
+        if (userId) {
+            this.claimUnscopedHistory();
+        }
+        this.events.emit('history:changed', { history: this.getHistory(), reason: 'switch-user' });
+    }
+
+    /**
+     * History used to be kept under the unscoped key for everyone. Once per device,
+     * the first signed-in user takes that history over, unless they already have
+     * their own, so it is not left where only signed-out visitors read it. A user
+     * viewed by support staff is not signed in here and never takes it over.
+     */
+    claimUnscopedHistory() {
+        const claimedKey = `${this.storageKey}_claimed`;
+        if (this.isReadOnly() || this.storage.getItem(claimedKey)) return;
+
+        try {
+            this.storage.setItem(claimedKey, 'true');
+        } catch (e) {
+            console.warn('Unable to save browsing history migration state:', e);
+            return;
+        }
+
+        const entries = this.readEntries(this.storageKey);
+        if (!entries.length || this.getEntries().length) return;
+
+        this.saveEntries(entries);
+        this.saveEntries([], this.storageKey);
+    }
+
+    /**
+     * Storage key for the current user's history
+     * @returns {string} Storage key
+     */
+    getStorageKey() {
+        return this.userId ? `${this.storageKey}_user_${this.userId}` : this.storageKey;
+    }
+
+    /**
+     * Retrieve the full browsing history (most recent first)
+     * @returns {Array<number>} Array of product IDs
+     */
+    getHistory() {
+        return this.getEntries().map(entry => entry.productId);
+    }
+
+    /**
+     * Retrieve the current user's history entries (most recently viewed first)
+     * @returns {Array<Object>} History entries
+     */
+    getEntries() {
+        return this.readEntries(this.getStorageKey());
+    }
+
+    /**
+     * Read and normalize the entries stored under a key
+     * @param {string} key - Storage key
+     * @returns {Array<Object>} History entries
+     */
+    readEntries(key) {
+        let stored;
+        try {
+            stored = JSON.parse(this.storage.getItem(key)) || [];
+        } catch {
+            return [];
+        }
+        if (!Array.isArray(stored)) return [];
+
+        return stored.map(item => (typeof item === 'number'
+            ? {
+                productId: item,
+                firstViewedAt: null,
+                lastViewedAt: null,
+                viewCount: 1,
+                source: null,
+                dwellMs: 0
+            }
+            : item));
+    }
+
+    /**
+     * Save a user's entries and keep the key index in step
+     * @param {Array<Object>} entries - History entries, most recent first
+     * @param {string} key - Storage key; defaults to the current user's
+     */
+    saveEntries(entries, key = this.getStorageKey()) {
+        try {
+            if (entries.length) {
+                this.storage.setItem(key, JSON.stringify(entries));
+            } else {
+                this.storage.removeItem(key);
+            }
+            this.updateHistoryKeys(entries.length > 0, key);
+        } catch (e) {
+            console.warn('Unable to save browsing history:', e);
+        }
+    }
+
+    /**
+     * History for recommendation scoring: each view's weight halves every
+     * `halfLife` since it was last viewed, and repeat views and longer dwell
+     * raise it. Entries without a timestamp count as old views.
+     * @param {Object} options - Weighting settings
+     * @param {number} options.halfLife - Milliseconds for a view's weight to halve
+     * @param {number} options.now - Current time in milliseconds
+     * @returns {Array<{productId: number, weight: number}>} Weights between 0 and 1, most recent first
+     */
+    getWeightedHistory({ halfLife = 7 * 24 * 60 * 60 * 1000, now = Date.now() } = {}) {
+        return this.getEntries().map(entry => {
+            const viewedAt = entry.lastViewedAt ? new Date(entry.lastViewedAt).getTime() : NaN;
+            const recency = Number.isNaN(viewedAt)
+                ? 0.25
+                : 0.5 ** (Math.max(0, now - viewedAt) / halfLife);
+            // A single short view counts 0.6; five or more views with a minute of reading count fully
+            const engagement = Math.min(1,
+                0.6
+                + 0.05 * Math.min(4, (entry.viewCount || 1) - 1)
+                + 0.2 * Math.min(1, (entry.dwellMs || 0) / 60000));
+
+            return { productId: entry.productId, weight: Number((recency * engagement).toFixed(4)) };
+        });
+    }
+
+    /**
+     * Histories of every other shopper who has browsed on this device, for
+     * "viewed together" recommendation signals
+     * @returns {Array<Array<number>>} Product ID lists, most recent first
+     */
+    getOtherHistories() {
+        const currentKey = this.getStorageKey();
+        return this.getHistoryKeys()
+            .filter(key => key !== currentKey)
+            .map(key => this.readEntries(key).map(entry => entry.productId))
+            .filter(history => history.length);
+    }
+
+    /**
+     * Storage keys that hold a history; storage adapters cannot list their keys
+     * @returns {Array<string>} Storage keys
+     */
+    getHistoryKeys() {
+        try {
+            return JSON.parse(this.storage.getItem(`${this.storageKey}_keys`)) || [];
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Add or remove a storage key from the key index
+     * @param {boolean} hasHistory - Whether the key holds a history
+     * @param {string} key - Storage key; defaults to the current user's
+     */
+    updateHistoryKeys(hasHistory, key = this.getStorageKey()) {
+        const keys = this.getHistoryKeys().filter(item => item !== key);
+        if (hasHistory) {
+            keys.push(key);
+        }
+        try {
+            this.storage.setItem(`${this.storageKey}_keys`, JSON.stringify(keys));
+        } catch (e) {
+            console.warn('Unable to save browsing history index:', e);
+        }
+    }
+
+    /**
+     * Record a product view, deduplicating and enforcing max size. Nothing is
+     * recorded while tracking is paused or not allowed.
+     * @param {number} productId - The product that was viewed
+     * @param {Object} options - View details
+     * @param {string} options.source - How the product was reached: `recommendation`, `search` or `detail`
+     * @param {number} options.now - View time in milliseconds
+     * @returns {Array<number>} Updated history
+     */
+    addItem(productId, { source = 'detail', now = Date.now() } = {}) {
+        if (!this.isRecording()) return this.getHistory();
+
+        const entries = this.getEntries();
+        const previous = entries.find(entry => entry.productId === productId);
+        const viewedAt = new Date(now).toISOString();
+        const entry = {
+            productId,
+            firstViewedAt: previous?.firstViewedAt || viewedAt,
+            lastViewedAt: viewedAt,
+            viewCount: (previous?.viewCount || 0) + 1,
+            source,
+            dwellMs: previous?.dwellMs || 0
+        };
+        const trimmed = [entry, ...entries.filter(item => item.productId !== productId)].slice(0, this.maxItems);
+
+        this.saveEntries(trimmed);
+        const history = trimmed.map(item => item.productId);
+        this.events.emit('history:changed', { history, reason: 'view', productId });
+        return history;
+    }
+
+    /**
+     * Add time spent on a product page to its entry. No event is emitted:
+     * dwell only changes weights, not which products were viewed.
+     * @param {number} productId - Viewed product
+     * @param {number} duration - Milliseconds spent on the page
+     * @param {Object} options - Dwell options
+     * @param {string} options.key - Storage key of the history the view was recorded in,
+     *   from getStorageKey(); defaults to the current user's
+     */
+    recordDwell(productId, duration, { key = this.getStorageKey() } = {}) {
+        if (!this.isRecording(key) || !(duration > 0)) return;
+
+        const entries = this.readEntries(key);
+        const entry = entries.find(item => item.productId === productId);
+        if (!entry) return;
+
+        entry.dwellMs = (entry.dwellMs || 0) + Math.round(duration);
+        this.saveEntries(entries, key);
+    }
+
+    /**
+     * Remove one product from the history
+     * @param {number} productId - Product to forget
+     * @returns {Array<number>} Updated history
+     */
+    removeItem(productId) {
+        const entries = this.getEntries().filter(entry => entry.productId !== productId);
+        this.saveEntries(entries);
+        const history = entries.map(entry => entry.productId);
+        this.events.emit('history:changed', { history, reason: 'remove', productId });
+        return history;
+    }
+
+    /**
+     * Put back entries read earlier with getEntries(), e.g. to undo a removal
+     * @param {Array<Object>} entries - History entries, most recent first
+     * @returns {Array<number>} Restored history
+     */
+    restore(entries) {
+        const restored = entries.slice(0, this.maxItems);
+        this.saveEntries(restored);
+        const history = restored.map(entry => entry.productId);
+        this.events.emit('history:changed', { history, reason: 'restore' });
+        return history;
+    }
+
+    /**
+     * Whether the current user has paused history tracking
+     * @param {string} key - Storage key of the history; defaults to the current user's
+     * @returns {boolean}
+     */
+    isPaused(key = this.getStorageKey()) {
+        return this.storage.getItem(`${key}_paused`) === 'true';
+    }
+
+    /**
+     * Pause or resume recording views, dwell time and searches for the current user.
+     * The existing history is kept and still used for recommendations.
+     * @param {boolean} paused - Whether to pause
+     */
+    setPaused(paused) {
+        try {
+            if (paused) {
+                this.storage.setItem(`${this.getStorageKey()}_paused`, 'true');
+            } else {
+                this.storage.removeItem(`${this.getStorageKey()}_paused`);
+            }
+        } catch (e) {
+            console.warn('Unable to save history tracking setting:', e);
+        }
+        this.events.emit('history:changed', { history: this.getHistory(), reason: paused ? 'pause' : 'resume' });
+    }
+
+    /**
+     * Recent search queries (most recent first), used as a recommendation signal
+     * @returns {Array<string>} Queries
+     */
+    getSearches() {
+        return this.readSearches(this.getStorageKey()).map(search => search.query);
+    }
+
+    /**
+     * Read the searches stored for a history key; queries saved as plain strings
+     * by older versions have no timestamp
+     * @param {string} key - History storage key
+     * @returns {Array<{query: string, searchedAt: string|null}>} Searches
+     */
+    readSearches(key) {
+        let stored;
+        try {
+            stored = JSON.parse(this.storage.getItem(`${key}_searches`)) || [];
+        } catch {
+            return [];
+        }
+        if (!Array.isArray(stored)) return [];
+
+        return stored.map(item => (typeof item === 'string' ? { query: item, searchedAt: null } : item));
+    }
+
+    /**
+     * Save the searches for a history key
+     * @param {Array<{query: string, searchedAt: string|null}>} searches - Searches, most recent first
+     * @param {string} key - History storage key; defaults to the current user's
+     */
+    saveSearches(searches, key = this.getStorageKey()) {
+        try {
+            if (searches.length) {
+                this.storage.setItem(`${key}_searches`, JSON.stringify(searches));
+            } else {
+                this.storage.removeItem(`${key}_searches`);
+            }
+        } catch (e) {
+            console.warn('Unable to save search history:', e);
+        }
+    }
+
+    /**
+     * Record a search the user acted on, deduplicating case-insensitively.
+     * Nothing is recorded while tracking is paused or not allowed.
+     * @param {string} query - Search text
+     * @param {Object} options - Search details
+     * @param {number} options.now - Search time in milliseconds
+     * @returns {Array<string>} Updated queries
+     */
+    addSearch(query, { now = Date.now() } = {}) {
+        const trimmed = String(query || '').trim();
+        if (!trimmed || !this.isRecording()) return this.getSearches();
+
+        const searches = [
+            { query: trimmed, searchedAt: new Date(now).toISOString() },
+            ...this.readSearches(this.getStorageKey())
+                .filter(item => item.query.toLowerCase() !== trimmed.toLowerCase())
+        ].slice(0, this.maxSearches);
+        this.saveSearches(searches);
+        return searches.map(search => search.query);
+    }
+
+    /**
+     * Whether stored history may be used to personalize, e.g. recommendations.
+     * Pausing only stops recording, so a paused history is still used.
+     * @returns {boolean}
+     */
+    isPersonalizationAllowed() {
+        return !this.privacy || this.privacy.isTrackingAllowed();
+    }
+
+    /**
+     * Whether views, dwell time and searches are recorded right now
+     * @param {string} key - Storage key of the history; defaults to the current user's
+     * @returns {boolean}
+     */
+    isRecording(key = this.getStorageKey()) {
+        return !this.isPaused(key) && this.isPersonalizationAllowed();
+    }
+
+    /**
+     * Delete entries and searches older than the retention period for every
+     * history on this device. Entries and searches saved without a timestamp by
+     * older versions get a `migratedAt` time on the first run and expire a
+     * retention period after it.
+     * @param {number} now - Current time in milliseconds
+     * @returns {number} Number of removed entries and searches
+     */
+    prune(now = Date.now()) {
+        if (!this.privacy) return 0;
+
+        const cutoff = now - this.privacy.getRetentionPeriod();
+        const migratedAt = new Date(now).toISOString();
+        const isFresh = (timestamp) => new Date(timestamp).getTime() >= cutoff;
+        const currentKey = this.getStorageKey();
+        const keys = new Set([...this.getHistoryKeys(), currentKey]);
+        let removed = 0;
+        let currentChanged = false;
+
+        keys.forEach(key => {
+            let migrated = false;
+            const stamp = (item, timestamp) => {
+                if (item[timestamp] || item.migratedAt) return item;
+                migrated = true;
+                return { ...item, migratedAt };
+            };
+
+            const entries = this.readEntries(key).map(entry => stamp(entry, 'lastViewedAt'));
+            const freshEntries = entries.filter(entry => isFresh(entry.lastViewedAt || entry.migratedAt));
+            const searches = this.readSearches(key).map(search => stamp(search, 'searchedAt'));
+            const freshSearches = searches.filter(search => isFresh(search.searchedAt || search.migratedAt));
+
+            if (migrated || freshEntries.length < entries.length) {
+                this.saveEntries(freshEntries, key);
+            }
+            if (migrated || freshSearches.length < searches.length) {
+                this.saveSearches(freshSearches, key);
+            }
+            const count = entries.length - freshEntries.length + searches.length - freshSearches.length;
+            removed += count;
+            currentChanged = currentChanged || (key === currentKey && count > 0);
+        });
+
+        if (currentChanged) {
+            this.events.emit('history:changed', { history: this.getHistory(), reason: 'prune' });
+        }
+        return removed;
+    }
+
+    /**
+     * Clear all browsing history, including searches
+     */
+    clear() {
+        this.saveEntries([]);
+        this.saveSearches([]);
+        this.events.emit('history:changed', { history: [], reason: 'clear' });
+    }
+}
+
+/**
+ * Remembers each user's recommendation filters and sort order through a storage
+ * adapter, so the recommendations list looks the same on their next visit.
+ */
+class RecommendationPreferences {
+    /**
+     * @param {string} storageKey - Storage key prefix
+     * @param {Object} storage - Storage adapter (see storage.js); defaults to localStorage
+     */
+    constructor(storageKey = 'recommendation_preferences', storage = new LocalStorageAdapter()) {
+        this.storageKey = storageKey;
+        this.storage = storage;
+    }
+
+    /**
+     * Preferences used when nothing has been saved
+     * @returns {{filters: Object, sort: string}} Default preferences
+     */
+    getDefaults() {
+        return {
+            filters: { categories: [], minPrice: null, maxPrice: null, minRating: 0 },
+            sort: 'relevance'
+        };
+    }
+
+    /**
+     * Storage key for a user; signed-out visitors share the unscoped key
+     * @param {number|null} userId - User ID
+     * @returns {string} Storage key
+     */
+    getStorageKey(userId) {
+        return userId ? `${this.storageKey}_user_${userId}` : this.storageKey;
+    }
+
+    /**
+     * Read a user's preferences, filling in defaults for anything missing
+     * @param {number|null} userId - User ID
+     * @returns {{filters: Object, sort: string}} Preferences
+     */
+    load(userId) {
+        const defaults = this.getDefaults();
+        try {
+            const stored = JSON.parse(this.storage.getItem(this.getStorageKey(userId))) || {};
+            return {
+                filters: { ...defaults.filters, ...stored.filters },
+                sort: stored.sort || defaults.sort
+            };
+        } catch {
+            return defaults;
+        }
+    }
+
+    /**
+     * Save a user's preferences
+     * @param {number|null} userId - User ID
+     * @param {{filters: Object, sort: string}} preferences - Preferences to save
+     */
+    save(userId, { filters, sort }) {
+        try {
+            this.storage.setItem(this.getStorageKey(userId), JSON.stringify({ filters, sort }));
+        } catch (e) {
+            console.warn('Unable to save recommendation preferences:', e);
+        }
+    }
+}
+
+/**
+ * Products each user saved for later, kept through a storage adapter with the
+ * price at the time of saving, so the wishlist can show price drops.
+ *
+ * Moving a product to the cart publishes `cart:add` on the event bus and calls the
+ * optional cart adapter; the dashboard has no cart of its own, so either one is
+ * where a shop's cart plugs in.
+ */
+class WishlistAPI {
+    /**
+     * @param {Object} options - Optional settings
+     * @param {string} options.storageKey - Storage key prefix
+     * @param {Object} options.storage - Storage adapter (see storage.js); defaults to localStorage
+     * @param {EventBus} options.events - Event bus for `wishlist:changed` and `cart:add` (see events.js)
+     * @param {ProductCatalogAPI} options.catalog - Source of current product data
+     * @param {Object} options.cart - Cart with `addItem(productId, { userId, quantity, price })`,
+     *   which may return a promise; without one, only `cart:add` is published
+     * @param {number} options.maxItems - Most products kept per user
+     * @param {Function} options.isReadOnly - Returns true while wishlist changes must be refused,
+     *   e.g. when support staff are impersonating a user
+     */
+    constructor({
+        storageKey = 'wishlist',
+        storage = new LocalStorageAdapter(),
+        events = new EventBus(),
+        catalog = new ProductCatalogAPI(),
+        cart = null,
+        maxItems = 50,
+        isReadOnly = () => false
+    } = {}) {
+        this.storageKey = storageKey;
+        this.storage = storage;
+        this.events = events;
+        this.catalog = catalog;
+        this.cart = cart;
+        this.maxItems = maxItems;
+        this.isReadOnly = isReadOnly;
+    }
+
+    /**
+     * Refuse a change while `isReadOnly()` is true
+     * @throws {Error} When the wishlist is read-only
+     */
+    checkWritable() {
+        if (this.isReadOnly()) {
+            throw new Error('Wishlists are read-only while you are viewing as another user.');
+        }
+    }
+
+    /**
+     * Storage key for a user; signed-out visitors share the unscoped key
+     * @param {number|null} userId - User ID
+     * @returns {string} Storage key
+     */
+    getStorageKey(userId) {
+        return userId ? `${this.storageKey}_user_${userId}` : this.storageKey;
+    }
+
+    /**
+     * Saved products, most recently saved first
+     * @param {number|null} userId - User ID
+     * @returns {Array<{productId: number, savedAt: number, priceAtSave: number}>} Wishlist items
+     */
+    getItems(userId) {
+        try {
+            const stored = JSON.parse(this.storage.getItem(this.getStorageKey(userId))) || [];
+            return Array.isArray(stored)
+                ? stored.filter(item => Number.isInteger(item?.productId))
+                : [];
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Saved product IDs, most recently saved first
+     * @param {number|null} userId - User ID
+     * @returns {Array<number>} Product IDs
+     */
+    getProductIds(userId) {
+        return this.getItems(userId).map(item => item.productId);
+    }
+
+    /**
+     * Whether a product is on a user's wishlist
+     * @param {number|null} userId - User ID
+     * @param {number} productId - Product ID
+     * @returns {boolean}
+     */
+    has(userId, productId) {
+        return this.getItems(userId).some(item => item.productId === productId);
+    }
+
+    /**
+     * Save a product; saving it again keeps the original date and price.
+     * Changes are refused while `isReadOnly()` is true.
+     * @param {number|null} userId - User ID
+     * @param {Object} product - Product with `id` and `price`
+     * @param {Object} options - Save options
+     * @param {number} options.now - Save time in milliseconds
+     */
+    add(userId, product, { now = Date.now() } = {}) {
+        this.checkWritable();
+        const items = this.getItems(userId);
+        if (items.some(item => item.productId === product.id)) return;
+
+        items.unshift({ productId: product.id, savedAt: now, priceAtSave: product.price });
+        this.saveItems(userId, items.slice(0, this.maxItems), 'add', product.id);
+    }
+
+    /**
+     * Remove a product
+     * @param {number|null} userId - User ID
+     * @param {number} productId - Product ID
+     * @param {string} reason - Reason published with `wishlist:changed`
+     */
+    remove(userId, productId, reason = 'remove') {
+        this.checkWritable();
+        const items = this.getItems(userId);
+        const remaining = items.filter(item => item.productId !== productId);
+        if (remaining.length === items.length) return;
+
+        this.saveItems(userId, remaining, reason, productId);
+    }
+
+    /**
+     * Save or remove a product
+     * @param {number|null} userId - User ID
+     * @param {Object} product - Product with `id` and `price`
+     * @returns {boolean} Whether the product is now saved
+     */
+    toggle(userId, product) {
+        if (this.has(userId, product.id)) {
+            this.remove(userId, product.id);
+            return false;
+        }
+        this.add(userId, product);
+        return true;
+    }
+
+    /**
+     * Put back items from getItems(), e.g. to undo a removal
+     * @param {number|null} userId - User ID
+     * @param {Array<Object>} items - Wishlist items
+     */
+    restore(userId, items) {
+        this.checkWritable();
+        this.saveItems(userId, items.slice(0, this.maxItems), 'restore');
+    }
+
+    /**
+     * Saved products joined with the current catalog. Products no longer in the
+     * catalog are left out.
+     * @param {number|null} userId - User ID
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Aborts this call
+     * @returns {Promise<Array<{product: Object, savedAt: number, priceAtSave: number, priceChange: number}>>}
+     *   Items with `priceChange` as current price minus the price when saved
+     */
+    async fetchWishlist(userId, { signal } = {}) {
+        const items = this.getItems(userId);
+        if (!items.length) return [];
+
+        try {
+            const products = new Map((await this.catalog.listProducts({ signal }))
+                .map(product => [product.id, product]));
+
+            return items
+                .filter(item => products.has(item.productId))
+                .map(item => {
+                    const product = products.get(item.productId);
+                    return {
+                        ...item,
+                        product,
+                        priceChange: Number((product.price - item.priceAtSave).toFixed(2))
+                    };
+                });
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error('Error fetching wishlist:', error);
+            throw new Error('Failed to load your wishlist. Please try again later.');
+        }
+    }
+
+    /**
+     * Hand a saved product to the cart and take it off the wishlist. The product
+     * stays saved when the cart rejects it or the wishlist is read-only.
+     * @param {number|null} userId - User ID
+     * @param {Object} product - Product with `id` and `price`
+     * @param {Object} options - Cart options
+     * @param {number} options.quantity - Number of items to add
+     */
+    async moveToCart(userId, product, { quantity = 1 } = {}) {
+        this.checkWritable();
+        try {
+            await this.cart?.addItem(product.id, { userId, quantity, price: product.price });
+        } catch (error) {
+            console.error('Error moving product to cart:', error);
+            throw new Error('Failed to add the product to your cart. Please try again later.');
+        }
+
+        await this.events.emit('cart:add', {
+            userId,
+            productId: product.id,
+            quantity,
+            price: product.price,
+            source: 'wishlist'
+        });
+        this.remove(userId, product.id, 'move-to-cart');
+    }
+
+    /**
+     * Write a user's wishlist and announce the change
+     * @param {number|null} userId - User ID
+     * @param {Array<Object>} items - Wishlist items
+     * @param {string} reason - `add`, `remove`, `restore` or `move-to-cart`
+     * @param {number} productId - Product added or removed
+     */
+    saveItems(userId, items, reason, productId) {
+        try {
+            if (items.length) {
+                this.storage.setItem(this.getStorageKey(userId), JSON.stringify(items));
+            } else {
+                this.storage.removeItem(this.getStorageKey(userId));
+            }
+        } catch (e) {
+            console.warn('Unable to save wishlist:', e);
+        }
+        this.events.emit('wishlist:changed', {
+            userId,
+            items,
+            reason,
+            productId
+        });
+    }
+}
+
+// Create and export privacy settings instance
+const privacySettings = new PrivacySettings({ events: eventBus });
+
+// Create and export browsing history tracker instance
+const browsingHistoryTracker = new BrowsingHistoryTracker('browsing_history', 20, new LocalStorageAdapter(), eventBus, privacySettings, {
+    isReadOnly: () => registrationAPI.isImpersonating()
+});
+
+// Create and export recommendation preferences instance
+const recommendationPreferences = new RecommendationPreferences();
+
+// Create and export wishlist instance
+const wishlistAPI = new WishlistAPI({
+    events: eventBus,
+    catalog: productCatalogAPI,
+    isReadOnly: () => registrationAPI.isImpersonating()
+});
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        UserAPI,
+        RegistrationAPI,
+        OrderTrackingAPI,
+        ProductCatalogAPI,
+        PRODUCT_SCHEMA,
+        BrowsingHistoryTracker,
+        RecommendationPreferences,
+        PrivacySettings,
+        WishlistAPI
+    };
+}
@@ -6,6 +6,7 @@ class App {
     constructor() {
         this.isInitialized = false;
         this.components = {};
+        this.pruneTimer = null;
         
         this.init();
     }
@@ -67,12 +68,40 @@ class App {
      */
     async initializeComponents() {
         try {
+            // Wait for storage adapters that load asynchronously (e.g. IndexedDB)
+            await Promise.all([
+                registrationAPI.ready(),
+                privacySettings.storage.ready(),
+                browsingHistoryTracker.storage.ready(),
+                recommendationPreferences.storage.ready(),
+                wishlistAPI.storage.ready()
+            ]);
+
+            if (registrationAPI.migrationError) {
+                DashboardUtils.showNotification(
+                    'Account data could not be upgraded. Sign-in and account changes are unavailable.',
+                    'error'
+                );
+            }
+
+            // Delete browsing history older than the retention period, and keep
+            // doing so while the tab stays open
+            browsingHistoryTracker.prune();
+            this.pruneTimer = setInterval(() => browsingHistoryTracker.prune(), 60 * 60 * 1000);
+
             // Initialize dashboard
             initializeDashboard();
             
             // Store component references
             this.components.userProfile = userProfileComponent;
+            this.components.userSwitcher = userSwitcherComponent;
             this.components.recommendations = recommendationsComponent;
+            this.components.wishlist = wishlistComponent;
+            this.components.productDetail = productDetailComponent;
+            this.components.productSearch = productSearchComponent;
+            this.components.browsingHistory = browsingHistoryComponent;
+            this.components.privacyBanner = privacyConsentBanner;
+            this.components.privacySettings = privacySettingsComponent;
             this.components.registration = registrationComponent;
             this.components.orderTracking = orderTrackingComponent;
             
@@ -89,27 +118,6 @@ class App {
      * Set up event listeners for components
      */
     setupComponentEventListeners() {
-        // Listen for profile updates
-        if (this.components.userProfile) {
-            // Add click handler for profile refresh
-            const profileElement = document.getElementById('user-profile');
-            if (profileElement) {
-                profileElement.addEventListener('click', async (e) => {
-                    e.preventDefault();
-                    try {
-                        await this.components.userProfile.refresh();
-                        DashboardUtils.showNotification('Profile refreshed!', 'info');
-                    } catch (error) {
-                        console.error('Error refreshing profile:', error);
-                        DashboardUtils.showNotification('Failed to refresh profile', 'error');
-                    }
-                });
-                
-                // Add tooltip
-                profileElement.title = 'Click to refresh profile';
-            }
-        }
-
         // Set up keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             // Ctrl/Cmd + R to refresh profile
@@ -257,6 +265,9 @@ class App {
      * Destroy the application and clean up resources
      */
     destroy() {
+        clearInterval(this.pruneTimer);
+        this.pruneTimer = null;
+
         // Clean up components
         Object.values(this.components).forEach(component => {
             if (component && typeof component.destroy === 'function') {
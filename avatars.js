@@ -0,0 +1,209 @@
+/**
+ * Avatar providers used by UserAPI to pick a profile's avatar.
+ *
+ * A provider exposes `getURL(profile)` and returns an image URL, or null when it
+ * has nothing for that profile. UserAPI asks each provider in turn; the first URL
+ * is shown and the rest are kept as fallbacks in case an image fails to load.
+ * The initials provider works offline and never returns null, so it belongs
+ * last in the chain.
+ */
+
+/**
+ * Avatar the user uploaded (see AvatarUploadComponent)
+ */
+class UploadedAvatarProvider {
+    /**
+     * @param {Object} profile - Profile data
+     * @returns {string|null} Smallest uploaded size, or null without an upload
+     */
+    getURL(profile) {
+        return profile.avatarSizes?.['80'] || null;
+    }
+}
+
+/**
+ * Gravatar image for the profile's email. Gravatar is asked to answer 404 when
+ * the address has no image, so the next provider in the chain takes over.
+ */
+class GravatarProvider {
+    /**
+     * @param {Object} options - Gravatar settings
+     * @param {number} options.size - Requested image size in pixels
+     * @param {string} options.rating - Highest allowed rating (`g`, `pg`, `r` or `x`)
+     * @param {string} options.baseURL - Gravatar endpoint
+     */
+    constructor({ size = 160, rating = 'g', baseURL = 'https://www.gravatar.com/avatar/' } = {}) {
+        this.size = size;
+        this.rating = rating;
+        this.baseURL = baseURL;
+    }
+
+    /**
+     * @param {Object} profile - Profile data
+     * @returns {string|null} Gravatar URL, or null without an email
+     */
+    getURL(profile) {
+        const email = String(profile.email || '').trim().toLowerCase();
+        if (!email) return null;
+
+        return `${this.baseURL}${md5Hex(email)}?s=${this.size}&r=${this.rating}&d=404`;
+    }
+}
+
+/**
+ * Initials on a coloured circle, generated locally as an SVG data URL. The colour
+ * is derived from the user ID (or name) so it stays the same across sessions.
+ */
+class InitialsAvatarProvider {
+    /**
+     * @param {Object} options - Generator settings
+     * @param {number} options.size - SVG size in pixels
+     * @param {Array<string>} options.palette - Background colours; all should contrast with white text
+     */
+    constructor({
+        size = 80,
+        palette = ['#667eea', '#764ba2', '#2f855a', '#c05621', '#2b6cb0', '#b83280', '#2c7a7b', '#6b46c1']
+    } = {}) {
+        this.size = size;
+        this.palette = palette;
+    }
+
+    /**
+     * @param {Object} profile - Profile data; uses `name` and `id`
+     * @returns {string} SVG data URL
+     */
+    getURL(profile) {
+        const initials = this.getInitials(profile.name);
+        const background = this.getColor(profile.id ?? profile.name ?? '');
+        const size = this.size;
+
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">`
+            + `<rect width="${size}" height="${size}" fill="${background}"/>`
+            + `<text x="50%" y="50%" dy="0.35em" text-anchor="middle" fill="#ffffff" `
+            + `font-family="-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif" `
+            + `font-size="${Math.round(size * 0.4)}" font-weight="600">${this.escapeXml(initials)}</text>`
+            + '</svg>';
+
+        return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    }
+
+    /**
+     * First letters of the first and last words of a name
+     * @param {string} name - Full name
+     * @returns {string} One or two uppercase letters, or `?` for an empty name
+     */
+    getInitials(name) {
+        const words = String(name || '').trim().split(/\s+/).filter(Boolean);
+        if (!words.length) return '?';
+
+        const first = Array.from(words[0])[0];
+        const last = words.length > 1 ? Array.from(words[words.length - 1])[0] : '';
+        return (first + last).toUpperCase();
+    }
+
+    /**
+     * Pick a palette colour from a stable string hash
+     * @param {string|number} seed - User ID or name
+     * @returns {string} CSS colour
+     */
+    getColor(seed) {
+        const hash = Array.from(String(seed)).reduce((acc, char) => {
+            return (acc * 31 + char.codePointAt(0)) >>> 0;
+        }, 7);
+        return this.palette[hash % this.palette.length];
+    }
+
+    /**
+     * Escape text for use inside SVG markup
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    escapeXml(text) {
+        return text.replace(/[<>&'"]/g, char => ({
+            '<': '&lt;',
+            '>': '&gt;',
+            '&': '&amp;',
+            "'": '&apos;',
+            '"': '&quot;'
+        })[char]);
+    }
+}
+
+/**
+ * MD5 hex digest of a string's UTF-8 bytes, as required for Gravatar URLs.
+ * Web Crypto has no MD5, and it is only used to build an image URL.
+ * @param {string} text - Input text
+ * @returns {string} 32-character hex digest
+ */
+function md5Hex(text) {
+    const bytes = new TextEncoder().encode(text);
+    const shifts = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+    const constants = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) >>> 0);
+
+    // Pad to a multiple of 64 bytes: 0x80, zeros, then the bit length (little-endian)
+    const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+    const padded = new Uint8Array(paddedLength);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(paddedLength - 8, (bytes.length * 8) >>> 0, true);
+    view.setUint32(paddedLength - 4, Math.floor(bytes.length / 0x20000000), true);
+
+    let a0 = 0x67452301;
+    let b0 = 0xefcdab89;
+    let c0 = 0x98badcfe;
+    let d0 = 0x10325476;
+
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+        const words = Array.from({ length: 16 }, (_, i) => view.getUint32(offset + i * 4, true));
+        let a = a0;
+        let b = b0;
+        let c = c0;
+        let d = d0;
+
+        for (let i = 0; i < 64; i++) {
+            const round = i >> 4;
+            let f;
+            let g;
+            if (round === 0) {
+                f = (b & c) | (~b & d);
+                g = i;
+            } else if (round === 1) {
+                f = (d & b) | (~d & c);
+                g = (5 * i + 1) % 16;
+            } else if (round === 2) {
+                f = b ^ c ^ d;
+                g = (3 * i + 5) % 16;
+            } else {
+                f = c ^ (b | ~d);
+                g = (7 * i) % 16;
+            }
+
+            const sum = (a + f + constants[i] + words[g]) >>> 0;
+            const shift = shifts[round * 4 + (i % 4)];
+            a = d;
+            d = c;
+            c = b;
+            b = (b + ((sum << shift) | (sum >>> (32 - shift)))) >>> 0;
+        }
+
+        a0 = (a0 + a) >>> 0;
+        b0 = (b0 + b) >>> 0;
+        c0 = (c0 + c) >>> 0;
+        d0 = (d0 + d) >>> 0;
+    }
+
+    return [a0, b0, c0, d0]
+        .map(word => Array.from({ length: 4 }, (_, i) => ((word >>> (i * 8)) & 0xff).toString(16).padStart(2, '0')).join(''))
+        .join('');
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        UploadedAvatarProvider,
+        GravatarProvider,
+        InitialsAvatarProvider,
+        md5Hex
+    };
+}
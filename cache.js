@@ -0,0 +1,181 @@
+/**
+ * In-memory response cache for UserAPI with per-key-prefix TTLs, a least-recently-used
+ * size cap, a stale window for stale-while-revalidate reads and tag/prefix invalidation.
+ */
+
+class ResponseCache {
+    /**
+     * @param {Object} options - Cache settings
+     * @param {number} options.maxEntries - Entries kept before the least recently used is evicted
+     * @param {Object<string, number>} options.ttls - Freshness lifetime in milliseconds per key prefix
+     * @param {number} options.defaultTtl - Freshness lifetime for keys matching no prefix
+     * @param {number} options.staleTtl - How long past expiry an entry may still be served stale
+     */
+    constructor({
+        maxEntries = 100,
+        ttls = {},
+        defaultTtl = 5 * 60 * 1000,
+        staleTtl = 10 * 60 * 1000
+    } = {}) {
+        this.maxEntries = maxEntries;
+        this.ttls = ttls;
+        this.defaultTtl = defaultTtl;
+        this.staleTtl = staleTtl;
+        // Map iteration order doubles as recency order: oldest first
+        this.entries = new Map();
+    }
+
+    /**
+     * Freshness lifetime for a key, using the longest matching prefix
+     * @param {string} key - Cache key
+     * @returns {number} TTL in milliseconds
+     */
+    getTtl(key) {
+        const prefix = Object.keys(this.ttls)
+            .filter(item => key.startsWith(item))
+            .sort((a, b) => b.length - a.length)[0];
+        return prefix !== undefined ? this.ttls[prefix] : this.defaultTtl;
+    }
+
+    /**
+     * Read an entry with its freshness, without discarding stale data
+     * @param {string} key - Cache key
+     * @returns {{value: any, isStale: boolean, storedAt: number}|null} Entry or null when missing
+     */
+    peek(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        const now = Date.now();
+        if (now > entry.expiresAt + this.staleTtl) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        // Mark as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        return {
+            value: entry.value,
+            isStale: now > entry.expiresAt,
+            storedAt: entry.storedAt
+        };
+    }
+
+    /**
+     * Read a fresh value
+     * @param {string} key - Cache key
+     * @returns {any} Cached value, or undefined when missing or expired
+     */
+    get(key) {
+        const entry = this.peek(key);
+        return entry && !entry.isStale ? entry.value : undefined;
+    }
+
+    /**
+     * Whether a fresh value is cached
+     * @param {string} key - Cache key
+     * @returns {boolean}
+     */
+    has(key) {
+        return this.get(key) !== undefined;
+    }
+
+    /**
+     * Store a value, evicting the least recently used entries beyond the size cap
+     * @param {string} key - Cache key
+     * @param {any} value - Value to cache
+     * @param {Object} options - Entry options
+     * @param {Array<string>} options.tags - Tags for group invalidation, e.g. `user:1`;
+     *   when omitted, tags of an existing entry for the key are kept
+     * @returns {ResponseCache} This cache
+     */
+    set(key, value, { tags } = {}) {
+        const now = Date.now();
+        const previous = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, {
+            value,
+            tags: tags || previous?.tags || [],
+            storedAt: now,
+            expiresAt: now + this.getTtl(key)
+        });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        return this;
+    }
+
+    /**
+     * Remove an entry
+     * @param {string} key - Cache key
+     * @returns {boolean} Whether an entry was removed
+     */
+    delete(key) {
+        return this.entries.delete(key);
+    }
+
+    /**
+     * Remove every entry carrying a tag
+     * @param {string} tag - Tag to invalidate
+     * @returns {Array<string>} Removed keys
+     */
+    invalidateTag(tag) {
+        return this.removeWhere((key, entry) => entry.tags.includes(tag));
+    }
+
+    /**
+     * Remove every entry whose key starts with a prefix
+     * @param {string} prefix - Key prefix to invalidate
+     * @returns {Array<string>} Removed keys
+     */
+    invalidatePrefix(prefix) {
+        return this.removeWhere(key => key.startsWith(prefix));
+    }
+
+    /**
+     * Remove entries matching a predicate
+     * @param {Function} predicate - Receives the key and raw entry
+     * @returns {Array<string>} Removed keys
+     */
+    removeWhere(predicate) {
+        const removed = [];
+        this.entries.forEach((entry, key) => {
+            if (predicate(key, entry)) {
+                removed.push(key);
+            }
+        });
+        removed.forEach(key => this.entries.delete(key));
+        return removed;
+    }
+
+    /**
+     * Remove all entries
+     */
+    clear() {
+        this.entries.clear();
+    }
+
+    /**
+     * Keys currently held, least recently used first
+     * @returns {Array<string>} Cache keys
+     */
+    keys() {
+        return Array.from(this.entries.keys());
+    }
+
+    /**
+     * Number of entries held, including stale ones
+     * @returns {number}
+     */
+    get size() {
+        return this.entries.size;
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResponseCache;
+}
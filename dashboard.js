@@ -3,12 +3,23 @@
  */
 
 class UserProfileComponent {
-    constructor(containerId, api) {
+    /**
+     * @param {string} containerId - ID of the DOM container to render into
+     * @param {UserAPI} api - The shared API instance
+     * @param {RegistrationAPI} authApi - Source of the signed-in session
+     */
+    constructor(containerId, api, authApi) {
         this.container = document.getElementById(containerId);
         this.api = api;
+        this.authApi = authApi;
         this.currentUser = null;
         this.isLoading = false;
         this.unsubscribe = null;
+        this.unsubscribeSession = null;
+        this.unsubscribeServiceStatus = null;
+        this.retryTimer = null;
+        this.avatarUpload = new AvatarUploadComponent('avatar-upload', api, this);
+        this.profileCard = new ProfileCardComponent('profile-card', this.container, this);
         
         this.init();
     }
@@ -23,24 +34,48 @@ class UserProfileComponent {
         }
 
         // Subscribe to real-time updates
-        this.unsubscribe = this.api.subscribe((profileData) => {
+        this.unsubscribe = this.api.events.on('profile:updated', (profileData) => {
             this.handleProfileUpdate(profileData);
         });
 
+        // Reload whenever a user signs in, signs out or the session expires
+        this.unsubscribeSession = this.authApi.events.on('auth:changed', () => {
+            this.profileCard.close(false);
+            this.loadUserProfile();
+        });
+
+        // Retry automatically once the profile endpoint recovers
+        this.unsubscribeServiceStatus = this.api.events.on('service:status', () => {
+            if (!this.getProfileBreaker() && this.container.classList.contains('error')) {
+                this.loadUserProfile();
+            }
+        });
+
         // Load initial profile data
         this.loadUserProfile();
     }
 
     /**
      * Load user profile data from API
+     * @param {number|null} userId - Defaults to the signed-in (or impersonated) user
      */
-    async loadUserProfile(userId = 1) {
+    async loadUserProfile(userId = this.authApi.getActiveUserId()) {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+
+        if (!userId) {
+            this.currentUser = null;
+            this.renderSignedOut();
+            return;
+        }
+
         try {
             this.setLoadingState(true);
             
             const profileData = await this.api.fetchUserProfile(userId);
             this.currentUser = profileData;
             this.renderProfile(profileData);
+            this.profileCard.update(profileData);
             
         } catch (error) {
             console.error('Error loading user profile:', error);
@@ -57,6 +92,7 @@ class UserProfileComponent {
         if (this.currentUser && profileData.id === this.currentUser.id) {
             this.currentUser = profileData;
             this.renderProfile(profileData, true); // true indicates this is an update
+            this.profileCard.update(profileData);
         }
     }
 
@@ -88,26 +124,82 @@ class UserProfileComponent {
         }
 
         this.container.innerHTML = `
-            <img 
-                src="${profileData.avatar || this.api.getDefaultAvatar()}" 
-                alt="${profileData.name}'s avatar" 
-                class="user-avatar"
-                onerror="this.src='${this.api.getDefaultAvatar()}'"
-            >
+            <img class="user-avatar">
             <div class="user-info">
                 <div class="user-name">${this.escapeHtml(profileData.name)}</div>
                 <div class="user-email">${this.escapeHtml(profileData.email)}</div>
             </div>
         `;
 
+        // Set the image through the DOM so quotes in profile data cannot break the markup
+        const avatar = this.container.querySelector('.user-avatar');
+        const sizes = profileData.avatarSizes;
+        if (sizes) {
+            avatar.srcset = `${sizes['80']} 80w, ${sizes['160']} 160w, ${sizes['320']} 320w`;
+            avatar.sizes = '40px';
+        }
+        avatar.src = profileData.avatar || this.api.getDefaultAvatar();
+        avatar.alt = `${profileData.name}'s avatar`;
+
+        this.bindAvatarFallbacks(
+            avatar,
+            [...(profileData.avatarFallbacks || []), this.api.getDefaultAvatar()]
+        );
+
         // Remove any error state
         this.container.classList.remove('error');
     }
 
+    /**
+     * Walk down the avatar provider chain when an image fails to load,
+     * ending with the default avatar
+     */
+    bindAvatarFallbacks(image, fallbacks) {
+        if (!image) return;
+
+        const remaining = [...fallbacks];
+        image.addEventListener('error', () => {
+            const next = remaining.shift();
+            if (next) {
+                image.removeAttribute('srcset');
+                image.src = next;
+            }
+        });
+    }
+
+    /**
+     * Render the signed-out placeholder
+     */
+    renderSignedOut() {
+        this.container.classList.remove('error');
+        this.container.innerHTML = `
+            <img 
+                src="${this.api.getDefaultAvatar()}" 
+                alt="Default avatar" 
+                class="user-avatar"
+            >
+            <div class="user-info">
+                <div class="user-name">Guest</div>
+                <div class="user-email">Sign in to view your profile</div>
+            </div>
+        `;
+    }
+
     /**
      * Render error state
      */
     renderError(errorMessage) {
+        const breaker = this.getProfileBreaker();
+        const title = breaker ? 'Service degraded' : 'Unable to load profile';
+        let detail = errorMessage;
+        if (breaker?.retryAt) {
+            detail = `Profile service is having trouble. Retrying at ${DashboardUtils.formatDate(breaker.retryAt)}.`;
+            // The breaker lets a trial request through once its cool-down ends
+            this.retryTimer = setTimeout(() => this.loadUserProfile(), Math.max(0, breaker.retryAt - Date.now()));
+        } else if (breaker) {
+            detail = 'Profile service is having trouble. Please try again shortly.';
+        }
+
         this.container.classList.add('error');
         this.container.innerHTML = `
             <img 
@@ -116,12 +208,22 @@ class UserProfileComponent {
                 class="user-avatar"
             >
             <div class="user-info">
-                <div class="user-name">Unable to load profile</div>
-                <div class="user-email error-message">${this.escapeHtml(errorMessage)}</div>
+                <div class="user-name">${title}</div>
+                <div class="user-email error-message">${this.escapeHtml(detail)}</div>
             </div>
         `;
     }
 
+    /**
+     * Circuit breaker state of the profile endpoint while it is not closed
+     * @returns {{state: string, retryAt: number|null}|null} Breaker state, or null when healthy
+     */
+    getProfileBreaker() {
+        const profile = this.api.getServiceStatus().endpoints
+            .find(item => item.endpoint === 'GET /users/:id');
+        return profile && profile.state !== 'closed' ? profile : null;
+    }
+
     /**
      * Escape HTML to prevent XSS attacks
      */
@@ -143,27 +245,36 @@ class UserProfileComponent {
     }
 
     /**
-     * Update profile data
+     * Save changed profile fields. The API publishes the optimistic profile (and
+     * any rollback) as `profile:updated`, so rendering happens in handleProfileUpdate.
+     * @param {Object} changes - Only the fields that changed
      */
-    async updateProfile(newData) {
+    async updateProfile(changes) {
         if (!this.currentUser) return;
 
         try {
-            this.setLoadingState(true);
-            
-            const updatedProfile = await this.api.updateUserProfile(this.currentUser.id, newData);
-            this.currentUser = updatedProfile;
-            this.renderProfile(updatedProfile, true);
-            
-            return updatedProfile;
+            return await this.api.updateUserProfile(this.currentUser.id, changes);
         } catch (error) {
             console.error('Error updating profile:', error);
             throw error;
-        } finally {
-            this.setLoadingState(false);
         }
     }
 
+    /**
+     * Open the avatar upload dialog for the signed-in user
+     */
+    openAvatarUpload() {
+        if (!this.currentUser) {
+            DashboardUtils.showNotification('Sign in to change your avatar.', 'info');
+            return;
+        }
+        if (this.authApi.isImpersonating()) {
+            DashboardUtils.showNotification('Profiles are read-only while viewing as another user.', 'info');
+            return;
+        }
+        this.avatarUpload.open();
+    }
+
     /**
      * Get current user data
      */
@@ -178,6 +289,18 @@ class UserProfileComponent {
         if (this.unsubscribe) {
             this.unsubscribe();
         }
+
+        if (this.unsubscribeSession) {
+            this.unsubscribeSession();
+        }
+
+        if (this.unsubscribeServiceStatus) {
+            this.unsubscribeServiceStatus();
+        }
+
+        clearTimeout(this.retryTimer);
+        this.avatarUpload.destroy();
+        this.profileCard.destroy();
         
         if (this.container) {
             this.container.innerHTML = '';
@@ -212,8 +335,13 @@ class DashboardUtils {
 
     /**
      * Show notification message
+     * @param {string} message - Message text
+     * @param {string} type - `info`, `success`, `warning` or `error`
+     * @param {Object} options - Optional action button
+     * @param {string} options.actionLabel - Button label, e.g. `Retry`
+     * @param {Function} options.onAction - Called when the button is clicked
      */
-    static showNotification(message, type = 'info') {
+    static showNotification(message, type = 'info', { actionLabel, onAction } = {}) {
         // Create notification element if it doesn't exist
         let notification = document.getElementById('notification');
         if (!notification) {
@@ -246,14 +374,27 @@ class DashboardUtils {
 
         notification.style.backgroundColor = colors[type] || colors.info;
         notification.textContent = message;
+
+        if (actionLabel && onAction) {
+            const actionButton = document.createElement('button');
+            actionButton.type = 'button';
+            actionButton.className = 'notification-action';
+            actionButton.textContent = actionLabel;
+            actionButton.addEventListener('click', () => {
+                notification.style.transform = 'translateX(100%)';
+                onAction();
+            });
+            notification.appendChild(actionButton);
+        }
         
         // Show notification
         notification.style.transform = 'translateX(0)';
         
-        // Hide after 3 seconds
-        setTimeout(() => {
+        // Hide after 3 seconds, or 6 when there is an action to take
+        clearTimeout(notification.hideTimer);
+        notification.hideTimer = setTimeout(() => {
             notification.style.transform = 'translateX(100%)';
-        }, 3000);
+        }, actionLabel ? 6000 : 3000);
     }
 
     /**
@@ -271,216 +412,3164 @@ class DashboardUtils {
     }
 
     /**
-     * Check if device is mobile
+     * Format a date relative to now, e.g. "5 minutes ago" or "yesterday"
+     * @param {string} dateString - ISO date
+     * @param {number} now - Reference time in milliseconds
+     * @returns {string} Relative time, or an empty string for an invalid date
+     */
+    static formatRelativeTime(dateString, now = Date.now()) {
+        const seconds = Math.round((new Date(dateString).getTime() - now) / 1000);
+        if (Number.isNaN(seconds)) return '';
+
+        const units = [
+            ['year', 365 * 24 * 3600],
+            ['month', 30 * 24 * 3600],
+            ['week', 7 * 24 * 3600],
+            ['day', 24 * 3600],
+            ['hour', 3600],
+            ['minute', 60]
+        ];
+        const match = units.find(([, size]) => Math.abs(seconds) >= size);
+        if (!match) return 'just now';
+
+        const formatter = new Intl.RelativeTimeFormat('en-US', { numeric: 'auto' });
+        return formatter.format(Math.round(seconds / match[1]), match[0]);
+    }
+
+    /**
+     * Format a duration, e.g. "45s" or "3m 20s"
+     * @param {number} milliseconds - Duration
+     * @returns {string} Formatted duration
+     */
+    static formatDuration(milliseconds) {
+        const totalSeconds = Math.round((milliseconds || 0) / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        if (!minutes) return `${seconds}s`;
+        return seconds ? `${minutes}m ${seconds}s` : `${minutes}m`;
+    }
+
+    /**
+     * Whether a location hash names one of the app's pages rather than the dashboard.
+     * Pages only show the dashboard again when the new hash is not another page.
+     * @param {string} hash - Location hash
+     * @returns {boolean}
+     */
+    static isPageRoute(hash) {
+        return /^#\/(products\/\d+|history|privacy)$/.test(hash || '');
+    }
+
+    /**
+     * Copy text to the clipboard. Falls back to a hidden textarea where the
+     * Clipboard API is missing or refused (e.g. pages not served over HTTPS).
+     * @param {string} text - Text to copy
+     * @returns {Promise<boolean>} Whether the text was copied
+     */
+    static async copyToClipboard(text) {
+        if (navigator.clipboard?.writeText) {
+            try {
+                await navigator.clipboard.writeText(text);
+                return true;
+            } catch (error) {
+                console.warn('Clipboard API copy failed:', error);
+            }
+        }
+
+        const previousFocus = document.activeElement;
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.className = 'visually-hidden';
+        document.body.appendChild(textarea);
+        textarea.select();
+
+        let copied = false;
+        try {
+            copied = document.execCommand('copy');
+        } catch (error) {
+            console.warn('Fallback copy failed:', error);
+        }
+        textarea.remove();
+        previousFocus?.focus?.();
+        return copied;
+    }
+
+    /**
+     * Check if device is mobile
+     */
+    static isMobile() {
+        return window.innerWidth <= 768;
+    }
+
+    /**
+     * Debounce function for performance optimization
+     */
+    static debounce(func, wait) {
+        let timeout;
+        return function executedFunction(...args) {
+            const later = () => {
+                clearTimeout(timeout);
+                func(...args);
+            };
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+        };
+    }
+}
+
+/**
+ * Modal editor for the signed-in user's profile. Validates the edited fields,
+ * shows the changes for review and saves only the fields that changed.
+ */
+class ProfileEditorComponent {
+    /**
+     * @param {string} containerId - ID of the modal overlay element
+     * @param {UserAPI} api - The shared API instance
+     * @param {UserProfileComponent} profileComponent - Profile component that performs the save
+     */
+    constructor(containerId, api, profileComponent) {
+        this.container = document.getElementById(containerId);
+        this.api = api;
+        this.profileComponent = profileComponent;
+        this.profile = null;
+        this.editedValues = null;
+        this.changes = [];
+        this.returnFocusTo = null;
+        this.fieldLabels = {
+            name: 'Name',
+            email: 'Email',
+            phone: 'Phone',
+            website: 'Website',
+            company: 'Company'
+        };
+
+        this.init();
+    }
+
+    /** Close on Escape or a click outside the dialog */
+    init() {
+        if (!this.container) {
+            console.error('Profile editor container not found');
+            return;
+        }
+
+        this.container.addEventListener('click', (event) => {
+            if (event.target === this.container || event.target.closest('[data-action="cancel"]')) {
+                this.close();
+            }
+        });
+
+        this.container.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Open the editor for a profile
+     * @param {Object} profile - Profile being edited
+     * @param {Object} values - Initial field values; defaults to the profile
+     * @param {Object<string, string>} fieldErrors - Error message per field to show
+     */
+    open(profile, values = profile, fieldErrors = {}) {
+        if (!this.container || !profile) return;
+
+        this.profile = profile;
+        this.editedValues = null;
+        this.changes = [];
+        this.returnFocusTo = document.activeElement;
+        this.container.classList.remove('hidden');
+        this.renderForm(values, fieldErrors);
+    }
+
+    /** Close the editor and return focus to where it was */
+    close() {
+        if (!this.container) return;
+
+        this.container.classList.add('hidden');
+        this.container.innerHTML = '';
+        this.profile = null;
+        this.returnFocusTo?.focus?.();
+    }
+
+    /**
+     * Render the edit form
+     * @param {Object} values - Field values to show
+     * @param {Object<string, string>} fieldErrors - Error message per field
+     */
+    renderForm(values, fieldErrors = {}) {
+        const fields = Object.entries(this.fieldLabels).map(([field, label]) => {
+            const error = fieldErrors[field];
+            const type = field === 'email' ? 'email' : field === 'phone' ? 'tel' : 'text';
+            return `
+                <label>
+                    ${label}
+                    <input
+                        type="${type}"
+                        name="${field}"
+                        ${error ? `aria-invalid="true" aria-describedby="profile-editor-${field}-error"` : ''}
+                        ${field === 'name' || field === 'email' ? 'required' : ''}
+                    >
+                    ${error ? `<span id="profile-editor-${field}-error" class="field-error">${this.escapeHtml(error)}</span>` : ''}
+                </label>
+            `;
+        }).join('');
+
+        this.container.innerHTML = `
+            <div class="modal" role="dialog" aria-modal="true" aria-labelledby="profile-editor-title">
+                <h3 id="profile-editor-title" class="modal-title">Edit Profile</h3>
+                <form id="profile-editor-form" class="form-grid" novalidate>
+                    ${fields}
+                    <div class="modal-actions">
+                        <button type="button" class="btn btn-secondary" data-action="cancel">Cancel</button>
+                        <button type="submit" class="btn btn-primary">Review Changes</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        // Set values through the DOM so quotes in user data cannot break the markup
+        const form = this.container.querySelector('#profile-editor-form');
+        Object.keys(this.fieldLabels).forEach(field => {
+            form.elements[field].value = values[field] ?? '';
+        });
+
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.handleReview();
+        });
+
+        const focusTarget = form.querySelector('[aria-invalid="true"]') || form.querySelector('input');
+        focusTarget?.focus();
+    }
+
+    /**
+     * Read the current form values
+     * @returns {Object} Values keyed by field
+     */
+    readForm() {
+        const formData = new FormData(this.container.querySelector('#profile-editor-form'));
+        return Object.keys(this.fieldLabels).reduce((values, field) => {
+            values[field] = String(formData.get(field) || '');
+            return values;
+        }, {});
+    }
+
+    /** Validate the form and show the changes for confirmation */
+    handleReview() {
+        const values = this.readForm();
+        const fieldErrors = this.api.validateProfileData(values);
+        if (Object.keys(fieldErrors).length) {
+            this.renderForm(values, fieldErrors);
+            return;
+        }
+
+        const changes = this.api.diffProfile(this.profile, values);
+        if (!changes.length) {
+            DashboardUtils.showNotification('No changes to save.', 'info');
+            return;
+        }
+
+        this.editedValues = values;
+        this.changes = changes;
+        this.renderReview();
+    }
+
+    /** Render the before/after review of pending changes */
+    renderReview() {
+        const rows = this.changes.map(change => `
+            <tr>
+                <th scope="row">${this.fieldLabels[change.field]}</th>
+                <td class="profile-diff-from">${change.from ? this.escapeHtml(change.from) : '<em>empty</em>'}</td>
+                <td class="profile-diff-to">${change.to ? this.escapeHtml(change.to) : '<em>empty</em>'}</td>
+            </tr>
+        `).join('');
+
+        this.container.innerHTML = `
+            <div class="modal" role="dialog" aria-modal="true" aria-labelledby="profile-editor-title">
+                <h3 id="profile-editor-title" class="modal-title">Review Changes</h3>
+                <table class="profile-diff">
+                    <thead>
+                        <tr><th scope="col">Field</th><th scope="col">Current</th><th scope="col">New</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                <div class="modal-actions">
+                    <button type="button" class="btn btn-secondary" data-action="back">Back</button>
+                    <button type="button" class="btn btn-primary" data-action="save">Save Changes</button>
+                </div>
+            </div>
+        `;
+
+        this.container.querySelector('[data-action="back"]').addEventListener('click', () => {
+            this.renderForm(this.editedValues);
+        });
+        const saveButton = this.container.querySelector('[data-action="save"]');
+        saveButton.addEventListener('click', () => this.handleSave());
+        saveButton.focus();
+    }
+
+    /** Close the editor and save in the background; the profile updates optimistically */
+    handleSave() {
+        const changedFields = this.changes.reduce((fields, change) => {
+            fields[change.field] = change.to;
+            return fields;
+        }, {});
+        const editedValues = this.editedValues;
+
+        this.close();
+        this.saveChanges(changedFields, editedValues);
+    }
+
+    /**
+     * Save changed fields and report the outcome. A failed save has already been
+     * rolled back, so the error notification offers to retry or edit again.
+     * @param {Object} changedFields - Fields to send
+     * @param {Object} editedValues - Full form values, for reopening the editor
+     */
+    async saveChanges(changedFields, editedValues) {
+        try {
+            await this.profileComponent.updateProfile(changedFields);
+            DashboardUtils.showNotification('Profile updated successfully!', 'success');
+        } catch (error) {
+            const profile = this.profileComponent.getCurrentUser();
+            if (error.fieldErrors && profile) {
+                DashboardUtils.showNotification('Your profile changes were undone. Please correct the highlighted fields.', 'error');
+                this.open(profile, editedValues, error.fieldErrors);
+                return;
+            }
+
+            DashboardUtils.showNotification('Your profile changes could not be saved and were undone.', 'error', {
+                actionLabel: 'Retry',
+                onAction: () => this.saveChanges(changedFields, editedValues)
+            });
+        }
+    }
+
+    /**
+     * Escape HTML to prevent XSS attacks
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+
+    /** Destroy component */
+    destroy() {
+        if (this.container) {
+            this.container.innerHTML = '';
+            this.container.classList.add('hidden');
+        }
+    }
+}
+
+/**
+ * Avatar upload dialog: pick or drop an image, choose a square crop, then
+ * resize it on a canvas to every avatar size and save it through UserAPI.
+ */
+class AvatarUploadComponent {
+    /**
+     * @param {string} containerId - ID of the modal overlay element
+     * @param {UserAPI} api - The shared API instance
+     * @param {UserProfileComponent} profileComponent - Profile whose avatar is changed
+     */
+    constructor(containerId, api, profileComponent) {
+        this.container = document.getElementById(containerId);
+        this.api = api;
+        this.profileComponent = profileComponent;
+        this.viewportSize = 240;
+        this.image = null;
+        this.crop = { x: 0, y: 0, zoom: 1 };
+        this.drag = null;
+        this.returnFocusTo = null;
+
+        this.init();
+    }
+
+    /** Close on Escape or a click outside the dialog */
+    init() {
+        if (!this.container) {
+            console.error('Avatar upload container not found');
+            return;
+        }
+
+        this.container.addEventListener('click', (event) => {
+            if (event.target === this.container || event.target.closest('[data-action="cancel"]')) {
+                this.close();
+            }
+        });
+
+        this.container.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                this.close();
+            }
+        });
+    }
+
+    /** Open the dialog at the file selection step */
+    open() {
+        if (!this.container) return;
+
+        this.image = null;
+        this.returnFocusTo = document.activeElement;
+        this.container.classList.remove('hidden');
+        this.renderPicker();
+    }
+
+    /** Close the dialog and return focus to where it was */
+    close() {
+        if (!this.container) return;
+
+        this.container.classList.add('hidden');
+        this.container.innerHTML = '';
+        this.image = null;
+        this.drag = null;
+        this.returnFocusTo?.focus?.();
+    }
+
+    /**
+     * Render the file picker and drop zone
+     * @param {string} errorMessage - Optional validation error to show
+     */
+    renderPicker(errorMessage = '') {
+        const hasUpload = Boolean(this.profileComponent.getCurrentUser()?.avatarSizes);
+
+        this.container.innerHTML = `
+            <div class="modal" role="dialog" aria-modal="true" aria-labelledby="avatar-upload-title">
+                <h3 id="avatar-upload-title" class="modal-title">Change Avatar</h3>
+                <label class="avatar-drop-zone" id="avatar-drop-zone">
+                    <input type="file" id="avatar-file-input" class="visually-hidden" accept="${this.api.avatarTypes.join(',')}">
+                    <span>Drag an image here or <strong>choose a file</strong></span>
+                    <span class="avatar-drop-hint">JPEG, PNG, WebP or GIF, up to ${Math.round(this.api.maxAvatarBytes / (1024 * 1024))} MB</span>
+                </label>
+                <div id="avatar-upload-errors" class="form-errors ${errorMessage ? '' : 'hidden'}" role="alert">${this.escapeHtml(errorMessage)}</div>
+                <div class="modal-actions">
+                    ${hasUpload ? '<button type="button" class="btn btn-secondary" data-action="remove">Remove Photo</button>' : ''}
+                    <button type="button" class="btn btn-secondary" data-action="cancel">Cancel</button>
+                </div>
+            </div>
+        `;
+
+        const input = this.container.querySelector('#avatar-file-input');
+        input.addEventListener('change', () => this.handleFile(input.files[0]));
+
+        const dropZone = this.container.querySelector('#avatar-drop-zone');
+        dropZone.addEventListener('dragover', (event) => {
+            event.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+        dropZone.addEventListener('dragleave', () => dropZone.classList.remove('drag-over'));
+        dropZone.addEventListener('drop', (event) => {
+            event.preventDefault();
+            dropZone.classList.remove('drag-over');
+            this.handleFile(event.dataTransfer.files[0]);
+        });
+
+        this.container.querySelector('[data-action="remove"]')?.addEventListener('click', () => {
+            this.save(null);
+        });
+
+        input.focus();
+    }
+
+    /**
+     * Validate and decode a chosen file, then show the crop step
+     * @param {File} file - Selected or dropped file
+     */
+    async handleFile(file) {
+        const error = this.api.validateAvatarFile(file);
+        if (error) {
+            this.renderPicker(error);
+            return;
+        }
+
+        try {
+            const image = await this.loadImage(file);
+            const minSize = this.api.avatarSizes[0];
+            if (Math.min(image.naturalWidth, image.naturalHeight) < minSize) {
+                this.renderPicker(`Image must be at least ${minSize} × ${minSize} pixels.`);
+                return;
+            }
+
+            this.image = image;
+            this.crop = { x: 0, y: 0, zoom: 1 };
+            this.clampCrop();
+            this.renderCropper();
+        } catch (loadError) {
+            console.error('Error reading avatar image:', loadError);
+            this.renderPicker('That file could not be read as an image.');
+        }
+    }
+
+    /**
+     * Decode an image file
+     * @param {File} file - Image file
+     * @returns {Promise<HTMLImageElement>} Loaded image
+     */
+    loadImage(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Image failed to load'));
+            };
+            image.src = url;
+        });
+    }
+
+    /** Render the square crop step */
+    renderCropper() {
+        this.container.innerHTML = `
+            <div class="modal" role="dialog" aria-modal="true" aria-labelledby="avatar-upload-title">
+                <h3 id="avatar-upload-title" class="modal-title">Crop Avatar</h3>
+                <p class="avatar-crop-help">Drag the image (or use the arrow keys) to position it, and zoom to fit.</p>
+                <canvas
+                    id="avatar-crop-canvas"
+                    class="avatar-crop-canvas"
+                    width="${this.viewportSize}"
+                    height="${this.viewportSize}"
+                    tabindex="0"
+                    aria-label="Avatar crop area"
+                ></canvas>
+                <label class="avatar-zoom">
+                    Zoom
+                    <input type="range" id="avatar-zoom" min="1" max="3" step="0.01" value="${this.crop.zoom}">
+                </label>
+                <div class="modal-actions">
+                    <button type="button" class="btn btn-secondary" data-action="back">Choose Another</button>
+                    <button type="button" class="btn btn-primary" data-action="save">Save Avatar</button>
+                </div>
+            </div>
+        `;
+
+        const canvas = this.container.querySelector('#avatar-crop-canvas');
+        canvas.addEventListener('pointerdown', (event) => {
+            canvas.setPointerCapture(event.pointerId);
+            this.drag = { pointerX: event.clientX, pointerY: event.clientY, x: this.crop.x, y: this.crop.y };
+        });
+        canvas.addEventListener('pointermove', (event) => {
+            if (!this.drag) return;
+            this.crop.x = this.drag.x + (event.clientX - this.drag.pointerX);
+            this.crop.y = this.drag.y + (event.clientY - this.drag.pointerY);
+            this.clampCrop();
+            this.drawPreview();
+        });
+        canvas.addEventListener('pointerup', () => {
+            this.drag = null;
+        });
+        canvas.addEventListener('keydown', (event) => {
+            const moves = { ArrowLeft: [10, 0], ArrowRight: [-10, 0], ArrowUp: [0, 10], ArrowDown: [0, -10] };
+            if (!moves[event.key]) return;
+            event.preventDefault();
+            this.crop.x += moves[event.key][0];
+            this.crop.y += moves[event.key][1];
+            this.clampCrop();
+            this.drawPreview();
+        });
+
+        this.container.querySelector('#avatar-zoom').addEventListener('input', (event) => {
+            this.setZoom(Number(event.target.value));
+        });
+        this.container.querySelector('[data-action="back"]').addEventListener('click', () => this.renderPicker());
+        this.container.querySelector('[data-action="save"]').addEventListener('click', () => {
+            this.save(this.renderSizes());
+        });
+
+        this.drawPreview();
+        canvas.focus();
+    }
+
+    /**
+     * Scale of the image in the crop viewport; zoom 1 just covers the square
+     * @returns {number} Viewport pixels per image pixel
+     */
+    getScale() {
+        const { naturalWidth, naturalHeight } = this.image;
+        return (this.viewportSize / Math.min(naturalWidth, naturalHeight)) * this.crop.zoom;
+    }
+
+    /**
+     * Zoom around the centre of the viewport
+     * @param {number} zoom - New zoom factor (1-3)
+     */
+    setZoom(zoom) {
+        const previousScale = this.getScale();
+        const centre = this.viewportSize / 2;
+        this.crop.zoom = zoom;
+        const ratio = this.getScale() / previousScale;
+
+        this.crop.x = centre - (centre - this.crop.x) * ratio;
+        this.crop.y = centre - (centre - this.crop.y) * ratio;
+        this.clampCrop();
+        this.drawPreview();
+    }
+
+    /** Keep the image covering the whole crop square */
+    clampCrop() {
+        const scale = this.getScale();
+        const minX = this.viewportSize - this.image.naturalWidth * scale;
+        const minY = this.viewportSize - this.image.naturalHeight * scale;
+        this.crop.x = Math.min(0, Math.max(minX, this.crop.x));
+        this.crop.y = Math.min(0, Math.max(minY, this.crop.y));
+    }
+
+    /**
+     * The cropped square in image pixels
+     * @returns {{sx: number, sy: number, size: number}} Source rectangle
+     */
+    getCropRect() {
+        const scale = this.getScale();
+        return {
+            sx: -this.crop.x / scale,
+            sy: -this.crop.y / scale,
+            size: this.viewportSize / scale
+        };
+    }
+
+    /** Draw the current crop into the preview canvas */
+    drawPreview() {
+        const canvas = this.container.querySelector('#avatar-crop-canvas');
+        if (!canvas || !this.image) return;
+
+        const { sx, sy, size } = this.getCropRect();
+        const context = canvas.getContext('2d');
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(this.image, sx, sy, size, size, 0, 0, canvas.width, canvas.height);
+    }
+
+    /**
+     * Resize the crop to every avatar size
+     * @returns {Object<string, string>} JPEG data URLs keyed by pixel size
+     */
+    renderSizes() {
+        const { sx, sy, size } = this.getCropRect();
+
+        return this.api.avatarSizes.reduce((sizes, pixels) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = pixels;
+            canvas.height = pixels;
+
+            const context = canvas.getContext('2d');
+            context.imageSmoothingQuality = 'high';
+            // JPEG has no transparency, so flatten onto white
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, pixels, pixels);
+            context.drawImage(this.image, sx, sy, size, size, 0, 0, pixels, pixels);
+
+            sizes[pixels] = canvas.toDataURL('image/jpeg', 0.9);
+            return sizes;
+        }, {});
+    }
+
+    /**
+     * Close and save in the background; the header updates optimistically
+     * @param {Object<string, string>|null} avatarSizes - Resized images, or null to remove the upload
+     */
+    async save(avatarSizes) {
+        const user = this.profileComponent.getCurrentUser();
+        if (!user) return;
+
+        this.close();
+        try {
+            await this.api.uploadAvatar(user.id, avatarSizes);
+            DashboardUtils.showNotification(avatarSizes ? 'Avatar updated!' : 'Avatar removed.', 'success');
+        } catch (error) {
+            console.error('Error saving avatar:', error);
+            DashboardUtils.showNotification('Your avatar could not be saved and was undone.', 'error', {
+                actionLabel: 'Retry',
+                onAction: () => this.save(avatarSizes)
+            });
+        }
+    }
+
+    /**
+     * Escape HTML to prevent XSS attacks
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+
+    /** Destroy component */
+    destroy() {
+        if (this.container) {
+            this.container.innerHTML = '';
+            this.container.classList.add('hidden');
+        }
+    }
+}
+
+/**
+ * Popover card opened from the header profile. Shows every profile field with
+ * contact links and copy buttons. Tab stays inside the card while it is open,
+ * and Escape or a click outside closes it.
+ */
+class ProfileCardComponent {
+    /**
+     * @param {string} containerId - ID of the popover element
+     * @param {HTMLElement} trigger - Header element that toggles the card
+     * @param {UserProfileComponent} profileComponent - Source of the displayed profile
+     */
+    constructor(containerId, trigger, profileComponent) {
+        this.container = document.getElementById(containerId);
+        this.trigger = trigger;
+        this.profileComponent = profileComponent;
+        this.isOpen = false;
+        this.clockTimer = null;
+        this.fieldLabels = {
+            email: 'Email',
+            phone: 'Phone',
+            website: 'Website',
+            company: 'Company'
+        };
+        this.handleDocumentClick = (event) => {
+            if (!this.container.contains(event.target) && !this.trigger.contains(event.target)) {
+                this.close(false);
+            }
+        };
+
+        this.init();
+    }
+
+    /** Toggle from the trigger, handle card actions and keep keyboard focus inside */
+    init() {
+        if (!this.container || !this.trigger) {
+            console.error('Profile card container not found');
+            return;
+        }
+
+        this.trigger.addEventListener('click', () => this.toggle());
+        this.trigger.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' || event.key === ' ') {
+                event.preventDefault();
+                this.toggle();
+            }
+        });
+
+        this.container.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                this.close();
+            } else if (event.key === 'Tab') {
+                this.trapFocus(event);
+            }
+        });
+
+        this.container.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+
+            if (button.dataset.action === 'copy') {
+                this.copyField(button);
+            } else if (button.dataset.action === 'refresh') {
+                this.refresh();
+            } else if (button.dataset.action === 'close') {
+                this.close();
+            }
+        });
+    }
+
+    /** Open or close the card */
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /** Open the card for the current profile and focus its first control */
+    open() {
+        if (!this.container) return;
+
+        const profile = this.profileComponent.getCurrentUser();
+        if (!profile) {
+            DashboardUtils.showNotification('Sign in to view your profile.', 'info');
+            return;
+        }
+
+        this.isOpen = true;
+        this.container.classList.remove('hidden');
+        this.trigger.setAttribute('aria-expanded', 'true');
+        this.render(profile);
+        document.addEventListener('click', this.handleDocumentClick);
+
+        // Keep "last seen" current while the card stays open
+        this.clockTimer = setInterval(() => this.updateLastSeen(), 60 * 1000);
+
+        this.getFocusableElements()[0]?.focus();
+    }
+
+    /**
+     * Close the card
+     * @param {boolean} returnFocus - Move focus back to the trigger
+     */
+    close(returnFocus = true) {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        clearInterval(this.clockTimer);
+        document.removeEventListener('click', this.handleDocumentClick);
+        this.container.classList.add('hidden');
+        this.container.innerHTML = '';
+        this.trigger.setAttribute('aria-expanded', 'false');
+
+        if (returnFocus) {
+            this.trigger.focus();
+        }
+    }
+
+    /**
+     * Re-render an open card with fresh profile data, keeping focus on the same control
+     * @param {Object} profile - Updated profile
+     */
+    update(profile) {
+        if (!this.isOpen) return;
+
+        const focusIndex = this.getFocusableElements().indexOf(document.activeElement);
+        this.render(profile);
+        if (focusIndex >= 0) {
+            this.getFocusableElements()[focusIndex]?.focus();
+        }
+    }
+
+    /**
+     * Render the card
+     * @param {Object} profile - Profile to show
+     */
+    render(profile) {
+        const links = {
+            email: profile.email ? `mailto:${profile.email}` : null,
+            phone: profile.phone ? this.toTelURL(profile.phone) : null,
+            website: profile.website ? this.toWebsiteURL(profile.website) : null
+        };
+
+        const rows = Object.entries(this.fieldLabels).map(([field, label]) => {
+            const value = profile[field];
+            if (!value) {
+                return `
+                    <div class="profile-card-row">
+                        <dt>${label}</dt>
+                        <dd><span class="profile-card-empty">Not provided</span></dd>
+                    </div>
+                `;
+            }
+
+            const text = this.escapeHtml(value);
+            const external = field === 'website' ? 'target="_blank" rel="noopener noreferrer"' : '';
+            return `
+                <div class="profile-card-row">
+                    <dt>${label}</dt>
+                    <dd>
+                        ${links[field] ? `<a data-field="${field}" ${external}>${text}</a>` : `<span>${text}</span>`}
+                        <button type="button" class="profile-card-copy" data-action="copy" data-field="${field}" aria-label="Copy ${label.toLowerCase()}">Copy</button>
+                    </dd>
+                </div>
+            `;
+        }).join('');
+
+        this.container.innerHTML = `
+            <div class="profile-card-header">
+                <img class="profile-card-avatar" alt="">
+                <div>
+                    <h3 id="profile-card-title" class="profile-card-name">${this.escapeHtml(profile.name)}</h3>
+                    ${profile.username ? `<div class="profile-card-username">@${this.escapeHtml(profile.username)}</div>` : ''}
+                </div>
+            </div>
+            <dl class="profile-card-details">
+                ${rows}
+                <div class="profile-card-row">
+                    <dt>Last seen</dt>
+                    <dd>
+                        ${profile.lastSeen
+                            ? '<time class="profile-card-last-seen"></time>'
+                            : '<span class="profile-card-empty">Not available</span>'}
+                    </dd>
+                </div>
+            </dl>
+            <div class="profile-card-actions">
+                <button type="button" class="btn btn-secondary btn-sm" data-action="refresh">Refresh</button>
+                <button type="button" class="btn btn-primary btn-sm" data-action="close">Close</button>
+            </div>
+        `;
+
+        // Set URLs through the DOM so quotes in user data cannot break the markup
+        this.container.querySelectorAll('a[data-field]').forEach(link => {
+            link.href = links[link.dataset.field];
+        });
+
+        const avatar = this.container.querySelector('.profile-card-avatar');
+        avatar.src = profile.avatarSizes?.['160'] || profile.avatar || this.profileComponent.api.getDefaultAvatar();
+        this.profileComponent.bindAvatarFallbacks(avatar, [
+            ...(profile.avatarSizes ? [profile.avatar] : []),
+            ...(profile.avatarFallbacks || []),
+            this.profileComponent.api.getDefaultAvatar()
+        ]);
+
+        this.updateLastSeen();
+    }
+
+    /** Refresh the relative "last seen" text */
+    updateLastSeen() {
+        const time = this.container.querySelector('.profile-card-last-seen');
+        const lastSeen = this.profileComponent.getCurrentUser()?.lastSeen;
+        if (!time || !lastSeen) return;
+
+        time.dateTime = lastSeen;
+        time.title = DashboardUtils.formatDate(lastSeen);
+        time.textContent = DashboardUtils.formatRelativeTime(lastSeen);
+    }
+
+    /**
+     * Copy a profile field and confirm on the button
+     * @param {HTMLButtonElement} button - Copy button for the field
+     */
+    async copyField(button) {
+        const field = button.dataset.field;
+        const value = this.profileComponent.getCurrentUser()?.[field];
+        if (!value) return;
+
+        const copied = await DashboardUtils.copyToClipboard(String(value));
+        if (!copied) {
+            DashboardUtils.showNotification('Could not copy to the clipboard.', 'error');
+            return;
+        }
+
+        button.textContent = 'Copied';
+        setTimeout(() => {
+            button.textContent = 'Copy';
+        }, 1500);
+        DashboardUtils.showNotification(`${this.fieldLabels[field]} copied to clipboard.`, 'success');
+    }
+
+    /** Reload the profile, bypassing the cache */
+    async refresh() {
+        try {
+            await this.profileComponent.refresh();
+            DashboardUtils.showNotification('Profile refreshed!', 'info');
+        } catch (error) {
+            console.error('Error refreshing profile:', error);
+            DashboardUtils.showNotification('Failed to refresh profile', 'error');
+        }
+    }
+
+    /**
+     * Build a `tel:` URL, keeping an extension written as `x123`
+     * @param {string} phone - Phone number as entered
+     * @returns {string} Dialable URL
+     */
+    toTelURL(phone) {
+        const [number, extension] = String(phone).split(/\s*x/i);
+        const digits = number.replace(/[^\d+]/g, '');
+        const extensionDigits = (extension || '').replace(/\D/g, '');
+        return extensionDigits ? `tel:${digits};ext=${extensionDigits}` : `tel:${digits}`;
+    }
+
+    /**
+     * Build a link for a website, assuming HTTPS when no scheme is given
+     * @param {string} website - Website as entered, e.g. `example.org`
+     * @returns {string} Absolute http(s) URL
+     */
+    toWebsiteURL(website) {
+        const url = String(website).trim();
+        return /^https?:\/\//i.test(url) ? url : `https://${url}`;
+    }
+
+    /**
+     * Controls that can receive focus inside the card
+     * @returns {Array<HTMLElement>}
+     */
+    getFocusableElements() {
+        return Array.from(this.container.querySelectorAll('a[href], button:not([disabled])'));
+    }
+
+    /** Wrap Tab and Shift+Tab around the first and last controls */
+    trapFocus(event) {
+        const focusable = this.getFocusableElements();
+        if (!focusable.length) return;
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (event.shiftKey && document.activeElement === first) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Escape HTML to prevent XSS attacks
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+
+    /** Destroy component */
+    destroy() {
+        this.close(false);
+    }
+}
+
+/**
+ * Displays personalized product recommendations derived from the user's
+ * browsing history, searches and wishlist, with category, price and rating
+ * filters, a sort order and paging. Filters and sort are remembered per user.
+ */
+class RecommendationsComponent {
+    /**
+     * @param {string} containerId - ID of the DOM container to render into
+     * @param {UserAPI} api - The shared API instance
+     * @param {BrowsingHistoryTracker} historyTracker - Browsing history tracker
+     * @param {RegistrationAPI} authApi - Source of the signed-in session
+     * @param {RecommendationPreferences} preferences - Per-user filter and sort storage
+     * @param {WishlistAPI} wishlist - Products saved with the heart on each card
+     */
+    constructor(containerId, api, historyTracker, authApi, preferences, wishlist) {
+        this.container = document.getElementById(containerId);
+        this.api = api;
+        this.historyTracker = historyTracker;
+        this.authApi = authApi;
+        this.preferences = preferences;
+        this.wishlist = wishlist;
+        this.currentUserId = null;
+        this.preferencesUserId = undefined;
+        this.products = [];
+        this.categories = [];
+        this.filters = preferences.getDefaults().filters;
+        this.sort = 'relevance';
+        this.pageSize = api.recommender.limit;
+        this.hasMore = false;
+        this.loadingMore = false;
+        // Pages load on scroll only after the first "Load more" click, so scrolling
+        // past the section to reach the rest of the dashboard does not grow it
+        this.autoLoadMore = false;
+        this.abortController = null;
+        this.loadMoreObserver = null;
+        this.unsubscribeSession = null;
+        this.unsubscribeServiceStatus = null;
+        this.unsubscribeUpdates = null;
+        this.unsubscribeHistory = null;
+        this.unsubscribeWishlist = null;
+        this.hasError = false;
+
+        this.init();
+    }
+
+    /** Load recommendations on first mount */
+    async init() {
+        if (!this.container) {
+            console.error('Recommendations container not found');
+            return;
+        }
+
+        this.unsubscribeSession = this.authApi.events.on('auth:changed', () => {
+            this.loadRecommendations();
+        });
+
+        // Retry automatically once a degraded backend recovers
+        this.unsubscribeServiceStatus = this.api.events.on('service:status', (status) => {
+            if (!status.degraded && this.hasError) {
+                this.loadRecommendations();
+            }
+        });
+
+        // Changes to the history or privacy settings change what to recommend. User
+        // switches are skipped: they come from loadRecommendations itself.
+        this.unsubscribeHistory = this.historyTracker.events.on('history:changed', ({ reason }) => {
+            if (['view', 'remove', 'clear', 'restore', 'prune', 'privacy'].includes(reason)) {
+                this.invalidateRecommendations();
+                this.loadRecommendations();
+            }
+        });
+
+        // Saved products shape the next ranking; the cards on screen only update their hearts
+        this.unsubscribeWishlist = this.wishlist.events.on('wishlist:changed', ({ userId }) => {
+            if (userId === this.currentUserId) {
+                this.updateWishlistButtons();
+            }
+        });
+
+        // Pick up new recommendations pushed by the live update channel
+        this.unsubscribeUpdates = this.api.events.on('recommendation:new', (data) => {
+            if ((data.userId || null) === this.currentUserId) {
+                this.loadRecommendations();
+            }
+        });
+
+        this.renderShell();
+        this.loadCategories();
+        await this.loadRecommendations();
+    }
+
+    /** Render the header, filter bar and result area once; later updates only touch their parts */
+    renderShell() {
+        this.container.innerHTML = `
+            <div class="recommendations-header">
+                <span class="recommendations-subtitle"></span>
+                <button class="btn btn-secondary btn-sm" id="refresh-recommendations">Refresh</button>
+            </div>
+            <form class="recommendations-filters" aria-label="Filter recommendations">
+                <div class="filter-chips" role="group" aria-label="Categories"></div>
+                <div class="filter-controls">
+                    <label class="filter-field">
+                        <span>Min price</span>
+                        <input type="number" name="minPrice" min="0" step="1" placeholder="Any">
+                    </label>
+                    <label class="filter-field">
+                        <span>Max price</span>
+                        <input type="number" name="maxPrice" min="0" step="1" placeholder="Any">
+                    </label>
+                    <label class="filter-field">
+                        <span>Rating</span>
+                        <select name="minRating">
+                            <option value="0">Any</option>
+                            <option value="3">3+ stars</option>
+                            <option value="4">4+ stars</option>
+                            <option value="4.5">4.5+ stars</option>
+                        </select>
+                    </label>
+                    <label class="filter-field">
+                        <span>Sort by</span>
+                        <select name="sort">
+                            <option value="relevance">Relevance</option>
+                            <option value="price-asc">Price: low to high</option>
+                            <option value="price-desc">Price: high to low</option>
+                            <option value="rating">Top rated</option>
+                            <option value="reviews">Most reviewed</option>
+                        </select>
+                    </label>
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="reset-filters">Reset</button>
+                </div>
+            </form>
+            <div class="recommendations-results"></div>
+            <div class="recommendations-more hidden">
+                <button type="button" class="btn btn-secondary btn-sm" data-action="load-more">Load more</button>
+            </div>
+        `;
+
+        this.subtitle = this.container.querySelector('.recommendations-subtitle');
+        this.filterForm = this.container.querySelector('.recommendations-filters');
+        this.chips = this.container.querySelector('.filter-chips');
+        this.results = this.container.querySelector('.recommendations-results');
+        this.more = this.container.querySelector('.recommendations-more');
+        this.loadMoreButton = this.more.querySelector('button');
+
+        document.getElementById('refresh-recommendations').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.refresh();
+        });
+
+        this.filterForm.addEventListener('submit', (e) => e.preventDefault());
+        this.filterForm.addEventListener('change', () => this.handleFilterChange());
+
+        // Event delegation: cards, chips and buttons are re-rendered as results change
+        this.container.addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-category]');
+            const save = e.target.closest('[data-action="toggle-wishlist"]');
+            const card = e.target.closest('.product-card[data-product-id]');
+            if (save) {
+                this.toggleWishlist(parseInt(save.dataset.productId, 10));
+            } else if (chip) {
+                this.toggleCategory(chip.dataset.category);
+            } else if (e.target.closest('[data-action="reset-filters"]')) {
+                this.updatePreferences(this.preferences.getDefaults());
+            } else if (e.target.closest('[data-action="load-more"]')) {
+                this.autoLoadMore = true;
+                this.loadMore();
+            } else if (card) {
+                this.handleProductClick(parseInt(card.dataset.productId, 10));
+            }
+        });
+        this.container.addEventListener('keydown', (e) => {
+            const card = e.target.closest('.product-card[data-product-id]');
+            if (card && e.target === card && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                this.handleProductClick(parseInt(card.dataset.productId, 10));
+            }
+        });
+
+        // Infinite scroll: load the next page as the "Load more" button comes into view
+        if (typeof IntersectionObserver !== 'undefined') {
+            this.loadMoreObserver = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting) && this.autoLoadMore) {
+                    this.loadMore();
+                }
+            }, { rootMargin: '200px' });
+            this.loadMoreObserver.observe(this.loadMoreButton);
+        }
+
+        this.syncFilterControls();
+    }
+
+    /** Load the category chips; the other filters work without them */
+    async loadCategories() {
+        try {
+            this.categories = await this.api.catalog.listCategories();
+        } catch (error) {
+            console.error('Error loading categories:', error);
+            this.categories = [];
+        }
+        this.renderCategoryChips();
+    }
+
+    /** Render one toggle chip per category */
+    renderCategoryChips() {
+        this.chips.innerHTML = '';
+        this.categories.forEach(category => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'filter-chip';
+            chip.dataset.category = category.slug;
+            chip.textContent = category.name;
+            chip.setAttribute('aria-pressed', String(this.filters.categories.includes(category.slug)));
+            this.chips.appendChild(chip);
+        });
+    }
+
+    /**
+     * Use the saved filters and sort of the user being shown
+     * @param {number|null} userId - Active user
+     */
+    loadPreferences(userId) {
+        if (this.preferencesUserId === userId) return;
+        this.preferencesUserId = userId;
+
+        const { filters, sort } = this.preferences.load(userId);
+        this.filters = filters;
+        this.sort = sort;
+        this.syncFilterControls();
+    }
+
+    /**
+     * Apply new filters and sort, save them and reload from the first page.
+     * Viewing as another user is read-only, so their saved preferences are kept.
+     * @param {{filters: Object, sort: string}} preferences - New preferences
+     */
+    updatePreferences({ filters, sort }) {
+        this.filters = filters;
+        this.sort = sort;
+        if (!this.authApi.isImpersonating()) {
+            this.preferences.save(this.currentUserId, { filters, sort });
+        }
+        this.syncFilterControls();
+        this.loadRecommendations();
+    }
+
+    /** Read the price, rating and sort controls */
+    handleFilterChange() {
+        const form = this.filterForm.elements;
+        const toPrice = (value) => {
+            const price = parseFloat(value);
+            return Number.isFinite(price) && price >= 0 ? price : null;
+        };
+
+        this.updatePreferences({
+            filters: {
+                ...this.filters,
+                minPrice: toPrice(form.minPrice.value),
+                maxPrice: toPrice(form.maxPrice.value),
+                minRating: parseFloat(form.minRating.value) || 0
+            },
+            sort: form.sort.value
+        });
+    }
+
+    /**
+     * Add or remove a category from the filter
+     * @param {string} slug - Category slug
+     */
+    toggleCategory(slug) {
+        const selected = this.filters.categories.includes(slug)
+            ? this.filters.categories.filter(item => item !== slug)
+            : [...this.filters.categories, slug];
+
+        this.updatePreferences({
+            filters: { ...this.filters, categories: selected },
+            sort: this.sort
+        });
+    }
+
+    /** Show the current filters and sort in the filter bar */
+    syncFilterControls() {
+        if (!this.filterForm) return;
+
+        const form = this.filterForm.elements;
+        form.minPrice.value = this.filters.minPrice ?? '';
+        form.maxPrice.value = this.filters.maxPrice ?? '';
+        form.minRating.value = String(this.filters.minRating || 0);
+        form.sort.value = this.sort;
+
+        this.chips.querySelectorAll('[data-category]').forEach(chip => {
+            chip.setAttribute('aria-pressed', String(this.filters.categories.includes(chip.dataset.category)));
+        });
+    }
+
+    /** Whether any filter narrows the results */
+    hasActiveFilters() {
+        const { categories, minPrice, maxPrice, minRating } = this.filters;
+        return categories.length > 0 || minPrice != null || maxPrice != null || minRating > 0;
+    }
+
+    /** Fetch the first page of recommendations and re-render */
+    async loadRecommendations() {
+        this.abortController?.abort();
+        const controller = new AbortController();
+        this.abortController = controller;
+        this.loadingMore = false;
+
+        try {
+            this.renderSkeleton();
+            this.currentUserId = this.authApi.getActiveUserId();
+            this.historyTracker.setUserId(this.currentUserId);
+            this.loadPreferences(this.currentUserId);
+
+            const page = await this.fetchPage(0, controller.signal);
+            if (controller.signal.aborted) return;
+
+            this.products = page;
+            this.hasMore = page.length === this.pageSize;
+            this.hasError = false;
+            this.render();
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Error loading recommendations:', error);
+            this.renderError(error.message);
+        }
+    }
+
+    /** Append the next page of recommendations */
+    async loadMore() {
+        if (!this.hasMore || this.loadingMore || !this.abortController) return;
+
+        const signal = this.abortController.signal;
+        this.loadingMore = true;
+        this.updateLoadMore();
+
+        try {
+            const page = await this.fetchPage(this.products.length, signal);
+            if (signal.aborted) return;
+
+            this.products.push(...page);
+            this.hasMore = page.length === this.pageSize;
+            this.results.querySelector('.recommendations-grid')
+                ?.insertAdjacentHTML('beforeend', page.map(product => this.renderProductCard(product)).join(''));
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Error loading more recommendations:', error);
+            this.autoLoadMore = false;
+            DashboardUtils.showNotification(error.message, 'error', {
+                actionLabel: 'Retry',
+                onAction: () => this.loadMore()
+            });
+        } finally {
+            if (!signal.aborted) {
+                this.loadingMore = false;
+                this.updateLoadMore();
+            }
+        }
+    }
+
+    /**
+     * Fetch one page with the current filters and sort. Without consent to use
+     * browsing history, no history signals are sent and the picks are not personal.
+     * @param {number} offset - Products already shown
+     * @param {AbortSignal} signal - Aborted when the list is reloaded
+     * @returns {Promise<Array>} Products
+     */
+    fetchPage(offset, signal) {
+        const personalized = this.historyTracker.isPersonalizationAllowed();
+        return this.api.fetchRecommendations(this.currentUserId, personalized ? this.historyTracker.getWeightedHistory() : [], {
+            coViewHistories: personalized ? this.historyTracker.getOtherHistories() : [],
+            searches: personalized ? this.historyTracker.getSearches() : [],
+            wishlist: personalized ? this.wishlist.getProductIds(this.currentUserId) : [],
+            filters: this.filters,
+            sort: this.sort,
+            offset,
+            limit: this.pageSize,
+            signal
+        });
+    }
+
+    /** Show the "Load more" button while there are more pages */
+    updateLoadMore() {
+        this.more.classList.toggle('hidden', !this.hasMore);
+        this.loadMoreButton.disabled = this.loadingMore;
+        this.loadMoreButton.textContent = this.loadingMore ? 'Loading...' : 'Load more';
+    }
+
+    /** Show placeholder skeleton cards while data is loading */
+    renderSkeleton() {
+        this.hasMore = false;
+        this.updateLoadMore();
+        this.results.innerHTML = `
+            <div class="recommendations-grid">
+                ${Array(4).fill(0).map(() => `
+                    <div class="product-card product-card--skeleton">
+                        <div class="product-image-wrapper skeleton-box"></div>
+                        <div class="product-info">
+                            <div class="skeleton-line skeleton-line--short"></div>
+                            <div class="skeleton-line skeleton-line--title"></div>
+                            <div class="skeleton-line skeleton-line--short"></div>
+                            <div class="skeleton-line skeleton-line--price"></div>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /** Render the first page of results */
+    render() {
+        const historyCount = this.historyTracker.getHistory().length;
+        if (!this.historyTracker.isPersonalizationAllowed()) {
+            this.subtitle.innerHTML = 'Popular picks. Personalization is off &middot; <a href="#/privacy">Privacy settings</a>';
+        } else {
+            this.subtitle.textContent = historyCount > 0
+                ? `Tailored to your browsing history`
+                : `Popular picks to get you started`;
+        }
+        this.updateLoadMore();
+
+        if (!this.products.length) {
+            this.results.innerHTML = this.hasActiveFilters()
+                ? `
+                    <div class="no-recommendations">
+                        <p>No recommendations match these filters.</p>
+                        <button type="button" class="btn btn-secondary btn-sm" data-action="reset-filters">Reset filters</button>
+                    </div>
+                `
+                : '<p class="no-recommendations">No recommendations available at this time.</p>';
+            return;
+        }
+
+        this.results.innerHTML = `
+            <div class="recommendations-grid">
+                ${this.products.map(product => this.renderProductCard(product)).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Build the HTML for a single product card
+     * @param {Object} product
+     * @returns {string} HTML string
+     */
+    renderProductCard(product) {
+        const badgeHtml = product.badge
+            ? `<span class="product-badge product-badge--${product.badge.toLowerCase().replace(/\s+/g, '-')}">${this.escapeHtml(product.badge)}</span>`
+            : '';
+
+        return `
+            <div class="product-card" data-product-id="${product.id}" role="button" tabindex="0" aria-label="View ${this.escapeHtml(product.title)}">
+                <div class="product-image-wrapper">
+                    ${badgeHtml}
+                    ${this.renderWishlistButton(product)}
+                    <img
+                        src="${product.image}"
+                        alt="${this.escapeHtml(product.title)}"
+                        class="product-image"
+                        loading="lazy"
+                        onerror="this.src='https://via.placeholder.com/200x200?text=No+Image'"
+                    >
+                </div>
+                <div class="product-info">
+                    <span class="product-category">${this.escapeHtml(product.category)}</span>
+                    <h4 class="product-title">${this.escapeHtml(product.title)}</h4>
+                    ${product.reason ? `<p class="product-reason">${this.escapeHtml(product.reason)}</p>` : ''}
+                    <div class="product-rating">
+                        ${this.renderStars(product.rating)}
+                        <span class="product-review-count">(${product.reviewCount.toLocaleString()})</span>
+                    </div>
+                    <div class="product-footer">
+                        <span class="product-price">$${product.price.toFixed(2)}</span>
+                        <button class="btn btn-primary btn-sm">View</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a star rating as HTML spans
+     * @param {number} rating - Rating value 0–5
+     * @returns {string} HTML string
+     */
+    renderStars(rating) {
+        const full = Math.floor(rating);
+        const half = rating % 1 >= 0.5;
+        const empty = 5 - full - (half ? 1 : 0);
+        return `
+            <span class="stars" aria-label="Rating: ${rating} out of 5">
+                ${'<span class="star star--full">★</span>'.repeat(full)}
+                ${half ? '<span class="star star--half">★</span>' : ''}
+                ${'<span class="star star--empty">★</span>'.repeat(empty)}
+            </span>
+            <span class="rating-value">${rating}</span>
+        `;
+    }
+
+    /**
+     * Heart button that saves a product to the wishlist; disabled while viewing as another user
+     * @param {Object} product
+     * @returns {string} HTML string
+     */
+    renderWishlistButton(product) {
+        const saved = this.wishlist.has(this.currentUserId, product.id);
+        return `
+            <button type="button" class="wishlist-toggle" data-action="toggle-wishlist" data-product-id="${product.id}"
+                aria-pressed="${saved}" aria-label="Save ${this.escapeHtml(product.title)} to wishlist"
+                ${this.authApi.isImpersonating() ? 'disabled' : ''}>${saved ? '&#9829;' : '&#9825;'}</button>
+        `;
+    }
+
+    /** Show the current wishlist state on every card's heart */
+    updateWishlistButtons() {
+        this.container.querySelectorAll('[data-action="toggle-wishlist"]').forEach(button => {
+            const saved = this.wishlist.has(this.currentUserId, parseInt(button.dataset.productId, 10));
+            button.setAttribute('aria-pressed', String(saved));
+            button.innerHTML = saved ? '&#9829;' : '&#9825;';
+        });
+    }
+
+    /**
+     * Save or unsave a product shown in the list
+     * @param {number} productId
+     */
+    toggleWishlist(productId) {
+        const product = this.products.find(item => item.id === productId);
+        if (!product || this.authApi.isImpersonating()) return;
+
+        const saved = this.wishlist.toggle(this.currentUserId, product);
+        DashboardUtils.showNotification(
+            saved ? `Saved "${product.title}" to your wishlist.` : `Removed "${product.title}" from your wishlist.`,
+            'success'
+        );
+    }
+
+    /**
+     * Open the product's detail page, which records the view
+     * @param {number} productId
+     */
+    handleProductClick(productId) {
+        ProductDetailComponent.navigate(productId, 'recommendation');
+    }
+
+    /** Drop this user's cached recommendations without touching their profile */
+    invalidateRecommendations() {
+        this.api.invalidateTag(`recommendations:${this.currentUserId || 'guest'}`);
+    }
+
+    /** Show an error state with a retry button, or a degraded-service banner */
+    renderError(message) {
+        this.hasError = true;
+        this.hasMore = false;
+        this.updateLoadMore();
+        const status = this.api.getServiceStatus();
+        if (status.degraded) {
+            const retryAt = Math.max(0, ...status.endpoints.map(item => item.retryAt || 0));
+            this.results.innerHTML = `
+                <div class="service-degraded-banner" role="status">
+                    <p><strong>Service degraded.</strong> Recommendations are temporarily unavailable.
+                    ${retryAt ? `We'll try again after ${DashboardUtils.formatDate(retryAt)}.` : ''}</p>
+                    <button class="btn btn-secondary btn-sm" id="retry-recommendations">Retry now</button>
+                </div>
+            `;
+        } else {
+            this.results.innerHTML = `
+                <div class="recommendations-error">
+                    <p>Unable to load recommendations. ${this.escapeHtml(message)}</p>
+                    <button class="btn btn-primary btn-sm" id="retry-recommendations">Retry</button>
+                </div>
+            `;
+        }
+        document.getElementById('retry-recommendations')?.addEventListener('click', () => {
+            this.loadRecommendations();
+        });
+    }
+
+    /** Escape text to prevent XSS */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+
+    /** Force a fresh reload of recommendations */
+    refresh() {
+        this.invalidateRecommendations();
+        return this.loadRecommendations();
+    }
+
+    /** Tear down the component */
+    destroy() {
+        if (this.unsubscribeSession) {
+            this.unsubscribeSession();
+        }
+
+        if (this.unsubscribeServiceStatus) {
+            this.unsubscribeServiceStatus();
+        }
+
+        if (this.unsubscribeUpdates) {
+            this.unsubscribeUpdates();
+        }
+
+        if (this.unsubscribeHistory) {
+            this.unsubscribeHistory();
+        }
+
+        if (this.unsubscribeWishlist) {
+            this.unsubscribeWishlist();
+        }
+
+        this.abortController?.abort();
+        this.loadMoreObserver?.disconnect();
+
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+    }
+}
+
+/**
+ * Dashboard widget listing the active user's saved products with the price when
+ * saved next to the current price. Read-only while viewing as another user.
+ */
+class WishlistComponent {
+    /**
+     * @param {string} containerId - ID of the DOM container to render into
+     * @param {WishlistAPI} wishlist - Saved products
+     * @param {RegistrationAPI} authApi - Source of the signed-in session
+     */
+    constructor(containerId, wishlist, authApi) {
+        this.container = document.getElementById(containerId);
+        this.wishlist = wishlist;
+        this.authApi = authApi;
+        this.items = [];
+        this.abortController = null;
+        this.unsubscribeSession = null;
+        this.unsubscribeWishlist = null;
+
+        this.init();
+    }
+
+    /** Load the wishlist and follow changes to it */
+    init() {
+        if (!this.container) {
+            console.error('Wishlist container not found');
+            return;
+        }
+
+        this.unsubscribeSession = this.authApi.events.on('auth:changed', () => this.load());
+        this.unsubscribeWishlist = this.wishlist.events.on('wishlist:changed', ({ userId }) => {
+            if (userId === this.authApi.getActiveUserId()) {
+                this.load();
+            }
+        });
+
+        this.container.addEventListener('click', (event) => {
+            const link = event.target.closest('a[data-product-link]');
+            if (link && !event.ctrlKey && !event.metaKey && !event.shiftKey) {
+                event.preventDefault();
+                ProductDetailComponent.navigate(Number(link.dataset.productLink));
+                return;
+            }
+
+            const remove = event.target.closest('[data-remove-id]');
+            const move = event.target.closest('[data-cart-id]');
+            if (remove) {
+                this.removeItem(Number(remove.dataset.removeId));
+            } else if (move) {
+                this.moveToCart(Number(move.dataset.cartId), move);
+            }
+        });
+
+        this.load();
+    }
+
+    /** Fetch the saved products with their current prices */
+    async load() {
+        this.abortController?.abort();
+        const controller = new AbortController();
+        this.abortController = controller;
+
+        try {
+            const items = await this.wishlist.fetchWishlist(this.authApi.getActiveUserId(), {
+                signal: controller.signal
+            });
+            if (controller.signal.aborted) return;
+
+            this.items = items;
+            this.render();
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            this.container.innerHTML = `<p class="recommendations-error">${this.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    /** Render the saved products */
+    render() {
+        if (!this.items.length) {
+            this.container.innerHTML = '<p class="wishlist-empty">Save products with &#9825; on a recommendation to find them here later.</p>';
+            return;
+        }
+
+        const disabled = this.authApi.isImpersonating() ? 'disabled' : '';
+        this.container.innerHTML = `
+            <ul class="wishlist-list">
+                ${this.items.map(item => this.renderItem(item, disabled)).join('')}
+            </ul>
+        `;
+
+        // Set image URLs through the DOM so quotes in catalog data cannot break the markup
+        this.container.querySelectorAll('.wishlist-image').forEach((image, index) => {
+            image.src = this.items[index].product.image;
+        });
+    }
+
+    /**
+     * Build the HTML for one saved product
+     * @param {Object} item - Item from WishlistAPI.fetchWishlist()
+     * @param {string} disabled - `disabled` attribute while read-only
+     * @returns {string} HTML string
+     */
+    renderItem(item, disabled) {
+        const { product, priceAtSave, priceChange } = item;
+        const title = this.escapeHtml(product.title);
+        let priceNote = '';
+        if (priceChange < 0) {
+            priceNote = `<span class="wishlist-price-change wishlist-price-change--down">Down ${this.formatPrice(-priceChange)} from ${this.formatPrice(priceAtSave)}</span>`;
+        } else if (priceChange > 0) {
+            priceNote = `<span class="wishlist-price-change">Up from ${this.formatPrice(priceAtSave)}</span>`;
+        }
+
+        return `
+            <li class="wishlist-item">
+                <img class="wishlist-image" alt="">
+                <div class="wishlist-info">
+                    <a class="wishlist-name" href="#/products/${product.id}" data-product-link="${product.id}">${title}</a>
+                    <span class="wishlist-meta">
+                        <span class="wishlist-price">${this.formatPrice(product.price)}</span>
+                        ${priceNote}
+                    </span>
+                    <span class="wishlist-meta">Saved ${DashboardUtils.formatRelativeTime(item.savedAt)}</span>
+                </div>
+                <div class="wishlist-actions">
+                    <button type="button" class="btn btn-primary btn-sm" data-cart-id="${product.id}"
+                        aria-label="Move ${title} to cart" ${disabled}>Move to cart</button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-remove-id="${product.id}"
+                        aria-label="Remove ${title} from wishlist" ${disabled}>Remove</button>
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * Remove one product, offering to undo
+     * @param {number} productId - Product to remove
+     */
+    removeItem(productId) {
+        if (this.authApi.isImpersonating()) return;
+
+        const userId = this.authApi.getActiveUserId();
+        const title = this.items.find(item => item.product.id === productId)?.product.title || 'Product';
+        const items = this.wishlist.getItems(userId);
+        this.wishlist.remove(userId, productId);
+        DashboardUtils.showNotification(`Removed "${title}" from your wishlist.`, 'info', {
+            actionLabel: 'Undo',
+            onAction: () => this.wishlist.restore(userId, items)
+        });
+    }
+
+    /**
+     * Hand a saved product to the cart
+     * @param {number} productId - Product to move
+     * @param {HTMLButtonElement} button - Button disabled while the cart responds
+     */
+    async moveToCart(productId, button) {
+        const item = this.items.find(entry => entry.product.id === productId);
+        if (!item || this.authApi.isImpersonating()) return;
+
+        button.disabled = true;
+        try {
+            await this.wishlist.moveToCart(this.authApi.getActiveUserId(), item.product);
+            DashboardUtils.showNotification(`Moved "${item.product.title}" to your cart.`, 'success');
+        } catch (error) {
+            button.disabled = false;
+            DashboardUtils.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * Format a price in US dollars
+     * @param {number} amount - Price
+     * @returns {string} Formatted price
+     */
+    formatPrice(amount) {
+        return `$${amount.toFixed(2)}`;
+    }
+
+    /** Escape text to prevent XSS */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+
+    /** Tear down the component */
+    destroy() {
+        if (this.unsubscribeSession) {
+            this.unsubscribeSession();
+        }
+        if (this.unsubscribeWishlist) {
+            this.unsubscribeWishlist();
+        }
+        this.abortController?.abort();
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+    }
+}
+
+/**
+ * Header search box with typeahead over the product catalog. Results come from a
+ * local ProductSearchIndex (search.js), built the first time the box is used.
+ * Follows the ARIA combobox pattern: arrow keys move through the results, Enter
+ * opens one and Escape closes the list.
+ */
+class ProductSearchComponent {
+    /**
+     * @param {string} containerId - ID of the DOM container to render into
+     * @param {UserAPI} api - Source of products (`api.catalog`)
+     * @param {BrowsingHistoryTracker} historyTracker - Records searches as a recommendation signal
+     * @param {RegistrationAPI} authApi - Source of the signed-in session
+     */
+    constructor(containerId, api, historyTracker, authApi) {
+        this.container = document.getElementById(containerId);
+        this.api = api;
+        this.historyTracker = historyTracker;
+        this.authApi = authApi;
+        this.index = new ProductSearchIndex();
+        this.indexReady = null;
+        this.results = [];
+        this.activeIndex = -1;
+        this.minQueryLength = 2;
+        this.handleInput = DashboardUtils.debounce(() => this.search(), 200);
+
+        this.init();
+    }
+
+    /** Render the search box and wire up its events */
+    init() {
+        if (!this.container) {
+            console.error('Product search container not found');
+            return;
+        }
+
+        this.container.innerHTML = `
+            <label for="product-search-input" class="visually-hidden">Search products</label>
+            <input type="search" id="product-search-input" class="product-search-input"
+                placeholder="Search products" autocomplete="off" spellcheck="false"
+                role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="product-search-results">
+            <ul id="product-search-results" class="product-search-results hidden" role="listbox" aria-label="Products"></ul>
+        `;
+        this.input = this.container.querySelector('input');
+        this.list = this.container.querySelector('ul');
+
+        this.input.addEventListener('focus', () => this.ensureIndex());
+        this.input.addEventListener('input', this.handleInput);
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.input.addEventListener('blur', () => this.close());
+
+        // mousedown keeps focus in the input so blur does not close the list first
+        this.list.addEventListener('mousedown', (e) => e.preventDefault());
+        this.list.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-product-id]');
+            if (option) {
+                this.select(Number(option.dataset.productId));
+            }
+        });
+    }
+
+    /**
+     * Build the search index from the catalog once
+     * @returns {Promise<void>}
+     */
+    ensureIndex() {
+        if (!this.indexReady) {
+            this.indexReady = this.api.catalog.listProducts().then(products => {
+                this.index.build(products);
+            }).catch(error => {
+                // Let the next search try again
+                this.indexReady = null;
+                throw error;
+            });
+        }
+        return this.indexReady;
+    }
+
+    /** Search for the current input and show the results */
+    async search() {
+        if (this.input.value.trim().length < this.minQueryLength) {
+            this.close();
+            return;
+        }
+
+        try {
+            await this.ensureIndex();
+        } catch (error) {
+            console.error('Error loading products for search:', error);
+            this.renderMessage('Search is unavailable right now. Please try again.');
+            return;
+        }
+
+        // Read the input again: it may have changed while the catalog loaded
+        const query = this.input.value.trim();
+        if (query.length < this.minQueryLength) {
+            this.close();
+            return;
+        }
+
+        this.results = this.index.search(query, { limit: 8 });
+        this.activeIndex = -1;
+        if (!this.results.length) {
+            this.renderMessage(`No products match "${query}".`);
+            return;
+        }
+        this.renderResults();
+    }
+
+    /** Render the result options with matched words highlighted */
+    renderResults() {
+        this.list.innerHTML = this.results.map(({ product, terms }, index) => `
+            <li id="product-search-option-${index}" class="product-search-option" role="option"
+                aria-selected="false" data-product-id="${product.id}">
+                <span class="product-search-title">${this.renderHighlighted(product.title, terms)}</span>
+                <span class="product-search-meta">
+                    ${this.renderHighlighted(product.category, terms)} &middot; $${product.price.toFixed(2)}
+                </span>
+            </li>
+        `).join('');
+        this.open();
+    }
+
+    /**
+     * Show a single non-selectable line in place of results
+     * @param {string} message - Text to show
+     */
+    renderMessage(message) {
+        this.results = [];
+        this.activeIndex = -1;
+        this.list.innerHTML = `<li class="product-search-empty" role="presentation">${this.escapeHtml(message)}</li>`;
+        this.open();
+    }
+
+    /**
+     * Escape text and wrap the words that matched in `<mark>`
+     * @param {string} text - Text to show
+     * @param {Array<string>} terms - Matched index terms
+     * @returns {string} HTML string
+     */
+    renderHighlighted(text, terms) {
+        return this.index.highlight(text, terms).map(segment => {
+            const html = this.escapeHtml(segment.text);
+            return segment.match ? `<mark>${html}</mark>` : html;
+        }).join('');
+    }
+
+    /** Arrow keys, Enter and Escape */
+    handleKeydown(e) {
+        const isOpen = !this.list.classList.contains('hidden');
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (!isOpen) {
+                this.search();
+                return;
+            }
+            if (!this.results.length) return;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.setActive((this.activeIndex + step + this.results.length) % this.results.length);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            const result = this.results[Math.max(this.activeIndex, 0)];
+            if (isOpen && result) {
+                this.select(result.product.id);
+            }
+        } else if (e.key === 'Escape') {
+            if (isOpen) {
+                e.preventDefault();
+                this.close();
+            } else if (this.input.value) {
+                e.preventDefault();
+                this.input.value = '';
+            }
+        }
+    }
+
+    /**
+     * Move the active option, keeping focus in the input
+     * @param {number} index - Option position
+     */
+    setActive(index) {
+        this.activeIndex = index;
+        this.list.querySelectorAll('[role="option"]').forEach((option, position) => {
+            option.setAttribute('aria-selected', String(position === index));
+        });
+        const active = this.list.querySelector(`#product-search-option-${index}`);
+        this.input.setAttribute('aria-activedescendant', active.id);
+        active.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Open a result's detail page and remember the search. Viewing as another
+     * user is read-only, so their search history is left untouched.
+     * @param {number} productId - Chosen product
+     */
+    select(productId) {
+        if (!this.authApi.isImpersonating()) {
+            this.historyTracker.addSearch(this.input.value);
+        }
+        this.input.value = '';
+        this.close();
+        this.input.blur();
+        ProductDetailComponent.navigate(productId, 'search');
+    }
+
+    /** Show the result list */
+    open() {
+        this.list.classList.remove('hidden');
+        this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    /** Hide the result list */
+    close() {
+        this.activeIndex = -1;
+        this.list.classList.add('hidden');
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+
+    /** Escape text to prevent XSS */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+
+    /** Tear down the component */
+    destroy() {
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+    }
+}
+
+/**
+ * Product detail page shown in place of the dashboard for `#/products/<id>` URLs,
+ * so a product can be linked to, bookmarked or opened in a new tab.
+ */
+class ProductDetailComponent {
+    /**
+     * @param {string} containerId - ID of the element the detail page renders into
+     * @param {string} homeId - ID of the dashboard content hidden while a product is shown
+     * @param {UserAPI} api - Source of products (`api.catalog`) and related products
+     * @param {BrowsingHistoryTracker} historyTracker - Records product views
+     * @param {RegistrationAPI} authApi - Source of the signed-in session
+     */
+    constructor(containerId, homeId, api, historyTracker, authApi) {
+        this.container = document.getElementById(containerId);
+        this.home = document.getElementById(homeId);
+        this.api = api;
+        this.historyTracker = historyTracker;
+        this.authApi = authApi;
+        this.productId = null;
+        this.product = null;
+        this.abortController = null;
+        this.homeTitle = document.title;
+        // Time on the current product page; paused while the tab is hidden
+        this.dwell = null;
+        this.handleHashChange = () => this.route();
+        this.handleVisibilityChange = () => this.updateDwell();
+        this.handlePageHide = () => this.stopDwell();
+
+        this.init();
+    }
+
+    /**
+     * Product ID from a `#/products/<id>` hash
+     * @param {string} hash - Location hash
+     * @returns {number|null} Product ID, or null for any other hash
+     */
+    static parseHash(hash) {
+        const match = /^#\/products\/(\d+)$/.exec(hash || '');
+        return match ? Number(match[1]) : null;
+    }
+
+    /**
+     * Open a product's detail page from within the app. The history entry is
+     * marked so Back can return to the previous page instead of leaving the site.
+     * @param {number} productId - Product to show
+     * @param {string} source - Where the product was picked: `recommendation`, `search` or `detail`
+     */
+    static navigate(productId, source = 'detail') {
+        history.pushState({ fromApp: true, source }, '', `#/products/${productId}`);
+        window.dispatchEvent(new HashChangeEvent('hashchange'));
+    }
+
+    /** Follow the URL hash and handle page actions */
+    init() {
+        if (!this.container || !this.home) {
+            console.error('Product detail container not found');
+            return;
+        }
+
+        window.addEventListener('hashchange', this.handleHashChange);
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        window.addEventListener('pagehide', this.handlePageHide);
+
+        this.container.addEventListener('click', (event) => {
+            const link = event.target.closest('a[data-product-link]');
+            if (link && !event.ctrlKey && !event.metaKey && !event.shiftKey) {
+                event.preventDefault();
+                ProductDetailComponent.navigate(Number(link.dataset.productLink));
+                return;
+            }
+
+            const thumb = event.target.closest('[data-image-index]');
+            if (thumb) {
+                this.showImage(Number(thumb.dataset.imageIndex));
+            } else if (event.target.closest('[data-action="back"]')) {
+                this.goBack();
+            } else if (event.target.closest('[data-action="retry"]')) {
+                this.show(this.productId);
+            }
+        });
+
+        this.route();
+    }
+
+    /** Show the product named by the hash, or the dashboard */
+    route() {
+        const productId = ProductDetailComponent.parseHash(location.hash);
+        if (productId) {
+            this.show(productId);
+        } else {
+            this.hide();
+        }
+    }
+
+    /**
+     * Load and render a product, record the view and load related products
+     * @param {number} productId - Product to show
+     */
+    async show(productId) {
+        this.stopDwell();
+        this.abortController?.abort();
+        const controller = new AbortController();
+        this.abortController = controller;
+        this.productId = productId;
+
+        this.home.classList.add('hidden');
+        this.container.classList.remove('hidden');
+        this.renderLoading();
+        window.scrollTo(0, 0);
+
+        try {
+            const product = await this.api.catalog.getProduct(productId, { signal: controller.signal });
+            if (controller.signal.aborted) return;
+
+            this.product = product;
+            this.render(product);
+            this.recordView(product.id, history.state?.source || 'detail');
+            await this.loadRelated(product.id, controller.signal);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Error loading product:', error);
+            this.renderError(error);
+        }
+    }
+
+    /** Close the page; the dashboard comes back unless another page was opened */
+    hide() {
+        if (this.container.classList.contains('hidden')) return;
+
+        const previousId = this.productId;
+        this.stopDwell();
+        this.abortController?.abort();
+        this.productId = null;
+        this.product = null;
+        this.container.classList.add('hidden');
+        this.container.innerHTML = '';
+        if (DashboardUtils.isPageRoute(location.hash)) return;
+
+        this.home.classList.remove('hidden');
+        document.title = this.homeTitle;
+
+        // Put focus back on the card the product was opened from, when it is still shown
+        document.querySelector(`.product-card[data-product-id="${previousId}"]`)?.focus();
+    }
+
+    /**
+     * Go back one page when it was inside the app; after arriving from a
+     * deep link, go to the dashboard instead of leaving the site
+     */
+    goBack() {
+        if (history.state?.fromApp) {
+            history.back();
+            return;
+        }
+        history.replaceState(null, '', location.pathname + location.search);
+        this.route();
+    }
+
+    /**
+     * Add the product to browsing history and start timing the visit. Viewing as
+     * another user is read-only, so their history is left untouched.
+     * @param {number} productId - Viewed product
+     * @param {string} source - How the product was reached
+     */
+    recordView(productId, source) {
+        if (this.authApi.isImpersonating()) return;
+
+        this.historyTracker.addItem(productId, { source });
+        this.dwell = {
+            productId,
+            key: this.historyTracker.getStorageKey(),
+            elapsed: 0,
+            startedAt: document.hidden ? null : Date.now()
+        };
+    }
+
+    /** Pause the visit timer while the tab is hidden and resume it when shown */
+    updateDwell() {
+        if (!this.dwell) return;
+
+        if (document.hidden && this.dwell.startedAt) {
+            this.dwell.elapsed += Date.now() - this.dwell.startedAt;
+            this.dwell.startedAt = null;
+        } else if (!document.hidden && !this.dwell.startedAt) {
+            this.dwell.startedAt = Date.now();
+        }
+    }
+
+    /**
+     * Save the time spent on the current product to the history the view was
+     * recorded in, even if the signed-in or viewed-as user changed meanwhile
+     */
+    stopDwell() {
+        if (!this.dwell) return;
+
+        const { productId, key, elapsed, startedAt } = this.dwell;
+        this.dwell = null;
+        this.historyTracker.recordDwell(productId, elapsed + (startedAt ? Date.now() - startedAt : 0), { key });
+    }
+
+    /** Show a placeholder while the product loads */
+    renderLoading() {
+        this.container.innerHTML = `
+            <nav class="product-detail-nav">
+                <button type="button" class="btn btn-secondary btn-sm" data-action="back">&larr; Back</button>
+            </nav>
+            <div class="product-detail-body product-card--skeleton" aria-busy="true">
+                <div class="product-gallery-main skeleton-box"></div>
+                <div class="product-detail-info">
+                    <div class="skeleton-line skeleton-line--short"></div>
+                    <div class="skeleton-line skeleton-line--title"></div>
+                    <div class="skeleton-line skeleton-line--price"></div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the product page
+     * @param {Object} product - Product from the catalog
+     */
+    render(product) {
+        const images = product.images?.length ? product.images : [product.image];
+        const thumbs = images.length > 1
+            ? `
+                <div class="product-gallery-thumbs" role="group" aria-label="Product images">
+                    ${images.map((_, index) => `
+                        <button type="button" class="product-gallery-thumb" data-image-index="${index}"
+                            aria-label="Show image ${index + 1} of ${images.length}">
+                            <img alt="">
+                        </button>
+                    `).join('')}
+                </div>
+            `
+            : '';
+
+        this.container.innerHTML = `
+            <nav class="product-detail-nav">
+                <button type="button" class="btn btn-secondary btn-sm" data-action="back">&larr; Back</button>
+            </nav>
+            <article class="product-detail-body" aria-labelledby="product-detail-title">
+                <div class="product-gallery">
+                    <img class="product-gallery-main" alt="${this.escapeHtml(product.title)}">
+                    ${thumbs}
+                </div>
+                <div class="product-detail-info">
+                    <span class="product-category">${this.escapeHtml(product.category)}</span>
+                    <h2 id="product-detail-title" class="product-detail-title" tabindex="-1">${this.escapeHtml(product.title)}</h2>
+                    <div class="product-rating">
+                        ${this.renderStars(product.rating)}
+                        <span class="product-review-count">(${product.reviewCount.toLocaleString()} reviews)</span>
+                    </div>
+                    <p class="product-detail-price">${this.formatPrice(product)}</p>
+                    <p class="product-detail-description">${this.escapeHtml(product.description)}</p>
+                    <p class="product-detail-sku">SKU ${this.escapeHtml(product.sku)}</p>
+                    ${product.ratingCounts ? this.renderRatingBreakdown(product.ratingCounts) : ''}
+                </div>
+            </article>
+            <section class="product-related" aria-labelledby="product-related-title">
+                <h3 id="product-related-title" class="product-related-title">Customers also viewed</h3>
+                <div class="product-related-list" aria-busy="true"></div>
+            </section>
+        `;
+
+        // Set image URLs through the DOM so quotes in catalog data cannot break the markup
+        this.container.querySelectorAll('.product-gallery-thumb img').forEach((image, index) => {
+            image.src = images[index];
+        });
+        this.showImage(0);
+
+        document.title = `${product.title} - Dashboard`;
+        this.container.querySelector('#product-detail-title').focus();
+    }
+
+    /**
+     * Show one gallery image in the main view
+     * @param {number} index - Image position
+     */
+    showImage(index) {
+        const images = this.product.images?.length ? this.product.images : [this.product.image];
+        const main = this.container.querySelector('.product-gallery-main');
+        main.src = images[index] || images[0];
+        main.onerror = () => {
+            main.onerror = null;
+            main.src = 'https://via.placeholder.com/600x600?text=No+Image';
+        };
+
+        this.container.querySelectorAll('.product-gallery-thumb').forEach(thumb => {
+            thumb.setAttribute('aria-pressed', String(Number(thumb.dataset.imageIndex) === index));
+        });
+    }
+
+    /**
+     * Star counts as horizontal bars, five stars first
+     * @param {Object<string, number>} ratingCounts - Number of reviews per star rating
+     * @returns {string} HTML string
+     */
+    renderRatingBreakdown(ratingCounts) {
+        const stars = [5, 4, 3, 2, 1];
+        const total = stars.reduce((sum, star) => sum + (ratingCounts[star] || 0), 0);
+        const rows = stars.map(star => {
+            const count = ratingCounts[star] || 0;
+            const percent = total ? Math.round((count / total) * 100) : 0;
+            return `
+                <li class="rating-breakdown-row">
+                    <span class="rating-breakdown-label">${star} star${star === 1 ? '' : 's'}</span>
+                    <span class="rating-breakdown-bar" aria-hidden="true"><span style="width: ${percent}%"></span></span>
+                    <span class="rating-breakdown-count">${count.toLocaleString()} (${percent}%)</span>
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <div class="rating-breakdown">
+                <h3 class="rating-breakdown-title">Rating breakdown</h3>
+                <ul>${rows}</ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Load "customers also viewed" products into the page
+     * @param {number} productId - Product being shown
+     * @param {AbortSignal} signal - Aborted when another product is opened
+     */
+    async loadRelated(productId, signal) {
+        const list = this.container.querySelector('.product-related-list');
+        let related;
+        try {
+            related = await this.api.fetchRelatedProducts(productId, {
+                coViewHistories: this.historyTracker.isPersonalizationAllowed()
+                    ? this.historyTracker.getOtherHistories()
+                    : [],
+                signal
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            list.removeAttribute('aria-busy');
+            list.innerHTML = `<p class="product-related-empty">${this.escapeHtml(error.message)}</p>`;
+            return;
+        }
+        if (signal.aborted) return;
+
+        list.removeAttribute('aria-busy');
+        if (!related.length) {
+            list.innerHTML = '<p class="product-related-empty">No related products yet.</p>';
+            return;
+        }
+
+        list.innerHTML = related.map(item => `
+            <a class="product-related-card" href="#/products/${item.id}" data-product-link="${item.id}">
+                <img class="product-related-image" alt="" loading="lazy">
+                <span class="product-related-name">${this.escapeHtml(item.title)}</span>
+                <span class="product-price">${this.formatPrice(item)}</span>
+                <span class="product-reason">${this.escapeHtml(item.reason)}</span>
+            </a>
+        `).join('');
+        list.querySelectorAll('.product-related-image').forEach((image, index) => {
+            image.src = related[index].image;
+        });
+    }
+
+    /**
+     * Show why the product could not be loaded
+     * @param {Error} error - Load error; `status` 404 means the product does not exist
+     */
+    renderError(error) {
+        const notFound = error.status === 404;
+        this.container.innerHTML = `
+            <nav class="product-detail-nav">
+                <button type="button" class="btn btn-secondary btn-sm" data-action="back">&larr; Back</button>
+            </nav>
+            <div class="recommendations-error">
+                <p>${notFound ? 'This product does not exist or is no longer available.' : this.escapeHtml(error.message)}</p>
+                ${notFound ? '' : '<button type="button" class="btn btn-primary btn-sm" data-action="retry">Retry</button>'}
+            </div>
+        `;
+        document.title = `${notFound ? 'Product not found' : 'Product unavailable'} - Dashboard`;
+    }
+
+    /**
+     * Format a product price in its currency
+     * @param {Object} product - Product with `price` and `currency`
+     * @returns {string} Formatted price
+     */
+    formatPrice(product) {
+        return new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: product.currency || 'USD'
+        }).format(product.price);
+    }
+
+    /**
+     * Render a star rating as HTML spans
+     * @param {number} rating - Rating value 0–5
+     * @returns {string} HTML string
+     */
+    renderStars(rating) {
+        const full = Math.floor(rating);
+        const half = rating % 1 >= 0.5;
+        const empty = 5 - full - (half ? 1 : 0);
+        return `
+            <span class="stars" aria-label="Rating: ${rating} out of 5">
+                ${'<span class="star star--full">★</span>'.repeat(full)}
+                ${half ? '<span class="star star--half">★</span>' : ''}
+                ${'<span class="star star--empty">★</span>'.repeat(empty)}
+            </span>
+            <span class="rating-value">${rating}</span>
+        `;
+    }
+
+    /** Escape text to prevent XSS */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+
+    /** Stop following the hash and clear the page */
+    destroy() {
+        this.stopDwell();
+        window.removeEventListener('hashchange', this.handleHashChange);
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        window.removeEventListener('pagehide', this.handlePageHide);
+        this.abortController?.abort();
+        if (this.container) {
+            this.container.innerHTML = '';
+            this.container.classList.add('hidden');
+        }
+        this.home?.classList.remove('hidden');
+    }
+}
+
+/**
+ * Browsing history page at `#/history`: what the user viewed, when, how often
+ * and for how long, with controls to remove single products, clear everything
+ * or pause tracking.
+ */
+class BrowsingHistoryComponent {
+    /**
+     * @param {string} containerId - ID of the element the page renders into
+     * @param {string} homeId - ID of the dashboard content hidden while the page is shown
+     * @param {UserAPI} api - Source of products (`api.catalog`)
+     * @param {BrowsingHistoryTracker} historyTracker - History to show and edit
+     * @param {RegistrationAPI} authApi - Source of the signed-in session
+     */
+    constructor(containerId, homeId, api, historyTracker, authApi) {
+        this.container = document.getElementById(containerId);
+        this.home = document.getElementById(homeId);
+        this.api = api;
+        this.historyTracker = historyTracker;
+        this.authApi = authApi;
+        this.products = new Map();
+        this.sourceLabels = {
+            recommendation: 'From recommendations',
+            search: 'From search',
+            detail: 'Opened directly'
+        };
+        this.homeTitle = document.title;
+        this.unsubscribeHistory = null;
+        this.handleHashChange = () => this.route();
+
+        this.init();
+    }
+
+    /** Follow the URL hash and handle page actions */
+    init() {
+        if (!this.container || !this.home) {
+            console.error('Browsing history container not found');
+            return;
+        }
+
+        window.addEventListener('hashchange', this.handleHashChange);
+
+        // Keep the page current when history changes elsewhere, e.g. in another component
+        this.unsubscribeHistory = this.historyTracker.events.on('history:changed', () => {
+            if (this.isVisible()) {
+                this.render();
+            }
+        });
+
+        this.container.addEventListener('click', (event) => {
+            const link = event.target.closest('a[data-product-link]');
+            if (link && !event.ctrlKey && !event.metaKey && !event.shiftKey) {
+                event.preventDefault();
+                ProductDetailComponent.navigate(Number(link.dataset.productLink));
+                return;
+            }
+
+            const remove = event.target.closest('[data-remove-id]');
+            if (remove) {
+                this.removeItem(Number(remove.dataset.removeId));
+            } else if (event.target.closest('[data-action="toggle-pause"]')) {
+                this.togglePaused();
+            } else if (event.target.closest('[data-action="clear-history"]')) {
+                this.clearHistory();
+            } else if (event.target.closest('[data-action="back"]')) {
+                this.goBack();
+            }
+        });
+
+        this.route();
+    }
+
+    /** Show the page for `#/history`, otherwise hide it */
+    route() {
+        if (location.hash === '#/history') {
+            this.show();
+        } else {
+            this.hide();
+        }
+    }
+
+    /** Whether the page is on screen */
+    isVisible() {
+        return !this.container.classList.contains('hidden');
+    }
+
+    /** Show the page and load the products it lists */
+    async show() {
+        this.home.classList.add('hidden');
+        this.container.classList.remove('hidden');
+        document.title = 'Browsing history - Dashboard';
+        window.scrollTo(0, 0);
+
+        // Use the history of whoever is shown, also when the page is opened directly
+        this.historyTracker.setUserId(this.authApi.getActiveUserId());
+        this.render();
+        this.container.querySelector('#browsing-history-title')?.focus();
+
+        try {
+            const products = await this.api.catalog.listProducts();
+            this.products = new Map(products.map(product => [product.id, product]));
+        } catch (error) {
+            console.error('Error loading products for history:', error);
+        }
+        if (this.isVisible()) {
+            this.render();
+        }
+    }
+
+    /** Close the page; the dashboard comes back unless another page was opened */
+    hide() {
+        if (!this.isVisible()) return;
+
+        this.container.classList.add('hidden');
+        this.container.innerHTML = '';
+        if (DashboardUtils.isPageRoute(location.hash)) return;
+
+        this.home.classList.remove('hidden');
+        document.title = this.homeTitle;
+    }
+
+    /**
+     * Go back one page when it was inside the app; after arriving from a
+     * link, go to the dashboard instead of leaving the site
+     */
+    goBack() {
+        if (history.state?.fromApp) {
+            history.back();
+            return;
+        }
+        history.replaceState(null, '', location.pathname + location.search);
+        window.dispatchEvent(new HashChangeEvent('hashchange'));
+    }
+
+    /** Render the controls and history list */
+    render() {
+        const entries = this.historyTracker.getEntries();
+        const paused = this.historyTracker.isPaused();
+        // Viewing as another user is read-only
+        const readOnly = this.authApi.isImpersonating();
+        const disabled = readOnly ? 'disabled' : '';
+
+        this.container.innerHTML = `
+            <nav class="product-detail-nav">
+                <button type="button" class="btn btn-secondary btn-sm" data-action="back">&larr; Back</button>
+            </nav>
+            <div class="browsing-history-header">
+                <h2 id="browsing-history-title" class="product-detail-title" tabindex="-1">Browsing history</h2>
+                <div class="browsing-history-actions">
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="toggle-pause"
+                        aria-pressed="${paused}" ${disabled}>${paused ? 'Resume tracking' : 'Pause tracking'}</button>
+                    <button type="button" class="btn btn-secondary btn-sm" data-action="clear-history"
+                        ${entries.length ? disabled : 'disabled'}>Clear history</button>
+                </div>
+            </div>
+            ${paused ? `
+                <p class="browsing-history-notice" role="status">
+                    Tracking is paused. New views and searches are not recorded; your existing history still shapes recommendations.
+                </p>
+            ` : ''}
+            ${!this.historyTracker.isPersonalizationAllowed() ? `
+                <p class="browsing-history-notice" role="status">
+                    History tracking is off. Views and searches are not recorded or used for recommendations.
+                    <a href="#/privacy">Privacy settings</a>
+                </p>
+            ` : ''}
+            ${readOnly ? `
+                <p class="browsing-history-notice" role="status">You are viewing another user's history. It cannot be changed.</p>
+            ` : ''}
+            ${entries.length ? `
+                <ul class="browsing-history-list">
+                    ${entries.map(entry => this.renderEntry(entry, disabled)).join('')}
+                </ul>
+            ` : '<p class="no-recommendations">No products viewed yet.</p>'}
+        `;
+
+        this.container.querySelectorAll('.browsing-history-image').forEach(image => {
+            const product = this.products.get(Number(image.dataset.productId));
+            if (product) {
+                image.src = product.image;
+            }
+        });
+    }
+
+    /**
+     * Build the HTML for one history entry
+     * @param {Object} entry - History entry from BrowsingHistoryTracker
+     * @param {string} disabled - `disabled` attribute while read-only
+     * @returns {string} HTML string
+     */
+    renderEntry(entry, disabled) {
+        const product = this.products.get(entry.productId);
+        const title = product ? product.title : `Product #${entry.productId}`;
+        const details = [
+            `Viewed ${entry.viewCount} ${entry.viewCount === 1 ? 'time' : 'times'}`,
+            entry.dwellMs ? `${DashboardUtils.formatDuration(entry.dwellMs)} on page` : null,
+            entry.firstViewedAt && entry.firstViewedAt !== entry.lastViewedAt
+                ? `first viewed ${DashboardUtils.formatDate(entry.firstViewedAt)}`
+                : null,
+            this.sourceLabels[entry.source] || null
+        ].filter(Boolean);
+
+        return `
+            <li class="browsing-history-item">
+                <img class="browsing-history-image" data-product-id="${entry.productId}" alt="">
+                <div class="browsing-history-info">
+                    <a class="browsing-history-name" href="#/products/${entry.productId}" data-product-link="${entry.productId}">
+                        ${this.escapeHtml(title)}
+                    </a>
+                    <span class="browsing-history-meta">
+                        ${entry.lastViewedAt ? `${DashboardUtils.formatRelativeTime(entry.lastViewedAt)} &middot; ` : ''}${this.escapeHtml(details.join(' · '))}
+                    </span>
+                </div>
+                <button type="button" class="btn btn-secondary btn-sm" data-remove-id="${entry.productId}"
+                    aria-label="Remove ${this.escapeHtml(title)} from history" ${disabled}>Remove</button>
+            </li>
+        `;
+    }
+
+    /** Pause or resume recording for the user whose history is shown */
+    togglePaused() {
+        if (this.authApi.isImpersonating()) return;
+
+        this.historyTracker.setPaused(!this.historyTracker.isPaused());
+    }
+
+    /**
+     * Remove one product, offering to undo
+     * @param {number} productId - Product to remove
+     */
+    removeItem(productId) {
+        if (this.authApi.isImpersonating()) return;
+
+        const title = this.products.get(productId)?.title || 'Product';
+        const entries = this.historyTracker.getEntries();
+        this.historyTracker.removeItem(productId);
+        DashboardUtils.showNotification(`Removed "${title}" from your history.`, 'info', {
+            actionLabel: 'Undo',
+            onAction: () => this.historyTracker.restore(entries)
+        });
+    }
+
+    /** Clear the whole history, offering to undo */
+    clearHistory() {
+        if (this.authApi.isImpersonating()) return;
+
+        const entries = this.historyTracker.getEntries();
+        this.historyTracker.clear();
+        DashboardUtils.showNotification('Browsing history cleared.', 'info', {
+            actionLabel: 'Undo',
+            onAction: () => this.historyTracker.restore(entries)
+        });
+    }
+
+    /** Escape text to prevent XSS */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+
+    /** Stop following the hash and clear the page */
+    destroy() {
+        window.removeEventListener('hashchange', this.handleHashChange);
+        if (this.unsubscribeHistory) {
+            this.unsubscribeHistory();
+        }
+        if (this.container) {
+            this.container.innerHTML = '';
+            this.container.classList.add('hidden');
+        }
+    }
+}
+
+/**
+ * Bottom banner asking whether browsing history may be used for personalization.
+ * Shown until the visitor decides, unless a browser opt-out signal already decides.
+ */
+class PrivacyConsentBanner {
+    /**
+     * @param {string} containerId - ID of the banner element
+     * @param {PrivacySettings} privacy - Consent storage
+     */
+    constructor(containerId, privacy) {
+        this.container = document.getElementById(containerId);
+        this.privacy = privacy;
+        this.unsubscribePrivacy = null;
+
+        this.init();
+    }
+
+    /** Render the banner when consent is still open */
+    init() {
+        if (!this.container) {
+            console.error('Privacy banner container not found');
+            return;
+        }
+
+        this.container.innerHTML = `
+            <p class="privacy-banner-text">
+                We can use the products you view and search for on this device to personalize your recommendations.
+                Your history stays in this browser.
+            </p>
+            <div class="privacy-banner-actions">
+                <a class="btn btn-secondary btn-sm" href="#/privacy">Settings</a>
+                <button type="button" class="btn btn-secondary btn-sm" data-consent="denied">Decline</button>
+                <button type="button" class="btn btn-primary btn-sm" data-consent="granted">Accept</button>
+            </div>
+        `;
+
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-consent]');
+            if (button) {
+                this.privacy.update({ consent: button.dataset.consent });
+            }
+        });
+
+        this.unsubscribePrivacy = this.privacy.events.on('privacy:changed', () => this.update());
+        this.update();
+    }
+
+    /** Show the banner only while a decision is needed */
+    update() {
+        this.container.classList.toggle('hidden', !this.privacy.needsConsent());
+    }
+
+    /** Tear down the component */
+    destroy() {
+        if (this.unsubscribePrivacy) {
+            this.unsubscribePrivacy();
+        }
+        if (this.container) {
+            this.container.innerHTML = '';
+            this.container.classList.add('hidden');
+        }
+    }
+}
+
+/**
+ * Privacy settings page at `#/privacy`: consent, retention period, the browser
+ * opt-out mode and deleting the stored browsing data.
+ */
+class PrivacySettingsComponent {
+    /**
+     * @param {string} containerId - ID of the element the page renders into
+     * @param {string} homeId - ID of the dashboard content hidden while the page is shown
+     * @param {PrivacySettings} privacy - Settings to show and edit
+     * @param {BrowsingHistoryTracker} historyTracker - Data deleted by "Delete browsing data"
+     * @param {RegistrationAPI} authApi - Source of the signed-in session
+     */
+    constructor(containerId, homeId, privacy, historyTracker, authApi) {
+        this.container = document.getElementById(containerId);
+        this.home = document.getElementById(homeId);
+        this.privacy = privacy;
+        this.historyTracker = historyTracker;
+        this.authApi = authApi;
+        this.homeTitle = document.title;
+        this.unsubscribePrivacy = null;
+        this.handleHashChange = () => this.route();
+
+        this.init();
+    }
+
+    /** Follow the URL hash and handle page actions */
+    init() {
+        if (!this.container || !this.home) {
+            console.error('Privacy settings container not found');
+            return;
+        }
+
+        window.addEventListener('hashchange', this.handleHashChange);
+
+        // The consent banner can change settings while the page is open
+        this.unsubscribePrivacy = this.privacy.events.on('privacy:changed', () => {
+            if (this.isVisible()) {
+                this.render();
+            }
+        });
+
+        this.container.addEventListener('change', () => this.save());
+        this.container.addEventListener('submit', (e) => e.preventDefault());
+        this.container.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action="delete-data"]')) {
+                this.deleteData();
+            } else if (e.target.closest('[data-action="back"]')) {
+                this.goBack();
+            }
+        });
+
+        this.route();
+    }
+
+    /** Show the page for `#/privacy`, otherwise hide it */
+    route() {
+        if (location.hash === '#/privacy') {
+            this.show();
+        } else {
+            this.hide();
+        }
+    }
+
+    /** Whether the page is on screen */
+    isVisible() {
+        return !this.container.classList.contains('hidden');
+    }
+
+    /** Show the page */
+    show() {
+        this.home.classList.add('hidden');
+        this.container.classList.remove('hidden');
+        document.title = 'Privacy settings - Dashboard';
+        window.scrollTo(0, 0);
+        this.render();
+        this.container.querySelector('#privacy-settings-title').focus();
+    }
+
+    /** Close the page; the dashboard comes back unless another page was opened */
+    hide() {
+        if (!this.isVisible()) return;
+
+        this.container.classList.add('hidden');
+        this.container.innerHTML = '';
+        if (DashboardUtils.isPageRoute(location.hash)) return;
+
+        this.home.classList.remove('hidden');
+        document.title = this.homeTitle;
+    }
+
+    /**
+     * Go back one page when it was inside the app; after arriving from a
+     * link, go to the dashboard instead of leaving the site
+     */
+    goBack() {
+        if (history.state?.fromApp) {
+            history.back();
+            return;
+        }
+        history.replaceState(null, '', location.pathname + location.search);
+        window.dispatchEvent(new HashChangeEvent('hashchange'));
+    }
+
+    /** Render the settings form */
+    render() {
+        const settings = this.privacy.get();
+        const optOut = this.privacy.hasBrowserOptOut();
+        const trackingAllowed = this.privacy.isTrackingAllowed();
+        const status = trackingAllowed
+            ? 'History tracking is on. Recommendations are personalized.'
+            : optOut && settings.respectBrowserSignals && settings.consent === 'granted'
+                ? 'History tracking is off because your browser asks sites not to track you.'
+                : 'History tracking is off. Recommendations show popular picks.';
+
+        this.container.innerHTML = `
+            <nav class="product-detail-nav">
+                <button type="button" class="btn btn-secondary btn-sm" data-action="back">&larr; Back</button>
+            </nav>
+            <h2 id="privacy-settings-title" class="product-detail-title" tabindex="-1">Privacy settings</h2>
+            <p class="browsing-history-notice" role="status">${status}</p>
+            <form class="privacy-settings-form">
+                <label class="privacy-option">
+                    <input type="checkbox" name="consent" ${settings.consent === 'granted' ? 'checked' : ''}>
+                    <span>Use the products I view and search for on this device to personalize recommendations</span>
+                </label>
+                <label class="privacy-option">
+                    <input type="checkbox" name="respectBrowserSignals" ${settings.respectBrowserSignals ? 'checked' : ''}>
+                    <span>
+                        Respect Do Not Track and Global Privacy Control
+                        <small class="privacy-help">
+                            ${optOut ? 'Your browser is sending an opt-out signal.' : 'Your browser is not sending an opt-out signal.'}
+                        </small>
+                    </span>
+                </label>
+                <label class="filter-field">
+                    <span>Keep browsing history for</span>
+                    <select name="retentionDays">
+                        ${this.privacy.retentionOptions.map(days => `
+                            <option value="${days}" ${settings.retentionDays === days ? 'selected' : ''}>${this.formatRetention(days)}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                <p class="privacy-help">Older views and searches are deleted automatically.</p>
+            </form>
+            <div class="browsing-history-actions">
+                <a class="btn btn-secondary btn-sm" href="#/history">View browsing history</a>
+                <button type="button" class="btn btn-secondary btn-sm" data-action="delete-data"
+                    ${this.authApi.isImpersonating() ? 'disabled' : ''}>Delete browsing data</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Label for a retention period
+     * @param {number} days - Retention in days
+     * @returns {string} Label
      */
-    static isMobile() {
-        return window.innerWidth <= 768;
+    formatRetention(days) {
+        return days === 365 ? '1 year' : `${days} days`;
     }
 
-    /**
-     * Debounce function for performance optimization
-     */
-    static debounce(func, wait) {
-        let timeout;
-        return function executedFunction(...args) {
-            const later = () => {
-                clearTimeout(timeout);
-                func(...args);
-            };
-            clearTimeout(timeout);
-            timeout = setTimeout(later, wait);
-        };
+    /** Save the form */
+    save() {
+        const form = this.container.querySelector('.privacy-settings-form').elements;
+        this.privacy.update({
+            consent: form.consent.checked ? 'granted' : 'denied',
+            respectBrowserSignals: form.respectBrowserSignals.checked,
+            retentionDays: Number(form.retentionDays.value)
+        });
+        DashboardUtils.showNotification('Privacy settings saved.', 'success');
+    }
+
+    /** Delete the shown user's browsing history and searches */
+    deleteData() {
+        if (this.authApi.isImpersonating()) return;
+
+        this.historyTracker.setUserId(this.authApi.getActiveUserId());
+        this.historyTracker.clear();
+        DashboardUtils.showNotification('Your browsing data was deleted.', 'success');
+    }
+
+    /** Stop following the hash and clear the page */
+    destroy() {
+        window.removeEventListener('hashchange', this.handleHashChange);
+        if (this.unsubscribePrivacy) {
+            this.unsubscribePrivacy();
+        }
+        if (this.container) {
+            this.container.innerHTML = '';
+            this.container.classList.add('hidden');
+        }
     }
 }
 
 /**
- * Displays personalized product recommendations derived from the user's
- * account data and browsing history.
+ * Header switcher that lets support staff view the dashboard as another user
+ * in read-only mode, with a banner while impersonating.
  */
-class RecommendationsComponent {
+class UserSwitcherComponent {
     /**
-     * @param {string} containerId - ID of the DOM container to render into
-     * @param {UserAPI} api - The shared API instance
-     * @param {BrowsingHistoryTracker} historyTracker - Browsing history tracker
+     * @param {string} containerId - Header element for the user picker
+     * @param {string} bannerId - Element for the impersonation banner
+     * @param {UserAPI} api - Source of the user list
+     * @param {RegistrationAPI} authApi - Session and impersonation state
      */
-    constructor(containerId, api, historyTracker) {
+    constructor(containerId, bannerId, api, authApi) {
         this.container = document.getElementById(containerId);
+        this.banner = document.getElementById(bannerId);
         this.api = api;
-        this.historyTracker = historyTracker;
-        this.currentUserId = 1;
-        this.products = [];
+        this.authApi = authApi;
+        this.users = null;
+        this.unsubscribeSession = null;
 
         this.init();
     }
 
-    /** Load recommendations on first mount */
-    async init() {
-        if (!this.container) {
-            console.error('Recommendations container not found');
+    /** Render for the current session and follow session changes */
+    init() {
+        if (!this.container || !this.banner) {
+            console.error('User switcher container not found');
             return;
         }
-        await this.loadRecommendations();
-    }
 
-    /** Fetch recommendations from the API and re-render */
-    async loadRecommendations() {
-        try {
-            this.renderSkeleton();
-            const history = this.historyTracker.getHistory();
-            this.products = await this.api.fetchRecommendations(this.currentUserId, history);
-            this.render();
-        } catch (error) {
-            console.error('Error loading recommendations:', error);
-            this.renderError(error.message);
-        }
+        this.unsubscribeSession = this.authApi.events.on('auth:changed', () => this.render());
+        this.render();
     }
 
-    /** Show placeholder skeleton cards while data is loading */
-    renderSkeleton() {
-        this.container.innerHTML = `
-            <div class="recommendations-grid">
-                ${Array(4).fill(0).map(() => `
-                    <div class="product-card product-card--skeleton">
-                        <div class="product-image-wrapper skeleton-box"></div>
-                        <div class="product-info">
-                            <div class="skeleton-line skeleton-line--short"></div>
-                            <div class="skeleton-line skeleton-line--title"></div>
-                            <div class="skeleton-line skeleton-line--short"></div>
-                            <div class="skeleton-line skeleton-line--price"></div>
-                        </div>
-                    </div>
-                `).join('')}
-            </div>
-        `;
-    }
+    /** Show the picker to support staff only, and the banner while impersonating */
+    async render() {
+        const session = this.authApi.getCurrentSession();
+        this.renderBanner(session?.impersonating || null);
 
-    /** Render the full recommendations UI */
-    render() {
-        if (!this.products.length) {
-            this.container.innerHTML = '<p class="no-recommendations">No recommendations available at this time.</p>';
+        if (!session || !session.user.roles.includes('support')) {
+            this.container.classList.add('hidden');
+            this.container.innerHTML = '';
             return;
         }
 
-        const historyCount = this.historyTracker.getHistory().length;
-        const subtitle = historyCount > 0
-            ? `Tailored to your browsing history and profile`
-            : `Popular picks to get you started`;
+        const users = await this.loadUsers();
+        const selectedId = session.impersonating?.userId ?? '';
+        const options = users
+            .filter(user => user.id !== session.user.id)
+            .map(user => `
+                <option value="${user.id}" ${user.id === selectedId ? 'selected' : ''}>
+                    ${this.escapeHtml(user.name)} (#${user.id})
+                </option>
+            `).join('');
 
+        this.container.classList.remove('hidden');
         this.container.innerHTML = `
-            <div class="recommendations-header">
-                <span class="recommendations-subtitle">${subtitle}</span>
-                <button class="btn btn-secondary btn-sm" id="refresh-recommendations">Refresh</button>
-            </div>
-            <div class="recommendations-grid">
-                ${this.products.map(product => this.renderProductCard(product)).join('')}
-            </div>
+            <label for="user-switcher-select" class="user-switcher-label">View as</label>
+            <select id="user-switcher-select" class="user-switcher-select">
+                <option value="">Myself (${this.escapeHtml(session.user.fullName)})</option>
+                ${options}
+            </select>
         `;
 
-        // Event delegation: clicking any product card records it in history
-        this.container.querySelectorAll('.product-card[data-product-id]').forEach(card => {
-            card.addEventListener('click', () => {
-                const productId = parseInt(card.dataset.productId, 10);
-                this.handleProductClick(productId);
-            });
-            card.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    const productId = parseInt(card.dataset.productId, 10);
-                    this.handleProductClick(productId);
-                }
-            });
-        });
-
-        document.getElementById('refresh-recommendations')?.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.api.clearCache();
-            this.loadRecommendations();
+        this.container.querySelector('#user-switcher-select').addEventListener('change', (event) => {
+            this.handleSwitch(event.target.value);
         });
     }
 
     /**
-     * Build the HTML for a single product card
-     * @param {Object} product
-     * @returns {string} HTML string
+     * Users to offer: the backend list, or registered accounts when it is unavailable
+     * @returns {Promise<Array<{id: number, name: string}>>} Users
      */
-    renderProductCard(product) {
-        const badgeHtml = product.badge
-            ? `<span class="product-badge product-badge--${product.badge.toLowerCase().replace(/\s+/g, '-')}">${this.escapeHtml(product.badge)}</span>`
-            : '';
+    async loadUsers() {
+        if (this.users) return this.users;
 
-        return `
-            <div class="product-card" data-product-id="${product.id}" role="button" tabindex="0" aria-label="View ${this.escapeHtml(product.title)}">
-                <div class="product-image-wrapper">
-                    ${badgeHtml}
-                    <img
-                        src="${product.image}"
-                        alt="${this.escapeHtml(product.title)}"
-                        class="product-image"
-                        loading="lazy"
-                        onerror="this.src='https://via.placeholder.com/200x200?text=No+Image'"
-                    >
-                </div>
-                <div class="product-info">
-                    <span class="product-category">${this.escapeHtml(product.category)}</span>
-                    <h4 class="product-title">${this.escapeHtml(product.title)}</h4>
-                    <div class="product-rating">
-                        ${this.renderStars(product.rating)}
-                        <span class="product-review-count">(${product.reviewCount.toLocaleString()})</span>
-                    </div>
-                    <div class="product-footer">
-                        <span class="product-price">$${product.price.toFixed(2)}</span>
-                        <button class="btn btn-primary btn-sm">View</button>
-                    </div>
-                </div>
-            </div>
-        `;
+        try {
+            this.users = await this.api.fetchUsers();
+        } catch (error) {
+            console.warn('Falling back to registered users for the switcher:', error);
+            this.users = this.authApi.getPublicUsers().map(user => ({
+                id: user.id,
+                name: user.fullName,
+                email: user.email
+            }));
+        }
+        return this.users;
     }
 
     /**
-     * Render a star rating as HTML spans
-     * @param {number} rating - Rating value 0–5
-     * @returns {string} HTML string
+     * Start or stop impersonating
+     * @param {string} value - Selected user ID, or an empty string for the staff member's own view
      */
-    renderStars(rating) {
-        const full = Math.floor(rating);
-        const half = rating % 1 >= 0.5;
-        const empty = 5 - full - (half ? 1 : 0);
-        return `
-            <span class="stars" aria-label="Rating: ${rating} out of 5">
-                ${'<span class="star star--full">★</span>'.repeat(full)}
-                ${half ? '<span class="star star--half">★</span>' : ''}
-                ${'<span class="star star--empty">★</span>'.repeat(empty)}
-            </span>
-            <span class="rating-value">${rating}</span>
-        `;
+    handleSwitch(value) {
+        try {
+            if (!value) {
+                this.authApi.stopImpersonation();
+                DashboardUtils.showNotification('Back to your own view.', 'info');
+                return;
+            }
+
+            const user = this.users.find(item => item.id === Number(value));
+            const session = this.authApi.startImpersonation({ id: Number(value), name: user?.name });
+            DashboardUtils.showNotification(`Viewing as ${session.impersonating.name} (read-only).`, 'info');
+        } catch (error) {
+            DashboardUtils.showNotification(error.message, 'error');
+            this.render();
+        }
     }
 
     /**
-     * Record a product view and refresh recommendations to reflect new preferences
-     * @param {number} productId
+     * Render the read-only banner
+     * @param {{userId: number, name: string}|null} impersonating - Impersonated user, if any
      */
-    handleProductClick(productId) {
-        this.historyTracker.addItem(productId);
-        const product = this.products.find(p => p.id === productId);
-        DashboardUtils.showNotification(
-            `Viewing "${product ? product.title : 'product'}" — updating recommendations...`,
-            'info'
-        );
-        this.api.clearCache();
-        setTimeout(() => this.loadRecommendations(), 800);
-    }
+    renderBanner(impersonating) {
+        if (!impersonating) {
+            this.banner.classList.add('hidden');
+            this.banner.innerHTML = '';
+            return;
+        }
 
-    /** Show an error state with a retry button */
-    renderError(message) {
-        this.container.innerHTML = `
-            <div class="recommendations-error">
-                <p>Unable to load recommendations. ${this.escapeHtml(message)}</p>
-                <button class="btn btn-primary btn-sm" id="retry-recommendations">Retry</button>
-            </div>
+        this.banner.classList.remove('hidden');
+        this.banner.innerHTML = `
+            <span>
+                Viewing as <strong>${this.escapeHtml(impersonating.name)}</strong> (user #${impersonating.userId}).
+                Read-only: changes are disabled.
+            </span>
+            <button type="button" class="btn btn-secondary btn-sm" id="stop-impersonation">Exit</button>
         `;
-        document.getElementById('retry-recommendations')?.addEventListener('click', () => {
-            this.loadRecommendations();
-        });
+        this.banner.querySelector('#stop-impersonation').addEventListener('click', () => this.handleSwitch(''));
     }
 
     /** Escape text to prevent XSS */
@@ -490,23 +3579,24 @@ class RecommendationsComponent {
         return div.innerHTML;
     }
 
-    /** Force a fresh reload of recommendations */
-    refresh() {
-        this.api.clearCache();
-        return this.loadRecommendations();
-    }
-
     /** Tear down the component */
     destroy() {
+        if (this.unsubscribeSession) {
+            this.unsubscribeSession();
+        }
+
         if (this.container) {
             this.container.innerHTML = '';
         }
+        if (this.banner) {
+            this.banner.innerHTML = '';
+        }
     }
 }
 
 /**
- * Registration component that covers sign-up, verification, password reset,
- * profile updates, and audit visibility.
+ * Registration component that covers sign-in, sign-up, verification, password
+ * reset, profile updates, and audit visibility.
  */
 class RegistrationComponent {
     /**
@@ -518,6 +3608,7 @@ class RegistrationComponent {
         this.api = api;
         this.currentCaptcha = this.api.generateCaptchaChallenge();
         this.activeUserId = null;
+        this.unsubscribeSession = null;
 
         this.init();
     }
@@ -532,12 +3623,31 @@ class RegistrationComponent {
         this.render();
         this.bindEvents();
         this.refreshPanels();
+
+        this.unsubscribeSession = this.api.events.on('auth:changed', () => this.renderSessionStatus());
     }
 
     /** Render component layout */
     render() {
         this.container.innerHTML = `
             <div class="registration-layout">
+                <div class="registration-card">
+                    <h4>Sign In</h4>
+                    <div id="session-status" class="session-status"></div>
+                    <form id="sign-in-form" class="form-grid" novalidate>
+                        <label>
+                            Email
+                            <input type="email" name="signInEmail" placeholder="jane@example.com" autocomplete="username" required>
+                        </label>
+                        <label>
+                            Password
+                            <input type="password" name="signInPassword" placeholder="Your password" autocomplete="current-password" required>
+                        </label>
+                        <div id="sign-in-errors" class="form-errors hidden" role="alert"></div>
+                        <button type="submit" class="btn btn-primary">Sign In</button>
+                    </form>
+                </div>
+
                 <div class="registration-card">
                     <h4>Create Account</h4>
                     <form id="registration-form" class="form-grid" novalidate>
@@ -647,10 +3757,22 @@ class RegistrationComponent {
         const resetRequestForm = this.container.querySelector('#password-reset-request-form');
         const resetForm = this.container.querySelector('#password-reset-form');
         const updateForm = this.container.querySelector('#registration-update-form');
+        const signInForm = this.container.querySelector('#sign-in-form');
         const passwordInput = this.container.querySelector('#registration-password');
 
         passwordInput?.addEventListener('input', () => this.updatePasswordStrength());
 
+        signInForm?.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            await this.handleSignInSubmit();
+        });
+
+        this.container.querySelector('#session-status')?.addEventListener('click', (event) => {
+            if (event.target.closest('#sign-out-button')) {
+                this.handleSignOut();
+            }
+        });
+
         registrationForm?.addEventListener('submit', async (event) => {
             event.preventDefault();
             await this.handleRegistrationSubmit();
@@ -754,6 +3876,41 @@ class RegistrationComponent {
         }
     }
 
+    /** Handle sign-in form submission */
+    async handleSignInSubmit() {
+        const form = this.container.querySelector('#sign-in-form');
+        const errorsEl = this.container.querySelector('#sign-in-errors');
+        if (!form || !errorsEl) return;
+
+        const data = new FormData(form);
+        const email = String(data.get('signInEmail') || '').trim();
+        const password = String(data.get('signInPassword') || '');
+
+        errorsEl.classList.add('hidden');
+        errorsEl.innerHTML = '';
+
+        try {
+            const session = await this.api.login(email, password);
+            this.activeUserId = session.user.id;
+            DashboardUtils.showNotification(`Signed in as ${session.user.fullName}.`, 'success');
+            form.reset();
+            this.refreshPanels();
+        } catch (error) {
+            errorsEl.classList.remove('hidden');
+            errorsEl.innerHTML = `<div>${this.escapeHtml(error.message)}</div>`;
+            DashboardUtils.showNotification('Sign in failed.', 'error');
+            this.refreshPanels();
+        }
+    }
+
+    /** Sign out of the current session */
+    handleSignOut() {
+        this.api.logout();
+        this.activeUserId = null;
+        DashboardUtils.showNotification('Signed out.', 'info');
+        this.refreshPanels();
+    }
+
     /** Handle email verification form */
     handleVerificationSubmit() {
         const form = this.container.querySelector('#verification-form');
@@ -849,12 +4006,36 @@ class RegistrationComponent {
         }
     }
 
-    /** Refresh both the email and audit panels */
+    /** Refresh the session status, email and audit panels */
     refreshPanels() {
+        this.renderSessionStatus();
         this.renderEmailOutbox();
         this.renderAuditLog();
     }
 
+    /** Render the signed-in user, or hide the panel when signed out */
+    renderSessionStatus() {
+        const panel = this.container.querySelector('#session-status');
+        const form = this.container.querySelector('#sign-in-form');
+        if (!panel || !form) return;
+
+        const session = this.api.getCurrentSession();
+        form.classList.toggle('hidden', Boolean(session));
+        if (!session) {
+            panel.innerHTML = '<p class="empty-log">You are not signed in.</p>';
+            return;
+        }
+
+        panel.innerHTML = `
+            <div class="log-row">
+                <div class="log-row-title">${this.escapeHtml(session.user.fullName)}</div>
+                <div class="log-row-meta">${this.escapeHtml(session.user.email)}</div>
+                <div class="log-row-body">Session expires ${DashboardUtils.formatDate(session.expiresAt)} unless you stay active.</div>
+            </div>
+            <button type="button" class="btn btn-secondary" id="sign-out-button">Sign Out</button>
+        `;
+    }
+
     /** Render sent emails panel */
     renderEmailOutbox() {
         const panel = this.container.querySelector('#email-outbox-panel');
@@ -913,6 +4094,10 @@ class RegistrationComponent {
 
     /** Destroy component */
     destroy() {
+        if (this.unsubscribeSession) {
+            this.unsubscribeSession();
+        }
+
         if (this.container) {
             this.container.innerHTML = '';
         }
@@ -931,6 +4116,7 @@ class OrderTrackingComponent {
         this.container = document.getElementById(containerId);
         this.api = api;
         this.currentData = null;
+        this.unsubscribeStatus = null;
 
         this.init();
     }
@@ -944,6 +4130,15 @@ class OrderTrackingComponent {
 
         this.renderBase();
         this.bindEvents();
+
+        // Refresh the displayed order when its shipment status is pushed
+        this.unsubscribeStatus = this.api.events.on('order:status', ({ orderNumber } = {}) => {
+            const shownOrder = this.currentData?.order.number;
+            if (shownOrder && String(orderNumber || '').trim().toUpperCase() === shownOrder) {
+                this.currentData = this.api.fetchOrderTracking(shownOrder);
+                this.renderResults();
+            }
+        });
     }
 
     /** Render static frame */
@@ -1109,6 +4304,10 @@ class OrderTrackingComponent {
 
     /** Destroy component */
     destroy() {
+        if (this.unsubscribeStatus) {
+            this.unsubscribeStatus();
+        }
+
         if (this.container) {
             this.container.innerHTML = '';
         }
@@ -1117,7 +4316,15 @@ class OrderTrackingComponent {
 
 // Global variables for dashboard components
 let userProfileComponent = null;
+let profileEditorComponent = null;
+let userSwitcherComponent = null;
 let recommendationsComponent = null;
+let wishlistComponent = null;
+let productDetailComponent = null;
+let productSearchComponent = null;
+let browsingHistoryComponent = null;
+let privacyConsentBanner = null;
+let privacySettingsComponent = null;
 let registrationComponent = null;
 let orderTrackingComponent = null;
 
@@ -1126,13 +4333,61 @@ let orderTrackingComponent = null;
  */
 function initializeDashboard() {
     // Initialize user profile component
-    userProfileComponent = new UserProfileComponent('user-profile', userAPI);
+    userProfileComponent = new UserProfileComponent('user-profile', userAPI, registrationAPI);
+
+    // Initialize profile editor modal
+    profileEditorComponent = new ProfileEditorComponent('profile-editor', userAPI, userProfileComponent);
+
+    // Initialize support staff user switcher
+    userSwitcherComponent = new UserSwitcherComponent('user-switcher', 'impersonation-banner', userAPI, registrationAPI);
     
     // Initialize personalized recommendations component
     recommendationsComponent = new RecommendationsComponent(
         'recommendations-container',
         userAPI,
-        browsingHistoryTracker
+        browsingHistoryTracker,
+        registrationAPI,
+        recommendationPreferences,
+        wishlistAPI
+    );
+
+    // Initialize wishlist widget
+    wishlistComponent = new WishlistComponent('wishlist-container', wishlistAPI, registrationAPI);
+
+    // Initialize browsing history page (`#/history`)
+    browsingHistoryComponent = new BrowsingHistoryComponent(
+        'browsing-history',
+        'dashboard-home',
+        userAPI,
+        browsingHistoryTracker,
+        registrationAPI
+    );
+
+    // Initialize privacy consent banner and settings page (`#/privacy`)
+    privacyConsentBanner = new PrivacyConsentBanner('privacy-banner', privacySettings);
+    privacySettingsComponent = new PrivacySettingsComponent(
+        'privacy-settings',
+        'dashboard-home',
+        privacySettings,
+        browsingHistoryTracker,
+        registrationAPI
+    );
+
+    // Initialize header product search
+    productSearchComponent = new ProductSearchComponent(
+        'product-search',
+        userAPI,
+        browsingHistoryTracker,
+        registrationAPI
+    );
+
+    // Initialize product detail page (follows `#/products/<id>` links)
+    productDetailComponent = new ProductDetailComponent(
+        'product-detail',
+        'dashboard-home',
+        userAPI,
+        browsingHistoryTracker,
+        registrationAPI
     );
 
     // Initialize registration component
@@ -1153,33 +4408,35 @@ function initializeDashboard() {
 }
 
 /**
- * Global function to update profile (called from HTML button)
+ * Global function to open the profile editor (called from HTML button)
  */
-async function updateProfile() {
-    if (!userProfileComponent) {
+function updateProfile() {
+    if (!userProfileComponent || !profileEditorComponent) {
         DashboardUtils.showNotification('Profile component not initialized', 'error');
         return;
     }
 
-    try {
-        DashboardUtils.showLoadingSpinner();
-        
-        // Simulate profile update with new data
-        const currentUser = userProfileComponent.getCurrentUser();
-        if (currentUser) {
-            const updatedData = {
-                ...currentUser,
-                name: currentUser.name + ' (Updated)',
-                lastUpdated: new Date().toISOString()
-            };
-            
-            await userProfileComponent.updateProfile(updatedData);
-            DashboardUtils.showNotification('Profile updated successfully!', 'success');
-        }
-    } catch (error) {
-        console.error('Error updating profile:', error);
-        DashboardUtils.showNotification('Failed to update profile', 'error');
-    } finally {
-        DashboardUtils.hideLoadingSpinner();
+    const currentUser = userProfileComponent.getCurrentUser();
+    if (!currentUser) {
+        DashboardUtils.showNotification('Sign in to update your profile.', 'info');
+        return;
+    }
+    if (registrationAPI.isImpersonating()) {
+        DashboardUtils.showNotification('Profiles are read-only while viewing as another user.', 'info');
+        return;
+    }
+
+    profileEditorComponent.open(currentUser);
+}
+
+/**
+ * Global function to open the avatar upload dialog (called from HTML button)
+ */
+function changeAvatar() {
+    if (!userProfileComponent) {
+        DashboardUtils.showNotification('Profile component not initialized', 'error');
+        return;
     }
+
+    userProfileComponent.openAvatarUpload();
 }
\ No newline at end of file
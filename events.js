@@ -0,0 +1,148 @@
+/**
+ * Topic-based event bus shared by the API classes so components can react to
+ * each other's changes.
+ *
+ * Topics are `namespace:event` strings. Subscriptions may use `*` for every topic
+ * or `namespace:*` for every topic in a namespace.
+ */
+
+/**
+ * Topics published by the API classes and their payloads.
+ * @typedef {Object} EventPayloads
+ * @property {Object} profile:updated - Full profile after a change
+ * @property {{tags: Array<string>, prefix: string|null, keys: Array<string>}} cache:invalidated - Removed cache entries
+ * @property {{orderNumber: string, status: string}} order:status - Shipment status change
+ * @property {{session: Object|null, reason: string}} auth:changed - Sign-in, sign-out, session expiry or impersonation change
+ * @property {{userId: number|null, productId: number}} recommendation:new - New recommendation pushed for a user
+ * @property {{degraded: boolean, endpoints: Array<Object>}} service:status - Circuit breaker state change
+ * @property {{settings: Object, trackingAllowed: boolean}} privacy:changed - Consent, retention or browser signal setting change
+ * @property {{userId: number|null, items: Array<Object>, reason: string, productId: number}} wishlist:changed - Wishlist after
+ *   an `add`, `remove`, `restore` or `move-to-cart`
+ * @property {{userId: number|null, productId: number, quantity: number, price: number, source: string}} cart:add - Product
+ *   handed to the cart, e.g. from the wishlist
+ * @property {{history: Array<number>, reason: string, productId: number}} history:changed - Browsing history after a
+ *   `view`, `remove`, `clear`, `restore`, `prune`, `pause`, `resume`, `privacy` or `switch-user`; `productId` is set for a view or removal
+ */
+
+/**
+ * Publish/subscribe hub with wildcard, once and async listeners
+ */
+class EventBus {
+    constructor() {
+        // Pattern -> Set of listener records
+        this.listeners = new Map();
+    }
+
+    /**
+     * Subscribe to a topic
+     * @param {string} pattern - Topic, `namespace:*` or `*`
+     * @param {Function} handler - Called with `(payload, { topic })`; may be async
+     * @returns {Function} Unsubscribe function
+     */
+    on(pattern, handler) {
+        return this.addListener(pattern, handler, false);
+    }
+
+    /**
+     * Subscribe to the next matching event only
+     * @param {string} pattern - Topic, `namespace:*` or `*`
+     * @param {Function} handler - Called with `(payload, { topic })`; may be async
+     * @returns {Function} Unsubscribe function
+     */
+    once(pattern, handler) {
+        return this.addListener(pattern, handler, true);
+    }
+
+    /**
+     * Remove a handler from a pattern
+     * @param {string} pattern - Pattern the handler was registered with
+     * @param {Function} handler - Handler to remove
+     */
+    off(pattern, handler) {
+        const records = this.listeners.get(pattern);
+        if (!records) return;
+
+        records.forEach(record => {
+            if (record.handler === handler) {
+                records.delete(record);
+            }
+        });
+        if (!records.size) {
+            this.listeners.delete(pattern);
+        }
+    }
+
+    /**
+     * Publish an event to every matching handler. Handler errors are logged,
+     * never thrown, so one failing listener cannot break the publisher.
+     * @param {string} topic - Concrete topic, e.g. `profile:updated`
+     * @param {any} payload - Event data
+     * @returns {Promise<void>} Resolves once every handler, including async ones, has settled
+     */
+    emit(topic, payload) {
+        const pending = [];
+
+        this.listeners.forEach((records, pattern) => {
+            if (!this.matches(pattern, topic)) return;
+
+            records.forEach(record => {
+                if (record.once) {
+                    records.delete(record);
+                }
+                try {
+                    const result = record.handler(payload, { topic });
+                    if (result && typeof result.then === 'function') {
+                        pending.push(result.catch(error => {
+                            console.error(`Error in async "${topic}" handler:`, error);
+                        }));
+                    }
+                } catch (error) {
+                    console.error(`Error in "${topic}" handler:`, error);
+                }
+            });
+        });
+
+        return Promise.all(pending).then(() => undefined);
+    }
+
+    /**
+     * Register a listener record
+     * @param {string} pattern - Topic pattern
+     * @param {Function} handler - Event handler
+     * @param {boolean} once - Remove after the first call
+     * @returns {Function} Unsubscribe function
+     */
+    addListener(pattern, handler, once) {
+        if (!this.listeners.has(pattern)) {
+            this.listeners.set(pattern, new Set());
+        }
+        const record = { handler, once };
+        this.listeners.get(pattern).add(record);
+
+        return () => {
+            this.listeners.get(pattern)?.delete(record);
+        };
+    }
+
+    /**
+     * Whether a subscription pattern matches a topic
+     * @param {string} pattern - `*`, `namespace:*` or an exact topic
+     * @param {string} topic - Concrete topic
+     * @returns {boolean}
+     */
+    matches(pattern, topic) {
+        if (pattern === '*' || pattern === topic) return true;
+        return pattern.endsWith(':*') && topic.startsWith(pattern.slice(0, -1));
+    }
+}
+
+// Shared bus for the application's API instances
+const eventBus = new EventBus();
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EventBus,
+        eventBus
+    };
+}
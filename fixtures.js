@@ -0,0 +1,57 @@
+/**
+ * Fixture data served by MockTransport so the dashboard runs without network access.
+ * Users mirror the JSONPlaceholder `/users` endpoint. Categories and products are
+ * the bundled product catalog read by ProductCatalogAPI; products follow PRODUCT_SCHEMA (api.js).
+ */
+
+const MOCK_FIXTURES = {
+    users: [
+        { id: 1, name: 'Leanne Graham', username: 'Bret', email: 'Sincere@april.biz', phone: '1-770-736-8031 x56442', website: 'hildegard.org', company: { name: 'Romaguera-Crona' } },
+        { id: 2, name: 'Ervin Howell', username: 'Antonette', email: 'Shanna@melissa.tv', phone: '010-692-6593 x09125', website: 'anastasia.net', company: { name: 'Deckow-Crist' } },
+        { id: 3, name: 'Clementine Bauch', username: 'Samantha', email: 'Nathan@yesenia.net', phone: '1-463-123-4447', website: 'ramiro.info', company: { name: 'Romaguera-Jacobson' } },
+        { id: 4, name: 'Patricia Lebsack', username: 'Karianne', email: 'Julianne.OConner@kory.org', phone: '493-170-9623 x156', website: 'kale.biz', company: { name: 'Robel-Corkery' } },
+        { id: 5, name: 'Chelsey Dietrich', username: 'Kamren', email: 'Lucio_Hettinger@annie.ca', phone: '(254)954-1289', website: 'demarco.info', company: { name: 'Keebler LLC' } },
+        { id: 6, name: 'Mrs. Dennis Schulist', username: 'Leopoldo_Corkery', email: 'Karley_Dach@jasper.info', phone: '1-477-935-8478 x6430', website: 'ola.org', company: { name: 'Considine-Lockman' } },
+        { id: 7, name: 'Kurtis Weissnat', username: 'Elwyn.Skiles', email: 'Telly.Hoeger@billy.biz', phone: '210.067.6132', website: 'elvis.io', company: { name: 'Johns Group' } },
+        { id: 8, name: 'Nicholas Runolfsdottir V', username: 'Maxime_Nienow', email: 'Sherwood@rosamond.me', phone: '586.493.6943 x140', website: 'jacynthe.com', company: { name: 'Abernathy Group' } },
+        { id: 9, name: 'Glenna Reichert', username: 'Delphine', email: 'Chaim_McDermott@dana.io', phone: '(775)976-6794 x41206', website: 'conrad.com', company: { name: 'Yost and Sons' } },
+        { id: 10, name: 'Clementina DuBuque', username: 'Moriah.Stanton', email: 'Rey.Padberg@karina.biz', phone: '024-648-3804', website: 'ambrose.net', company: { name: 'Hoeger LLC' } }
+    ],
+    categories: [
+        { slug: 'electronics', name: 'Electronics' },
+        { slug: 'clothing', name: 'Clothing' },
+        { slug: 'books', name: 'Books' },
+        { slug: 'sports', name: 'Sports' },
+        { slug: 'home-and-kitchen', name: 'Home & Kitchen' },
+        { slug: 'beauty', name: 'Beauty' },
+        { slug: 'toys', name: 'Toys' },
+        { slug: 'automotive', name: 'Automotive' }
+    ],
+    products: [
+        { id: 1, sku: 'SKU-0001', title: 'Wireless noise cancelling headphones', description: 'Over-ear headphones with adaptive noise cancelling, 30-hour battery life and a foldable travel case.', category: 'Electronics', price: 13.69, currency: 'USD', rating: 3.1, reviewCount: 17, image: 'https://picsum.photos/seed/product1/200/200', images: ['https://picsum.photos/seed/product1/600/600', 'https://picsum.photos/seed/product1-2/600/600', 'https://picsum.photos/seed/product1-3/600/600'], ratingCounts: { 5: 4, 4: 4, 3: 3, 2: 3, 1: 3 }, badge: 'Top Pick' },
+        { id: 2, sku: 'SKU-0002', title: 'Organic cotton crew neck t-shirt', description: 'Soft, breathable everyday tee made from certified organic cotton in a relaxed fit.', category: 'Clothing', price: 17.39, currency: 'USD', rating: 3.2, reviewCount: 24, image: 'https://picsum.photos/seed/product2/200/200', images: ['https://picsum.photos/seed/product2/600/600', 'https://picsum.photos/seed/product2-2/600/600', 'https://picsum.photos/seed/product2-3/600/600'], ratingCounts: { 5: 6, 4: 5, 3: 5, 2: 4, 1: 4 }, badge: 'Top Pick' },
+        { id: 3, sku: 'SKU-0003', title: 'The pragmatic guide to home cooking', description: 'Two hundred weeknight recipes with shopping lists, prep timelines and pantry tips.', category: 'Books', price: 21.09, currency: 'USD', rating: 3.3, reviewCount: 31, image: 'https://picsum.photos/seed/product3/200/200', images: ['https://picsum.photos/seed/product3/600/600', 'https://picsum.photos/seed/product3-2/600/600', 'https://picsum.photos/seed/product3-3/600/600'], ratingCounts: { 5: 9, 4: 7, 3: 6, 2: 5, 1: 4 }, badge: 'Top Pick' },
+        { id: 4, sku: 'SKU-0004', title: 'Adjustable dumbbell set', description: 'Space-saving dumbbells that adjust from 5 to 52 pounds with a quick-turn dial.', category: 'Sports', price: 24.79, currency: 'USD', rating: 3.4, reviewCount: 38, image: 'https://picsum.photos/seed/product4/200/200', images: ['https://picsum.photos/seed/product4/600/600', 'https://picsum.photos/seed/product4-2/600/600', 'https://picsum.photos/seed/product4-3/600/600'], ratingCounts: { 5: 11, 4: 9, 3: 7, 2: 6, 1: 5 }, badge: 'New' },
+        { id: 5, sku: 'SKU-0005', title: 'Cast iron skillet, 12 inch', description: 'Pre-seasoned cast iron pan for searing, baking and campfire cooking.', category: 'Home & Kitchen', price: 28.49, currency: 'USD', rating: 3.5, reviewCount: 45, image: 'https://picsum.photos/seed/product5/200/200', images: ['https://picsum.photos/seed/product5/600/600', 'https://picsum.photos/seed/product5-2/600/600', 'https://picsum.photos/seed/product5-3/600/600'], ratingCounts: { 5: 14, 4: 11, 3: 8, 2: 7, 1: 5 }, badge: 'New' },
+        { id: 6, sku: 'SKU-0006', title: 'Vitamin C brightening serum', description: 'Lightweight daily serum with 15% vitamin C and hyaluronic acid for even skin tone.', category: 'Beauty', price: 32.19, currency: 'USD', rating: 3.6, reviewCount: 52, image: 'https://picsum.photos/seed/product6/200/200', images: ['https://picsum.photos/seed/product6/600/600', 'https://picsum.photos/seed/product6-2/600/600', 'https://picsum.photos/seed/product6-3/600/600'], ratingCounts: { 5: 18, 4: 13, 3: 9, 2: 7, 1: 5 }, badge: 'New' },
+        { id: 7, sku: 'SKU-0007', title: 'Wooden marble run construction kit', description: 'Eighty-piece beechwood set that encourages building, problem solving and play.', category: 'Toys', price: 35.89, currency: 'USD', rating: 3.7, reviewCount: 59, image: 'https://picsum.photos/seed/product7/200/200', images: ['https://picsum.photos/seed/product7/600/600', 'https://picsum.photos/seed/product7-2/600/600', 'https://picsum.photos/seed/product7-3/600/600'], ratingCounts: { 5: 22, 4: 15, 3: 10, 2: 7, 1: 5 }, badge: null },
+        { id: 8, sku: 'SKU-0008', title: 'Cordless car vacuum cleaner', description: 'Handheld vacuum with strong suction, crevice tools and USB-C charging.', category: 'Automotive', price: 39.59, currency: 'USD', rating: 3.8, reviewCount: 66, image: 'https://picsum.photos/seed/product8/200/200', images: ['https://picsum.photos/seed/product8/600/600', 'https://picsum.photos/seed/product8-2/600/600', 'https://picsum.photos/seed/product8-3/600/600'], ratingCounts: { 5: 26, 4: 17, 3: 11, 2: 7, 1: 5 }, badge: null },
+        { id: 9, sku: 'SKU-0009', title: 'Smart fitness watch', description: 'Tracks heart rate, sleep and workouts with a bright always-on display and GPS.', category: 'Electronics', price: 43.29, currency: 'USD', rating: 3.9, reviewCount: 73, image: 'https://picsum.photos/seed/product9/200/200', images: ['https://picsum.photos/seed/product9/600/600', 'https://picsum.photos/seed/product9-2/600/600', 'https://picsum.photos/seed/product9-3/600/600'], ratingCounts: { 5: 31, 4: 19, 3: 12, 2: 7, 1: 4 }, badge: null },
+        { id: 10, sku: 'SKU-0010', title: 'Waterproof hiking jacket', description: 'Three-layer shell with taped seams, pit zips and a packable hood.', category: 'Clothing', price: 46.99, currency: 'USD', rating: 4, reviewCount: 80, image: 'https://picsum.photos/seed/product10/200/200', images: ['https://picsum.photos/seed/product10/600/600', 'https://picsum.photos/seed/product10-2/600/600', 'https://picsum.photos/seed/product10-3/600/600'], ratingCounts: { 5: 36, 4: 21, 3: 12, 2: 7, 1: 4 }, badge: null },
+        { id: 11, sku: 'SKU-0011', title: 'Science fiction short story collection', description: 'Award-winning stories about first contact, distant colonies and near-future cities.', category: 'Books', price: 50.69, currency: 'USD', rating: 4.1, reviewCount: 87, image: 'https://picsum.photos/seed/product11/200/200', images: ['https://picsum.photos/seed/product11/600/600', 'https://picsum.photos/seed/product11-2/600/600', 'https://picsum.photos/seed/product11-3/600/600'], ratingCounts: { 5: 43, 4: 23, 3: 12, 2: 6, 1: 3 }, badge: null },
+        { id: 12, sku: 'SKU-0012', title: 'Yoga mat with alignment lines', description: 'Non-slip 6 mm mat with printed guides to help keep poses aligned.', category: 'Sports', price: 54.39, currency: 'USD', rating: 4.2, reviewCount: 94, image: 'https://picsum.photos/seed/product12/200/200', images: ['https://picsum.photos/seed/product12/600/600', 'https://picsum.photos/seed/product12-2/600/600', 'https://picsum.photos/seed/product12-3/600/600'], ratingCounts: { 5: 49, 4: 24, 3: 12, 2: 6, 1: 3 }, badge: null },
+        { id: 13, sku: 'SKU-0013', title: 'Programmable drip coffee maker', description: 'Twelve-cup brewer with a thermal carafe, brew-strength control and auto start.', category: 'Home & Kitchen', price: 58.09, currency: 'USD', rating: 4.3, reviewCount: 101, image: 'https://picsum.photos/seed/product13/200/200', images: ['https://picsum.photos/seed/product13/600/600', 'https://picsum.photos/seed/product13-2/600/600', 'https://picsum.photos/seed/product13-3/600/600'], ratingCounts: { 5: 58, 4: 25, 3: 11, 2: 5, 1: 2 }, badge: null },
+        { id: 14, sku: 'SKU-0014', title: 'Fragrance-free daily moisturiser', description: 'Gentle ceramide moisturiser suitable for sensitive skin, morning and night.', category: 'Beauty', price: 61.79, currency: 'USD', rating: 4.4, reviewCount: 108, image: 'https://picsum.photos/seed/product14/200/200', images: ['https://picsum.photos/seed/product14/600/600', 'https://picsum.photos/seed/product14-2/600/600', 'https://picsum.photos/seed/product14-3/600/600'], ratingCounts: { 5: 66, 4: 26, 3: 10, 2: 4, 1: 2 }, badge: null },
+        { id: 15, sku: 'SKU-0015', title: 'Remote control off-road truck', description: 'All-terrain RC truck with four-wheel drive and a rechargeable battery pack.', category: 'Toys', price: 65.49, currency: 'USD', rating: 4.5, reviewCount: 115, image: 'https://picsum.photos/seed/product15/200/200', images: ['https://picsum.photos/seed/product15/600/600', 'https://picsum.photos/seed/product15-2/600/600', 'https://picsum.photos/seed/product15-3/600/600'], ratingCounts: { 5: 76, 4: 26, 3: 9, 2: 3, 1: 1 }, badge: null },
+        { id: 16, sku: 'SKU-0016', title: 'Dash camera with night vision', description: 'Front-facing 1440p dash cam with loop recording and a parking monitor.', category: 'Automotive', price: 69.19, currency: 'USD', rating: 4.6, reviewCount: 122, image: 'https://picsum.photos/seed/product16/200/200', images: ['https://picsum.photos/seed/product16/600/600', 'https://picsum.photos/seed/product16-2/600/600', 'https://picsum.photos/seed/product16-3/600/600'], ratingCounts: { 5: 87, 4: 25, 3: 7, 2: 2, 1: 1 }, badge: null },
+        { id: 17, sku: 'SKU-0017', title: 'Portable Bluetooth speaker', description: 'Rugged waterproof speaker with deep bass and twelve hours of playback.', category: 'Electronics', price: 72.89, currency: 'USD', rating: 4.7, reviewCount: 129, image: 'https://picsum.photos/seed/product17/200/200', images: ['https://picsum.photos/seed/product17/600/600', 'https://picsum.photos/seed/product17-2/600/600', 'https://picsum.photos/seed/product17-3/600/600'], ratingCounts: { 5: 100, 4: 23, 3: 5, 2: 1, 1: 0 }, badge: null },
+        { id: 18, sku: 'SKU-0018', title: 'Merino wool hiking socks', description: 'Cushioned, odour-resistant socks that keep feet warm and dry on the trail.', category: 'Clothing', price: 76.59, currency: 'USD', rating: 4.8, reviewCount: 136, image: 'https://picsum.photos/seed/product18/200/200', images: ['https://picsum.photos/seed/product18/600/600', 'https://picsum.photos/seed/product18-2/600/600', 'https://picsum.photos/seed/product18-3/600/600'], ratingCounts: { 5: 113, 4: 19, 3: 3, 2: 1, 1: 0 }, badge: null },
+        { id: 19, sku: 'SKU-0019', title: 'Illustrated atlas of the night sky', description: 'Star charts, constellation stories and observing tips for every season.', category: 'Books', price: 80.29, currency: 'USD', rating: 4.9, reviewCount: 143, image: 'https://picsum.photos/seed/product19/200/200', images: ['https://picsum.photos/seed/product19/600/600', 'https://picsum.photos/seed/product19-2/600/600', 'https://picsum.photos/seed/product19-3/600/600'], ratingCounts: { 5: 130, 4: 12, 3: 1, 2: 0, 1: 0 }, badge: null },
+        { id: 20, sku: 'SKU-0020', title: 'Insulated stainless steel water bottle', description: 'Keeps drinks cold for 24 hours or hot for 12, with a leak-proof lid.', category: 'Sports', price: 83.99, currency: 'USD', rating: 3, reviewCount: 150, image: 'https://picsum.photos/seed/product20/200/200', images: ['https://picsum.photos/seed/product20/600/600', 'https://picsum.photos/seed/product20-2/600/600', 'https://picsum.photos/seed/product20-3/600/600'], ratingCounts: { 5: 30, 4: 30, 3: 30, 2: 30, 1: 30 }, badge: null }
+    ]
+};
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MOCK_FIXTURES;
+}
@@ -0,0 +1,309 @@
+/**
+ * Local stand-in for the live update backend, for development and tests.
+ *
+ * Serves the same messages over Server-Sent Events (`GET /events?topics=...`) and
+ * WebSocket (`/ws`), answers heartbeats and accepts `POST /publish` with a
+ * `{ type, payload }` body to broadcast a message to subscribed clients.
+ *
+ * Usage: node live-server.js [--port 8787] [--demo]
+ *   --demo publishes a `profile:updated` message for user 1 every 30 seconds.
+ *
+ * No dependencies: the WebSocket handshake and framing are implemented with the
+ * Node standard library (text frames only, which is all the client sends).
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/**
+ * Create the live update server
+ * @param {Object} options - Server settings
+ * @param {number} options.heartbeatInterval - Milliseconds between SSE heartbeat events
+ * @returns {{server: http.Server, publish: Function, close: Function}}
+ */
+function createLiveServer({ heartbeatInterval = 15000 } = {}) {
+    const clients = new Set();
+    // Upgraded sockets are detached from the HTTP server and must be closed by hand
+    const webSockets = new Set();
+
+    /**
+     * Send a message to every client subscribed to its type
+     * @param {{type: string, payload: Object}} message - Message to broadcast
+     * @returns {number} Number of clients the message was delivered to
+     */
+    function publish(message) {
+        const frame = JSON.stringify({ ...message, sentAt: new Date().toISOString() });
+        let delivered = 0;
+        clients.forEach(client => {
+            if (client.topics.size && !client.topics.has(message.type)) return;
+            client.send(frame);
+            delivered += 1;
+        });
+        return delivered;
+    }
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        if (req.method === 'GET' && url.pathname === '/events') {
+            handleEventStream(req, res, url);
+            return;
+        }
+
+        if (req.method === 'POST' && url.pathname === '/publish') {
+            readJsonBody(req)
+                .then(message => {
+                    if (!message || typeof message.type !== 'string') {
+                        throw new Error('Message must have a string "type".');
+                    }
+                    const delivered = publish(message);
+                    res.writeHead(202, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ delivered }));
+                })
+                .catch(error => {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: error.message }));
+                });
+            return;
+        }
+
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Not found' }));
+    });
+
+    /**
+     * Serve a Server-Sent Events stream
+     */
+    function handleEventStream(req, res, url) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.write(': connected\n\n');
+
+        const client = {
+            topics: parseTopics(url.searchParams.get('topics')),
+            send: frame => res.write(`data: ${frame}\n\n`)
+        };
+        clients.add(client);
+
+        const heartbeat = setInterval(() => {
+            res.write('event: heartbeat\ndata: {}\n\n');
+        }, heartbeatInterval);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            clients.delete(client);
+        });
+    }
+
+    server.on('upgrade', (req, socket) => {
+        const url = new URL(req.url, 'http://localhost');
+        const key = req.headers['sec-websocket-key'];
+        if (url.pathname !== '/ws' || !key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '',
+            ''
+        ].join('\r\n'));
+
+        const client = {
+            topics: new Set(),
+            send: text => socket.write(encodeFrame(0x1, Buffer.from(text)))
+        };
+        clients.add(client);
+
+        let buffer = Buffer.alloc(0);
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let frame;
+            while ((frame = decodeFrame(buffer))) {
+                buffer = buffer.subarray(frame.length);
+                handleWebSocketFrame(client, socket, frame);
+            }
+        });
+
+        webSockets.add(socket);
+        const remove = () => {
+            clients.delete(client);
+            webSockets.delete(socket);
+        };
+        socket.on('close', remove);
+        socket.on('error', remove);
+    });
+
+    /**
+     * React to a decoded client frame
+     */
+    function handleWebSocketFrame(client, socket, frame) {
+        if (frame.opcode === 0x8) {
+            socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+            return;
+        }
+        if (frame.opcode === 0x9) {
+            socket.write(encodeFrame(0xA, frame.payload));
+            return;
+        }
+        if (frame.opcode !== 0x1) return;
+
+        let message;
+        try {
+            message = JSON.parse(frame.payload.toString('utf8'));
+        } catch {
+            return;
+        }
+
+        if (message.type === 'subscribe') {
+            client.topics = new Set(Array.isArray(message.topics) ? message.topics : []);
+        } else if (message.type === 'ping') {
+            client.send(JSON.stringify({ type: 'pong' }));
+        }
+    }
+
+    return {
+        server,
+        publish,
+        close() {
+            clients.clear();
+            webSockets.forEach(socket => socket.destroy());
+            server.closeAllConnections?.();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+/**
+ * Parse a comma-separated topic list
+ * @param {string|null} value - Raw `topics` parameter
+ * @returns {Set<string>} Topics; empty means all
+ */
+function parseTopics(value) {
+    return new Set(String(value || '').split(',').map(topic => topic.trim()).filter(Boolean));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<any>} Parsed body
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(body || 'null'));
+            } catch {
+                reject(new Error('Body must be valid JSON.'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Encode an unmasked server-to-client WebSocket frame
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Frame payload
+ * @returns {Buffer} Encoded frame
+ */
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode one client-to-server WebSocket frame from the start of a buffer
+ * @param {Buffer} buffer - Received bytes
+ * @returns {{opcode: number, payload: Buffer, length: number}|null} Frame, or null if incomplete
+ */
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let payloadLength = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (payloadLength === 126) {
+        if (buffer.length < 4) return null;
+        payloadLength = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (payloadLength === 127) {
+        if (buffer.length < 10) return null;
+        payloadLength = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < offset + maskLength + payloadLength) return null;
+
+    const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+    const payload = Buffer.from(buffer.subarray(offset + maskLength, offset + maskLength + payloadLength));
+    if (mask) {
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+    }
+
+    return { opcode, payload, length: offset + maskLength + payloadLength };
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const portIndex = args.indexOf('--port');
+    const port = portIndex >= 0 ? Number(args[portIndex + 1]) : 8787;
+    const live = createLiveServer();
+
+    live.server.listen(port, () => {
+        console.log(`Live update server on http://localhost:${port}`);
+        console.log(`  SSE:       http://localhost:${port}/events`);
+        console.log(`  WebSocket: ws://localhost:${port}/ws`);
+        console.log(`  Publish:   POST http://localhost:${port}/publish {"type": "...", "payload": {...}}`);
+    });
+
+    if (args.includes('--demo')) {
+        setInterval(() => {
+            live.publish({
+                type: 'profile:updated',
+                payload: { id: 1, lastSeen: new Date().toISOString() }
+            });
+        }, 30000);
+    }
+}
+
+module.exports = { createLiveServer };
@@ -0,0 +1,297 @@
+/**
+ * Real-time update channel over WebSocket or Server-Sent Events.
+ *
+ * Messages are JSON objects of the form `{ type, payload, sentAt }`, where `type`
+ * is one of `profile:updated`, `order:status` or `recommendation:new`. The client
+ * reconnects with jittered exponential backoff, detects dead connections with a
+ * heartbeat and re-sends its topic subscription after every reconnect.
+ */
+
+class LiveUpdateClient {
+    /**
+     * @param {Object} options - Channel settings
+     * @param {string} options.url - Endpoint; `ws://`/`wss://` URLs use WebSocket, others use SSE
+     * @param {string} options.protocol - Force `websocket` or `sse` instead of detecting from the URL
+     * @param {Array<string>} options.topics - Message types to subscribe to
+     * @param {number} options.heartbeatInterval - Milliseconds between heartbeats
+     * @param {number} options.heartbeatTimeout - Extra silence tolerated before the connection is considered dead
+     * @param {number} options.reconnectBaseDelay - Backoff base in milliseconds
+     * @param {number} options.reconnectMaxDelay - Upper bound for a single backoff in milliseconds
+     */
+    constructor({
+        url,
+        protocol = null,
+        topics = [],
+        heartbeatInterval = 25000,
+        heartbeatTimeout = 10000,
+        reconnectBaseDelay = 1000,
+        reconnectMaxDelay = 30000
+    }) {
+        this.url = url;
+        this.protocol = protocol || (/^wss?:/i.test(url) ? 'websocket' : 'sse');
+        this.topics = new Set(topics);
+        this.heartbeatInterval = heartbeatInterval;
+        this.heartbeatTimeout = heartbeatTimeout;
+        this.reconnectBaseDelay = reconnectBaseDelay;
+        this.reconnectMaxDelay = reconnectMaxDelay;
+
+        this.connection = null;
+        this.status = 'disconnected';
+        this.shouldReconnect = false;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.heartbeatTimer = null;
+        this.lastMessageAt = 0;
+        this.messageHandlers = new Set();
+        this.statusHandlers = new Set();
+    }
+
+    /**
+     * Open the channel and keep it open until disconnect() is called
+     */
+    connect() {
+        this.shouldReconnect = true;
+        this.open();
+    }
+
+    /**
+     * Close the channel and stop reconnecting
+     */
+    disconnect() {
+        this.shouldReconnect = false;
+        clearTimeout(this.reconnectTimer);
+        this.teardown();
+        this.setStatus('disconnected');
+    }
+
+    /**
+     * Add topics to the subscription, sending it immediately when connected
+     * @param {Array<string>} topics - Message types to receive
+     */
+    subscribe(topics) {
+        topics.forEach(topic => this.topics.add(topic));
+        if (this.status !== 'connected') return;
+
+        if (this.protocol === 'websocket') {
+            this.sendSubscription();
+        } else {
+            // SSE subscriptions live in the URL, so reopen the stream
+            this.teardown();
+            this.open();
+        }
+    }
+
+    /**
+     * Register a handler for incoming messages
+     * @param {Function} handler - Called with each parsed message
+     * @returns {Function} Unsubscribe function
+     */
+    onMessage(handler) {
+        this.messageHandlers.add(handler);
+
+        return () => {
+            this.messageHandlers.delete(handler);
+        };
+    }
+
+    /**
+     * Register a handler for connection status changes
+     * @param {Function} handler - Called with `connecting`, `connected`, `reconnecting` or `disconnected`
+     * @returns {Function} Unsubscribe function
+     */
+    onStatusChange(handler) {
+        this.statusHandlers.add(handler);
+
+        return () => {
+            this.statusHandlers.delete(handler);
+        };
+    }
+
+    /**
+     * Open a connection using the configured protocol
+     */
+    open() {
+        this.setStatus(this.reconnectAttempts ? 'reconnecting' : 'connecting');
+        try {
+            if (this.protocol === 'websocket') {
+                this.openWebSocket();
+            } else {
+                this.openEventSource();
+            }
+        } catch (error) {
+            console.error('Unable to open live update channel:', error);
+            this.handleDisconnect();
+        }
+    }
+
+    /**
+     * Connect over WebSocket; the subscription is sent as the first message
+     */
+    openWebSocket() {
+        const socket = new WebSocket(this.url);
+        this.connection = socket;
+
+        socket.onopen = () => {
+            this.handleOpen();
+            this.sendSubscription();
+        };
+        socket.onmessage = (event) => this.handleRawMessage(event.data);
+        socket.onclose = () => {
+            if (this.connection === socket) {
+                this.handleDisconnect();
+            }
+        };
+        socket.onerror = () => {
+            // A close event always follows; reconnection is handled there
+        };
+    }
+
+    /**
+     * Connect over Server-Sent Events; the subscription is passed as `?topics=`
+     */
+    openEventSource() {
+        const url = new URL(this.url, typeof location !== 'undefined' ? location.href : undefined);
+        url.searchParams.set('topics', Array.from(this.topics).join(','));
+
+        const source = new EventSource(url.toString());
+        this.connection = source;
+
+        source.onopen = () => this.handleOpen();
+        source.onmessage = (event) => this.handleRawMessage(event.data);
+        source.addEventListener('heartbeat', () => {
+            this.lastMessageAt = Date.now();
+        });
+        source.onerror = () => {
+            // Take over from EventSource's built-in retry so backoff stays consistent
+            if (this.connection === source) {
+                this.handleDisconnect();
+            }
+        };
+    }
+
+    /**
+     * Mark the connection healthy and start the heartbeat
+     */
+    handleOpen() {
+        this.reconnectAttempts = 0;
+        this.lastMessageAt = Date.now();
+        this.setStatus('connected');
+        this.startHeartbeat();
+    }
+
+    /**
+     * Send the current topic subscription over WebSocket
+     */
+    sendSubscription() {
+        this.send({ type: 'subscribe', topics: Array.from(this.topics) });
+    }
+
+    /**
+     * Send a JSON frame when the WebSocket is open
+     * @param {Object} message - Message to send
+     */
+    send(message) {
+        if (this.protocol === 'websocket' && this.connection?.readyState === 1) {
+            this.connection.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * Parse an incoming frame and dispatch it to handlers
+     * @param {string} data - Raw message text
+     */
+    handleRawMessage(data) {
+        this.lastMessageAt = Date.now();
+
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch {
+            console.warn('Ignoring malformed live update:', data);
+            return;
+        }
+
+        if (!message || !message.type || message.type === 'pong' || message.type === 'heartbeat') return;
+
+        this.messageHandlers.forEach(handler => {
+            try {
+                handler(message);
+            } catch (error) {
+                console.error('Error in live update handler:', error);
+            }
+        });
+    }
+
+    /**
+     * Ping the server (WebSocket) and drop the connection after prolonged silence
+     */
+    startHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = setInterval(() => {
+            if (Date.now() - this.lastMessageAt > this.heartbeatInterval + this.heartbeatTimeout) {
+                console.warn('Live update channel missed its heartbeat; reconnecting');
+                this.handleDisconnect();
+                return;
+            }
+            this.send({ type: 'ping' });
+        }, this.heartbeatInterval);
+    }
+
+    /**
+     * Close the current connection and schedule a reconnect with jittered backoff
+     */
+    handleDisconnect() {
+        this.teardown();
+        if (!this.shouldReconnect) {
+            this.setStatus('disconnected');
+            return;
+        }
+
+        const cap = Math.min(this.reconnectMaxDelay, this.reconnectBaseDelay * 2 ** this.reconnectAttempts);
+        const delay = Math.round(cap / 2 + Math.random() * cap / 2);
+        this.reconnectAttempts += 1;
+        this.setStatus('reconnecting');
+
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => this.open(), delay);
+    }
+
+    /**
+     * Release the current connection and heartbeat timer
+     */
+    teardown() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+
+        const connection = this.connection;
+        this.connection = null;
+        if (connection) {
+            connection.onopen = null;
+            connection.onmessage = null;
+            connection.onerror = null;
+            connection.onclose = null;
+            connection.close();
+        }
+    }
+
+    /**
+     * Update the connection status and notify handlers when it changes
+     * @param {string} status - New status
+     */
+    setStatus(status) {
+        if (this.status === status) return;
+        this.status = status;
+        this.statusHandlers.forEach(handler => {
+            try {
+                handler(status);
+            } catch (error) {
+                console.error('Error in live update status handler:', error);
+            }
+        });
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LiveUpdateClient;
+}
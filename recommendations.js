@@ -0,0 +1,455 @@
+/**
+ * Recommendation scoring for UserAPI.
+ *
+ * Each candidate product gets a weighted sum of signals from the visitor's browsing
+ * history (most recent first): TF-IDF text similarity to viewed products, category
+ * affinity, price-band preference, co-views in other shoppers' histories, matches
+ * for recent searches, similarity to wishlist products and the product's rating.
+ * Recent views count more than older ones. The ranked list is then re-ranked for
+ * category diversity, and every product carries the reason behind its strongest
+ * signal.
+ */
+
+class RecommendationEngine {
+    /**
+     * @param {Object} options - Scoring settings
+     * @param {number} options.limit - Number of products to return
+     * @param {number} options.recencyDecay - Weight multiplier per step back in history (0–1)
+     * @param {Object<string, number>} options.weights - Weight per signal: `similarity`,
+     *   `category`, `price`, `coView`, `search`, `wishlist` and `rating`
+     * @param {number} options.diversityPenalty - Score multiplier applied once per product
+     *   already picked from the same category
+     * @param {Array<{label: string, max: number}>} options.priceBands - Upper price bound per band, ascending
+     */
+    constructor({
+        limit = 8,
+        recencyDecay = 0.8,
+        weights = {},
+        diversityPenalty = 0.6,
+        priceBands = [
+            { label: 'under $25', max: 25 },
+            { label: '$25–$75', max: 75 },
+            { label: '$75–$150', max: 150 },
+            { label: '$150+', max: Infinity }
+        ]
+    } = {}) {
+        this.limit = limit;
+        this.recencyDecay = recencyDecay;
+        this.weights = {
+            similarity: 3,
+            category: 2,
+            price: 1,
+            coView: 2,
+            search: 2,
+            // Saving a product is a deliberate choice, so it counts more than a view
+            wishlist: 4,
+            rating: 0.5,
+            ...weights
+        };
+        this.diversityPenalty = diversityPenalty;
+        this.priceBands = priceBands;
+        this.stopWords = new Set([
+            'and', 'the', 'for', 'with', 'from', 'that', 'this', 'your', 'you', 'are',
+            'into', 'over', 'all', 'its', 'our', 'out', 'every', 'each', 'per', 'inch'
+        ]);
+    }
+
+    /**
+     * Rank products for a visitor
+     * @param {Array<Object>} products - Candidates with `id`, `title`, `description`,
+     *   `category`, `price` and `rating`
+     * @param {Object} signals - Visitor data
+     * @param {Array<number|{productId: number, weight: number}>} signals.history - Viewed
+     *   product IDs, most recent first, or views with their own weight (0–1) instead of
+     *   the index-based recency decay
+     * @param {Array<Array<number>>} signals.coViewHistories - Other shoppers' viewed product IDs
+     * @param {Array<string>} signals.searches - Recent search queries, most recent first
+     * @param {Array<number>} signals.wishlist - Saved product IDs
+     * @param {number} signals.limit - Number of products to return; `Infinity` ranks every product
+     * @returns {Array<Object>} Top products, each with `score` and `reason`
+     */
+    recommend(products, { history = [], coViewHistories = [], searches = [], wishlist = [], limit = this.limit } = {}) {
+        const byId = new Map(products.map(product => [product.id, product]));
+        const views = history
+            .map(item => (typeof item === 'object' ? item : { productId: item, weight: null }))
+            .filter(item => byId.has(item.productId))
+            .map((item, index) => ({
+                product: byId.get(item.productId),
+                weight: item.weight ?? this.recencyDecay ** index
+            }));
+        const viewedIds = new Set(views.map(view => view.product.id));
+
+        const vectors = this.buildVectors(products);
+        const categoryAffinity = this.getCategoryAffinity(views);
+        const bandPreference = this.getBandPreference(views);
+        const coViews = this.getCoViews(views, coViewHistories);
+        const queries = searches
+            .map((query, index) => ({ query, terms: this.tokenize(query), weight: this.recencyDecay ** index }))
+            .filter(search => search.terms.length);
+        const saved = wishlist.filter(id => byId.has(id)).map(id => byId.get(id));
+
+        const scored = products
+            .filter(product => !viewedIds.has(product.id))
+            .map(product => this.scoreProduct(product, {
+                views,
+                vectors,
+                categoryAffinity,
+                bandPreference,
+                coViews,
+                queries,
+                saved
+            }));
+
+        const ranked = this.diversify(scored.sort((a, b) => b.score - a.score), limit);
+
+        // Only fall back to already viewed products when there are too few others
+        const viewed = views
+            .slice(0, Math.max(0, limit - ranked.length))
+            .map(view => ({ ...view.product, score: 0, reason: 'You viewed this recently' }));
+
+        return [...ranked, ...viewed].slice(0, limit);
+    }
+
+    /**
+     * Rank products related to one product: viewed by the same shoppers, similar
+     * text or the same category
+     * @param {Object} product - Product being viewed
+     * @param {Array<Object>} products - All products
+     * @param {Object} options - Related product settings
+     * @param {Array<Array<number>>} options.coViewHistories - Shoppers' viewed product IDs
+     * @param {number} options.limit - Number of products to return
+     * @returns {Array<Object>} Related products, each with `score` and `reason`
+     */
+    related(product, products, { coViewHistories = [], limit = 4 } = {}) {
+        const vectors = this.buildVectors(products);
+        const coViewCounts = new Map();
+        coViewHistories
+            .filter(history => history.includes(product.id))
+            .forEach(history => history.forEach(id => {
+                if (id !== product.id) {
+                    coViewCounts.set(id, (coViewCounts.get(id) || 0) + 1);
+                }
+            }));
+        const maxCount = Math.max(1, ...coViewCounts.values());
+
+        const reasons = {
+            coView: 'Customers who viewed this also viewed',
+            similarity: 'Similar product',
+            category: `More in ${product.category}`
+        };
+
+        return products
+            .filter(candidate => candidate.id !== product.id)
+            .map(candidate => {
+                const contributions = {
+                    coView: ((coViewCounts.get(candidate.id) || 0) / maxCount) * this.weights.coView,
+                    similarity: this.cosine(vectors.get(product.id), vectors.get(candidate.id)) * this.weights.similarity,
+                    category: (candidate.category === product.category ? 1 : 0) * this.weights.category
+                };
+                const [strongest, strongestContribution] = Object.entries(contributions)
+                    .sort((a, b) => b[1] - a[1])[0];
+                const score = Object.values(contributions).reduce((sum, value) => sum + value, 0)
+                    + Math.max(0, (candidate.rating - 3) / 2) * this.weights.rating;
+
+                return {
+                    ...candidate,
+                    coViews: coViewCounts.get(candidate.id) || 0,
+                    score: Number(score.toFixed(4)),
+                    reason: strongestContribution > 0 ? reasons[strongest] : `Popular in ${candidate.category}`
+                };
+            })
+            // Products actually viewed together come first; the rest only fill the list
+            .sort((a, b) => Math.sign(b.coViews) - Math.sign(a.coViews) || b.score - a.score)
+            .slice(0, limit)
+            .map(({ coViews, ...candidate }) => candidate);
+    }
+
+    /**
+     * Score one product and pick the reason for its largest contribution
+     * @param {Object} product - Candidate product
+     * @param {Object} context - Precomputed history signals
+     * @returns {Object} Product with `score` and `reason`
+     */
+    scoreProduct(product, { views, vectors, categoryAffinity, bandPreference, coViews, queries = [], saved = [] }) {
+        const similar = this.getMostSimilarView(product, views, vectors);
+        const search = this.getBestSearchMatch(product, queries, vectors);
+        const wished = this.getMostSimilarSaved(product, saved, vectors);
+        const band = this.getPriceBand(product.price);
+        const coView = coViews.get(product.id);
+
+        const signals = {
+            similarity: similar.similarity,
+            category: categoryAffinity.get(product.category) || 0,
+            price: bandPreference.get(band.label) || 0,
+            coView: coView ? coView.strength : 0,
+            search: search.match,
+            wishlist: wished.similarity,
+            rating: Math.max(0, Math.min(1, (product.rating - 3) / 2))
+        };
+
+        // Without any stronger signal the reason falls back to the rating
+        let score = 0;
+        let strongest = 'rating';
+        let strongestContribution = 0;
+        Object.entries(signals).forEach(([signal, value]) => {
+            const contribution = value * this.weights[signal];
+            score += contribution;
+            if (contribution > strongestContribution) {
+                strongest = signal;
+                strongestContribution = contribution;
+            }
+        });
+
+        const reasons = {
+            similarity: () => `Similar to "${similar.title}", which you viewed`,
+            category: () => `Because you browse ${product.category}`,
+            price: () => `In your usual ${band.label} price range`,
+            coView: () => `Shoppers who viewed "${coView.title}" also viewed this`,
+            search: () => `Matches your search for "${search.query}"`,
+            wishlist: () => `Similar to "${wished.title}" on your wishlist`,
+            rating: () => (product.rating >= 4
+                ? `Highly rated: ${product.rating} out of 5`
+                : `Popular in ${product.category}`)
+        };
+
+        return {
+            ...product,
+            score: Number(score.toFixed(4)),
+            reason: reasons[strongest]()
+        };
+    }
+
+    /**
+     * Greedily re-rank so no category dominates: each pick is the product with the
+     * best score after a penalty for every product already picked in its category
+     * @param {Array<Object>} ranked - Scored products, best first
+     * @param {number} limit - Number of products to pick
+     * @returns {Array<Object>} Up to `limit` products
+     */
+    diversify(ranked, limit = this.limit) {
+        const remaining = [...ranked];
+        const picked = [];
+        const categoryCounts = new Map();
+
+        while (remaining.length && picked.length < limit) {
+            let bestIndex = 0;
+            let bestScore = -Infinity;
+            remaining.forEach((product, index) => {
+                const adjusted = product.score * this.diversityPenalty ** (categoryCounts.get(product.category) || 0);
+                if (adjusted > bestScore) {
+                    bestIndex = index;
+                    bestScore = adjusted;
+                }
+            });
+
+            const [product] = remaining.splice(bestIndex, 1);
+            picked.push(product);
+            categoryCounts.set(product.category, (categoryCounts.get(product.category) || 0) + 1);
+        }
+        return picked;
+    }
+
+    /**
+     * Build L2-normalised TF-IDF vectors from each product's title and description
+     * @param {Array<Object>} products - All products
+     * @returns {Map<number, Map<string, number>>} Term weights per product ID
+     */
+    buildVectors(products) {
+        const termCounts = products.map(product => {
+            const counts = new Map();
+            this.tokenize(`${product.title} ${product.description}`).forEach(term => {
+                counts.set(term, (counts.get(term) || 0) + 1);
+            });
+            return counts;
+        });
+
+        const documentFrequency = new Map();
+        termCounts.forEach(counts => {
+            counts.forEach((_, term) => {
+                documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+            });
+        });
+
+        const vectors = new Map();
+        products.forEach((product, index) => {
+            const counts = termCounts[index];
+            const total = Array.from(counts.values()).reduce((sum, count) => sum + count, 0) || 1;
+            const vector = new Map();
+            counts.forEach((count, term) => {
+                const idf = Math.log(products.length / documentFrequency.get(term)) + 1;
+                vector.set(term, (count / total) * idf);
+            });
+
+            const norm = Math.sqrt(Array.from(vector.values()).reduce((sum, value) => sum + value * value, 0)) || 1;
+            vector.forEach((value, term) => vector.set(term, value / norm));
+            vectors.set(product.id, vector);
+        });
+        return vectors;
+    }
+
+    /**
+     * Lowercase word tokens without stop words or very short words
+     * @param {string} text - Source text
+     * @returns {Array<string>} Tokens
+     */
+    tokenize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(term => term.length > 2 && !this.stopWords.has(term));
+    }
+
+    /**
+     * Viewed product most similar to a candidate, weighted by how recently it was viewed
+     * @param {Object} product - Candidate product
+     * @param {Array<{product: Object, weight: number}>} views - Weighted history
+     * @param {Map<number, Map<string, number>>} vectors - TF-IDF vectors
+     * @returns {{similarity: number, title: string|null}}
+     */
+    getMostSimilarView(product, views, vectors) {
+        const vector = vectors.get(product.id);
+        return views.reduce((best, view) => {
+            const similarity = this.cosine(vector, vectors.get(view.product.id)) * view.weight;
+            return similarity > best.similarity ? { similarity, title: view.product.title } : best;
+        }, { similarity: 0, title: null });
+    }
+
+    /**
+     * Saved product most similar to a candidate; a product is not compared with itself
+     * @param {Object} product - Candidate product
+     * @param {Array<Object>} saved - Wishlist products
+     * @param {Map<number, Map<string, number>>} vectors - TF-IDF vectors
+     * @returns {{similarity: number, title: string|null}}
+     */
+    getMostSimilarSaved(product, saved, vectors) {
+        const vector = vectors.get(product.id);
+        return saved.reduce((best, item) => {
+            if (item.id === product.id) return best;
+            const similarity = this.cosine(vector, vectors.get(item.id));
+            return similarity > best.similarity ? { similarity, title: item.title } : best;
+        }, { similarity: 0, title: null });
+    }
+
+    /**
+     * Recent search a product matches best, weighted by how recent the search was.
+     * A query counts as a vector with equal weight per word.
+     * @param {Object} product - Candidate product
+     * @param {Array<{query: string, terms: Array<string>, weight: number}>} queries - Weighted searches
+     * @param {Map<number, Map<string, number>>} vectors - TF-IDF vectors
+     * @returns {{match: number, query: string|null}}
+     */
+    getBestSearchMatch(product, queries, vectors) {
+        const vector = vectors.get(product.id);
+        return queries.reduce((best, search) => {
+            const dot = search.terms.reduce((sum, term) => sum + (vector.get(term) || 0), 0);
+            const match = (dot / Math.sqrt(search.terms.length)) * search.weight;
+            return match > best.match ? { match, query: search.query } : best;
+        }, { match: 0, query: null });
+    }
+
+    /**
+     * Cosine similarity of two normalised sparse vectors
+     * @param {Map<string, number>} a - First vector
+     * @param {Map<string, number>} b - Second vector
+     * @returns {number} Similarity between 0 and 1
+     */
+    cosine(a, b) {
+        if (!a || !b) return 0;
+        const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+        let dot = 0;
+        small.forEach((value, term) => {
+            dot += value * (large.get(term) || 0);
+        });
+        return dot;
+    }
+
+    /**
+     * Share of recency-weighted views per category
+     * @param {Array<{product: Object, weight: number}>} views - Weighted history
+     * @returns {Map<string, number>} Affinity between 0 and 1 per category
+     */
+    getCategoryAffinity(views) {
+        return this.getWeightedShares(views, view => view.product.category);
+    }
+
+    /**
+     * Share of recency-weighted views per price band
+     * @param {Array<{product: Object, weight: number}>} views - Weighted history
+     * @returns {Map<string, number>} Preference between 0 and 1 per band label
+     */
+    getBandPreference(views) {
+        return this.getWeightedShares(views, view => this.getPriceBand(view.product.price).label);
+    }
+
+    /**
+     * Sum view weights per key and divide by the total weight
+     * @param {Array<{product: Object, weight: number}>} views - Weighted history
+     * @param {Function} getKey - Key for a view
+     * @returns {Map<string, number>} Share per key
+     */
+    getWeightedShares(views, getKey) {
+        const totalWeight = views.reduce((sum, view) => sum + view.weight, 0);
+        const shares = new Map();
+        if (!totalWeight) return shares;
+
+        views.forEach(view => {
+            const key = getKey(view);
+            shares.set(key, (shares.get(key) || 0) + view.weight / totalWeight);
+        });
+        return shares;
+    }
+
+    /**
+     * Price band containing a price
+     * @param {number} price - Product price
+     * @returns {{label: string, max: number}}
+     */
+    getPriceBand(price) {
+        return this.priceBands.find(band => price < band.max) || this.priceBands[this.priceBands.length - 1];
+    }
+
+    /**
+     * Co-view strength: for every other shopper who viewed something this visitor
+     * viewed, the rest of their history is credited with the visitor's view weight
+     * @param {Array<{product: Object, weight: number}>} views - Weighted history
+     * @param {Array<Array<number>>} coViewHistories - Other shoppers' histories
+     * @returns {Map<number, {strength: number, title: string}>} Strength between 0 and 1,
+     *   and the viewed product that contributed most, per product ID
+     */
+    getCoViews(views, coViewHistories) {
+        const viewWeights = new Map(views.map(view => [view.product.id, view]));
+        const totals = new Map();
+
+        coViewHistories.forEach(otherHistory => {
+            // Views so old their weight rounds to 0 add nothing, and would leave no total to scale by
+            const shared = otherHistory
+                .filter(id => viewWeights.has(id))
+                .map(id => viewWeights.get(id))
+                .filter(view => view.weight > 0);
+            if (!shared.length) return;
+
+            otherHistory.forEach(id => {
+                if (viewWeights.has(id)) return;
+                const entry = totals.get(id) || { total: 0, sources: new Map() };
+                shared.forEach(view => {
+                    entry.total += view.weight;
+                    entry.sources.set(view.product.title, (entry.sources.get(view.product.title) || 0) + view.weight);
+                });
+                totals.set(id, entry);
+            });
+        });
+
+        const maxTotal = Math.max(0, ...Array.from(totals.values()).map(entry => entry.total));
+        const coViews = new Map();
+        totals.forEach((entry, id) => {
+            const [title] = Array.from(entry.sources.entries()).sort((a, b) => b[1] - a[1])[0];
+            coViews.set(id, { strength: entry.total / maxTotal, title });
+        });
+        return coViews;
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecommendationEngine;
+}
@@ -0,0 +1,249 @@
+/**
+ * Client-side product search for the dashboard's typeahead.
+ *
+ * Products are tokenized into an inverted index (term -> weight per product) over
+ * their title, category and description, with title matches weighing the most.
+ * Every query word must match an index term exactly, as a prefix (the last word,
+ * which is usually still being typed) or within a small edit distance, so
+ * "hedphones" still finds headphones.
+ */
+
+class ProductSearchIndex {
+    /**
+     * @param {Object} options - Ranking settings
+     * @param {Object<string, number>} options.fieldWeights - Weight per indexed product field
+     * @param {number} options.prefixPenalty - Score multiplier for a prefix match
+     * @param {number} options.typoPenalty - Score multiplier per edit for a typo match
+     */
+    constructor({
+        fieldWeights = { title: 3, category: 2, description: 1 },
+        prefixPenalty = 0.8,
+        typoPenalty = 0.5
+    } = {}) {
+        this.fieldWeights = fieldWeights;
+        this.prefixPenalty = prefixPenalty;
+        this.typoPenalty = typoPenalty;
+        // Term -> Map of product ID -> weight
+        this.postings = new Map();
+        this.products = new Map();
+    }
+
+    /**
+     * Replace the index contents
+     * @param {Array<Object>} products - Products to index
+     * @returns {ProductSearchIndex} This index
+     */
+    build(products) {
+        this.postings.clear();
+        this.products.clear();
+        products.forEach(product => this.add(product));
+        return this;
+    }
+
+    /**
+     * Index one product
+     * @param {Object} product - Product with `id` and the indexed fields
+     */
+    add(product) {
+        this.products.set(product.id, product);
+        Object.entries(this.fieldWeights).forEach(([field, weight]) => {
+            this.tokenize(product[field]).forEach(term => {
+                if (!this.postings.has(term)) {
+                    this.postings.set(term, new Map());
+                }
+                const posting = this.postings.get(term);
+                posting.set(product.id, (posting.get(product.id) || 0) + weight);
+            });
+        });
+    }
+
+    /**
+     * Find products matching every word of a query
+     * @param {string} query - Search text
+     * @param {Object} options - Search options
+     * @param {number} options.limit - Maximum number of results
+     * @returns {Array<{product: Object, score: number, terms: Array<string>}>} Best
+     *   matches first, with the index terms each matched on (for highlighting)
+     */
+    search(query, { limit = 8 } = {}) {
+        const words = this.tokenize(query);
+        if (!words.length) return [];
+
+        let results = null;
+        words.forEach((word, index) => {
+            const matches = new Map();
+            this.matchTerms(word, index === words.length - 1).forEach((multiplier, term) => {
+                this.postings.get(term).forEach((weight, productId) => {
+                    const match = matches.get(productId) || { score: 0, terms: [] };
+                    match.score = Math.max(match.score, weight * multiplier);
+                    match.terms.push(term);
+                    matches.set(productId, match);
+                });
+            });
+
+            if (!results) {
+                results = matches;
+                return;
+            }
+            // A product stays only when this word matched it too
+            const combined = new Map();
+            results.forEach((result, productId) => {
+                const match = matches.get(productId);
+                if (match) {
+                    combined.set(productId, {
+                        score: result.score + match.score,
+                        terms: [...result.terms, ...match.terms]
+                    });
+                }
+            });
+            results = combined;
+        });
+
+        return Array.from(results, ([productId, { score, terms }]) => ({
+            product: this.products.get(productId),
+            score: Number(score.toFixed(4)),
+            terms: Array.from(new Set(terms))
+        }))
+            .sort((a, b) => b.score - a.score || b.product.rating - a.product.rating)
+            .slice(0, limit);
+    }
+
+    /**
+     * Index terms a query word matches, with the score multiplier for each
+     * @param {string} word - Normalized query word
+     * @param {boolean} allowPrefix - Whether the word may be the start of a longer term
+     * @returns {Map<string, number>} Multiplier per matching term
+     */
+    matchTerms(word, allowPrefix) {
+        const maxEdits = this.getMaxEdits(word);
+        const matches = new Map();
+
+        this.postings.forEach((_, term) => {
+            let multiplier = 0;
+            if (term === word) {
+                multiplier = 1;
+            } else if (allowPrefix && term.startsWith(word)) {
+                multiplier = this.prefixPenalty;
+            } else if (maxEdits) {
+                const distance = this.editDistance(word, term, maxEdits);
+                if (distance <= maxEdits) {
+                    multiplier = this.typoPenalty ** distance;
+                } else if (allowPrefix) {
+                    const prefixDistance = this.prefixDistance(word, term, maxEdits);
+                    if (prefixDistance <= maxEdits) {
+                        multiplier = this.prefixPenalty * this.typoPenalty ** prefixDistance;
+                    }
+                }
+            }
+            if (multiplier) {
+                matches.set(term, multiplier);
+            }
+        });
+        return matches;
+    }
+
+    /**
+     * Typos tolerated in a word; short words must match exactly
+     * @param {string} word - Query word
+     * @returns {number} Maximum edit distance
+     */
+    getMaxEdits(word) {
+        if (word.length >= 8) return 2;
+        return word.length >= 4 ? 1 : 0;
+    }
+
+    /**
+     * Smallest edit distance between a word and any start of a term, so a
+     * misspelt word that is still being typed can match
+     * @param {string} word - Query word
+     * @param {string} term - Index term
+     * @param {number} max - Largest distance of interest
+     * @returns {number} Distance, or `max + 1` when it exceeds `max`
+     */
+    prefixDistance(word, term, max) {
+        let best = max + 1;
+        const longest = Math.min(term.length - 1, word.length + max);
+        for (let length = Math.max(1, word.length - max); length <= longest; length++) {
+            best = Math.min(best, this.editDistance(word, term.slice(0, length), max));
+        }
+        return best;
+    }
+
+    /**
+     * Edit distance counting insertions, deletions, substitutions and swaps of
+     * adjacent letters (optimal string alignment)
+     * @param {string} a - First word
+     * @param {string} b - Second word
+     * @param {number} max - Distance above which the exact value does not matter
+     * @returns {number} Distance, or `max + 1` when it exceeds `max`
+     */
+    editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const nextRow = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousRow[j - 2] + 1);
+                }
+                nextRow.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+            if (rowMin > max) return max + 1;
+            previousRow = row;
+            row = nextRow;
+        }
+        return Math.min(row[b.length], max + 1);
+    }
+
+    /**
+     * Split text into the words that matched a search, for highlighting
+     * @param {string} text - Text to show, e.g. a product title
+     * @param {Array<string>} terms - Matched index terms from search()
+     * @returns {Array<{text: string, match: boolean}>} Consecutive segments of the text
+     */
+    highlight(text, terms) {
+        const matched = new Set(terms);
+        const segments = [];
+        let lastIndex = 0;
+
+        String(text || '').replace(/[\p{L}\p{N}]+/gu, (word, index, source) => {
+            if (!this.tokenize(word).some(term => matched.has(term))) return word;
+            if (index > lastIndex) {
+                segments.push({ text: source.slice(lastIndex, index), match: false });
+            }
+            segments.push({ text: word, match: true });
+            lastIndex = index + word.length;
+            return word;
+        });
+
+        if (lastIndex < String(text || '').length) {
+            segments.push({ text: String(text).slice(lastIndex), match: false });
+        }
+        return segments;
+    }
+
+    /**
+     * Lowercase words without accents
+     * @param {string} text - Source text
+     * @returns {Array<string>} Terms
+     */
+    tokenize(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(Boolean);
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProductSearchIndex;
+}
@@ -0,0 +1,251 @@
+/**
+ * Storage adapters for locally persisted data.
+ *
+ * Every adapter exposes the same synchronous key/value interface as Web Storage
+ * (`getItem`, `setItem`, `removeItem`) plus an async `ready()` that resolves once
+ * the adapter can serve reads. Values are strings; callers handle serialization.
+ */
+
+/**
+ * Adapter over a Web Storage area (localStorage or sessionStorage)
+ */
+class WebStorageAdapter {
+    /**
+     * @param {Function} getStorage - Returns the Storage object, resolved lazily so the
+     *   adapter can be constructed in environments without Web Storage
+     */
+    constructor(getStorage) {
+        this.getStorage = getStorage;
+    }
+
+    /**
+     * Resolve once the adapter is usable
+     * @returns {Promise<void>}
+     */
+    ready() {
+        return Promise.resolve();
+    }
+
+    /**
+     * Read a raw value
+     * @param {string} key - Storage key
+     * @returns {string|null} Stored value or null when missing
+     */
+    getItem(key) {
+        return this.getStorage().getItem(key);
+    }
+
+    /**
+     * Write a raw value
+     * @param {string} key - Storage key
+     * @param {string} value - Value to store
+     */
+    setItem(key, value) {
+        this.getStorage().setItem(key, value);
+    }
+
+    /**
+     * Remove a value
+     * @param {string} key - Storage key
+     */
+    removeItem(key) {
+        this.getStorage().removeItem(key);
+    }
+}
+
+/**
+ * Adapter persisting to localStorage (shared across tabs, survives restarts)
+ */
+class LocalStorageAdapter extends WebStorageAdapter {
+    constructor() {
+        super(() => localStorage);
+    }
+}
+
+/**
+ * Adapter persisting to sessionStorage (cleared when the tab closes)
+ */
+class SessionStorageAdapter extends WebStorageAdapter {
+    constructor() {
+        super(() => sessionStorage);
+    }
+}
+
+/**
+ * Non-persistent adapter backed by a Map. Useful for unit tests in Node and
+ * for private-browsing fallbacks.
+ */
+class MemoryStorageAdapter {
+    /**
+     * @param {Object} initialData - Optional key/value pairs to seed the store with
+     */
+    constructor(initialData = {}) {
+        this.store = new Map(Object.entries(initialData));
+    }
+
+    /**
+     * Resolve once the adapter is usable
+     * @returns {Promise<void>}
+     */
+    ready() {
+        return Promise.resolve();
+    }
+
+    /**
+     * Read a raw value
+     * @param {string} key - Storage key
+     * @returns {string|null} Stored value or null when missing
+     */
+    getItem(key) {
+        return this.store.has(key) ? this.store.get(key) : null;
+    }
+
+    /**
+     * Write a raw value
+     * @param {string} key - Storage key
+     * @param {string} value - Value to store
+     */
+    setItem(key, value) {
+        this.store.set(key, String(value));
+    }
+
+    /**
+     * Remove a value
+     * @param {string} key - Storage key
+     */
+    removeItem(key) {
+        this.store.delete(key);
+    }
+}
+
+/**
+ * Adapter persisting to IndexedDB, which is not bound by the ~5 MB Web Storage quota.
+ *
+ * IndexedDB is asynchronous, so the adapter keeps an in-memory mirror: `ready()`
+ * loads every stored entry into the mirror, reads are served from it, and writes
+ * update it immediately and are flushed to IndexedDB in the background.
+ */
+class IndexedDBStorageAdapter {
+    /**
+     * @param {string} dbName - IndexedDB database name
+     * @param {string} storeName - Object store holding the key/value pairs
+     */
+    constructor(dbName = 'website_front_end', storeName = 'key_value') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.mirror = new Map();
+        // Keys removed before hydration finished, which must not come back from the database
+        this.deleted = new Set();
+        this.hydrated = false;
+        this.dbPromise = null;
+        this.readyPromise = null;
+    }
+
+    /**
+     * Open the database and load all entries into memory
+     * @returns {Promise<void>}
+     */
+    ready() {
+        if (!this.readyPromise) {
+            this.readyPromise = this.openDatabase().then(db => new Promise((resolve, reject) => {
+                const store = db.transaction(this.storeName, 'readonly').objectStore(this.storeName);
+                const request = store.openCursor();
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) {
+                        this.hydrated = true;
+                        this.deleted.clear();
+                        resolve();
+                        return;
+                    }
+                    // Keep writes and removals made before hydration finished
+                    if (!this.mirror.has(cursor.key) && !this.deleted.has(cursor.key)) {
+                        this.mirror.set(cursor.key, cursor.value);
+                    }
+                    cursor.continue();
+                };
+                request.onerror = () => reject(request.error);
+            }));
+        }
+        return this.readyPromise;
+    }
+
+    /**
+     * Open (and create on first use) the backing database
+     * @returns {Promise<IDBDatabase>}
+     */
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Read a raw value from the in-memory mirror
+     * @param {string} key - Storage key
+     * @returns {string|null} Stored value or null when missing
+     */
+    getItem(key) {
+        return this.mirror.has(key) ? this.mirror.get(key) : null;
+    }
+
+    /**
+     * Write a raw value
+     * @param {string} key - Storage key
+     * @param {string} value - Value to store
+     */
+    setItem(key, value) {
+        this.mirror.set(key, String(value));
+        this.deleted.delete(key);
+        this.persist(store => store.put(String(value), key));
+    }
+
+    /**
+     * Remove a value
+     * @param {string} key - Storage key
+     */
+    removeItem(key) {
+        this.mirror.delete(key);
+        if (!this.hydrated) {
+            this.deleted.add(key);
+        }
+        this.persist(store => store.delete(key));
+    }
+
+    /**
+     * Run a write against the object store in the background
+     * @param {Function} operation - Receives the object store
+     * @returns {Promise<void>}
+     */
+    persist(operation) {
+        return this.openDatabase()
+            .then(db => new Promise((resolve, reject) => {
+                const transaction = db.transaction(this.storeName, 'readwrite');
+                operation(transaction.objectStore(this.storeName));
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            }))
+            .catch(error => {
+                console.warn('Unable to persist to IndexedDB:', error);
+            });
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        WebStorageAdapter,
+        LocalStorageAdapter,
+        SessionStorageAdapter,
+        MemoryStorageAdapter,
+        IndexedDBStorageAdapter
+    };
+}
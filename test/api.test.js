@@ -0,0 +1,553 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    BrowsingHistoryTracker,
+    PrivacySettings,
+    ProductCatalogAPI,
+    RecommendationPreferences,
+    UserAPI,
+    WishlistAPI
+} = require('../api.js');
+const { MemoryStorageAdapter } = require('../storage.js');
+const { EventBus } = require('../events.js');
+const { MockTransport } = require('../transport.js');
+
+test('api.js loads in Node with its dependencies', () => {
+    assert.equal(typeof BrowsingHistoryTracker, 'function');
+});
+
+test('BrowsingHistoryTracker keeps history in the given storage adapter', () => {
+    const storage = new MemoryStorageAdapter();
+    const tracker = new BrowsingHistoryTracker('history', 20, storage);
+
+    tracker.addItem(3);
+    tracker.addItem(5);
+    assert.deepEqual(tracker.getHistory(), [5, 3]);
+    assert.deepEqual(new BrowsingHistoryTracker('history', 20, storage).getHistory(), [5, 3]);
+});
+
+test('BrowsingHistoryTracker moves unscoped history to the first signed-in user once', () => {
+    const storage = new MemoryStorageAdapter();
+    storage.setItem('history', JSON.stringify([5, 3]));
+
+    const tracker = new BrowsingHistoryTracker('history', 20, storage);
+    tracker.setUserId(1);
+    assert.deepEqual(tracker.getHistory(), [5, 3]);
+    assert.ok(tracker.getHistoryKeys().includes('history_user_1'));
+
+    tracker.setUserId(null);
+    assert.deepEqual(tracker.getHistory(), []);
+    tracker.addItem(7);
+    tracker.setUserId(2);
+    assert.deepEqual(tracker.getHistory(), []);
+});
+
+test('RecommendationPreferences stores preferences per user', () => {
+    const preferences = new RecommendationPreferences('prefs', new MemoryStorageAdapter());
+
+    preferences.save(1, { filters: { ...preferences.getDefaults().filters, minRating: 4 }, sort: 'rating' });
+    assert.equal(preferences.load(1).sort, 'rating');
+    assert.equal(preferences.load(1).filters.minRating, 4);
+    assert.deepEqual(preferences.load(2), preferences.getDefaults());
+});
+
+test('WishlistAPI refuses changes while read-only', async () => {
+    let readOnly = false;
+    const wishlist = new WishlistAPI({ storage: new MemoryStorageAdapter(), isReadOnly: () => readOnly });
+    const product = { id: 4, price: 10 };
+
+    wishlist.add(1, product);
+    readOnly = true;
+    assert.throws(() => wishlist.add(1, { id: 5, price: 20 }), /read-only/);
+    assert.throws(() => wishlist.remove(1, 4), /read-only/);
+    assert.throws(() => wishlist.restore(1, []), /read-only/);
+    await assert.rejects(wishlist.moveToCart(1, product), /read-only/);
+    assert.deepEqual(wishlist.getProductIds(1), [4]);
+});
+
+test('BrowsingHistoryTracker records dwell in the history the view was recorded in', () => {
+    const tracker = new BrowsingHistoryTracker('history', 20, new MemoryStorageAdapter());
+    tracker.setUserId(1);
+    tracker.addItem(3);
+    const key = tracker.getStorageKey();
+
+    tracker.setUserId(2);
+    tracker.addItem(3);
+    tracker.recordDwell(3, 5000, { key });
+    assert.equal(tracker.getEntries()[0].dwellMs, 0);
+
+    tracker.setUserId(1);
+    assert.equal(tracker.getEntries()[0].dwellMs, 5000);
+});
+
+test('BrowsingHistoryTracker keeps untimestamped history for one retention period after migrating it', () => {
+    const day = 24 * 60 * 60 * 1000;
+    const storage = new MemoryStorageAdapter();
+    storage.setItem('history', JSON.stringify([5, 3]));
+    storage.setItem('history_searches', JSON.stringify(['yoga']));
+    const privacy = { events: new EventBus(), getRetentionPeriod: () => 30 * day, isTrackingAllowed: () => true };
+    const tracker = new BrowsingHistoryTracker('history', 20, storage, new EventBus(), privacy);
+    const now = Date.now();
+
+    assert.equal(tracker.prune(now), 0);
+    assert.deepEqual(tracker.getHistory(), [5, 3]);
+    assert.deepEqual(tracker.getSearches(), ['yoga']);
+    assert.equal(tracker.prune(now + 29 * day), 0);
+    assert.equal(tracker.prune(now + 31 * day), 3);
+    assert.deepEqual(tracker.getHistory(), []);
+});
+
+test('UserAPI ranks recommendations again when any ranking signal changes', async () => {
+    let rankings = 0;
+    const api = new UserAPI({
+        transport: { request: async () => ({}) },
+        catalog: { listProducts: async () => [] },
+        recommender: { limit: 8, recommend: () => { rankings++; return []; } }
+    });
+    const history = [{ productId: 1, weight: 0.6 }, { productId: 2, weight: 0.5 }];
+
+    await api.fetchRecommendations(1, history);
+    await api.fetchRecommendations(1, history);
+    assert.equal(rankings, 1);
+
+    await api.fetchRecommendations(1, [{ productId: 1, weight: 0.8 }, history[1]]);
+    await api.fetchRecommendations(1, history, { coViewHistories: [[1, 3]] });
+    await api.fetchRecommendations(1, history, { searches: ['lamp', 'yoga'] });
+    assert.equal(rankings, 4);
+});
+
+test('UserAPI applies only profile fields from live updates and keeps them through a rollback', async () => {
+    let failPatch;
+    const api = new UserAPI({
+        transport: { request: () => new Promise((resolve, reject) => { failPatch = reject; }) },
+        catalog: { listProducts: async () => [] }
+    });
+    api.cache.set('user_1', api.toProfileData({ id: 1, name: 'Ann', email: 'ann@example.com' }));
+
+    const saving = api.updateUserProfile(1, { name: 'Anna' });
+    api.handleLiveMessage({
+        type: 'profile:updated',
+        payload: { id: 1, email: 'new@example.com', avatar: '" onerror="alert(1)', avatarSizes: { 80: 'x' } }
+    });
+    let profile = api.cache.peek('user_1').value;
+    assert.equal(profile.name, 'Anna');
+    assert.equal(profile.email, 'new@example.com');
+    assert.notEqual(profile.avatar, '" onerror="alert(1)');
+    assert.equal(profile.avatarSizes, null);
+
+    await new Promise(resolve => setImmediate(resolve));
+    failPatch(new Error('Network down'));
+    await assert.rejects(saving);
+    profile = api.cache.peek('user_1').value;
+    assert.equal(profile.name, 'Ann');
+    assert.equal(profile.email, 'new@example.com');
+});
+
+test('BrowsingHistoryTracker leaves unscoped history alone while the user is only being viewed', () => {
+    let readOnly = true;
+    const storage = new MemoryStorageAdapter();
+    storage.setItem('history', JSON.stringify([5, 3]));
+    const tracker = new BrowsingHistoryTracker('history', 20, storage, new EventBus(), null, { isReadOnly: () => readOnly });
+
+    tracker.setUserId(1);
+    assert.deepEqual(tracker.getHistory(), []);
+
+    readOnly = false;
+    tracker.setUserId(2);
+    assert.deepEqual(tracker.getHistory(), [5, 3]);
+});
+
+test('UserAPI refuses to fetch a profile without a user ID', async () => {
+    const api = new UserAPI({
+        transport: { request: async () => ({ id: 1, name: 'Ann' }) },
+        catalog: { listProducts: async () => [] }
+    });
+
+    await assert.rejects(api.fetchUserProfile(), /user ID is required/);
+});
+
+test('UserAPI keeps recommendation cache keys short however many signals there are', async () => {
+    const api = new UserAPI({
+        transport: { request: async () => ({}) },
+        catalog: { listProducts: async () => [] },
+        recommender: { limit: 8, recommend: () => [] }
+    });
+    const coViewHistories = Array.from({ length: 50 }, (_, index) => [index, index + 1, index + 2]);
+
+    await api.fetchRecommendations(1, [1, 2, 3], { coViewHistories, searches: ['yoga mat'] });
+    const [key] = api.cache.keys().filter(item => item.startsWith('recommendations_'));
+    assert.ok(key.length < 40);
+});
+
+/**
+ * Transport whose requests wait until the test settles them
+ * @returns {{transport: Object, calls: Array<Object>}}
+ */
+function deferredTransport() {
+    const calls = [];
+    const transport = {
+        request: (path, options) => new Promise((resolve, reject) => {
+            calls.push({ path, options, resolve, reject });
+        })
+    };
+    return { transport, calls };
+}
+
+test('UserAPI shares one transport call between identical concurrent GETs', async () => {
+    const { transport, calls } = deferredTransport();
+    const api = new UserAPI({ transport, catalog: { listProducts: async () => [] } });
+
+    const first = api.request('/users/1');
+    const second = api.request('/users/1');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(calls.length, 1);
+
+    calls[0].resolve({ id: 1 });
+    assert.deepEqual(await Promise.all([first, second]), [{ id: 1 }, { id: 1 }]);
+    assert.equal(api.inFlight.size, 0);
+});
+
+test('UserAPI keeps a shared GET going when only one caller aborts', async () => {
+    const { transport, calls } = deferredTransport();
+    const api = new UserAPI({ transport, catalog: { listProducts: async () => [] } });
+    const controller = new AbortController();
+
+    const aborted = api.request('/users/1', { signal: controller.signal });
+    const kept = api.request('/users/1');
+    await new Promise(resolve => setImmediate(resolve));
+    controller.abort();
+
+    await assert.rejects(aborted, { name: 'AbortError' });
+    assert.equal(calls[0].options.signal.aborted, false);
+    calls[0].resolve({ id: 1 });
+    assert.deepEqual(await kept, { id: 1 });
+});
+
+test('UserAPI cancels a shared GET once every caller has aborted', async () => {
+    const { transport, calls } = deferredTransport();
+    const api = new UserAPI({ transport, catalog: { listProducts: async () => [] } });
+    const controllers = [new AbortController(), new AbortController()];
+
+    const requests = controllers.map(controller => api.request('/users/1', { signal: controller.signal }));
+    await new Promise(resolve => setImmediate(resolve));
+    controllers.forEach(controller => controller.abort());
+
+    await Promise.all(requests.map(request => assert.rejects(request, { name: 'AbortError' })));
+    assert.equal(calls[0].options.signal.aborted, true);
+    assert.equal(api.inFlight.size, 0);
+});
+
+test('UserAPI delivers a shared GET failure to every caller', async () => {
+    const { transport, calls } = deferredTransport();
+    const api = new UserAPI({ transport, catalog: { listProducts: async () => [] } });
+
+    const requests = [api.request('/users/1'), api.request('/users/1')];
+    await new Promise(resolve => setImmediate(resolve));
+    calls[0].reject(new Error('Not found'));
+
+    await Promise.all(requests.map(request => assert.rejects(request, /Not found/)));
+    assert.equal(calls.length, 1);
+});
+
+test('UserAPI sends profile edits in order and rolls back only the one that failed', async () => {
+    const { transport, calls } = deferredTransport();
+    const api = new UserAPI({ transport, catalog: { listProducts: async () => [] } });
+    api.cache.set('user_1', api.toProfileData({ id: 1, name: 'Ann', email: 'ann@example.com' }));
+    const published = [];
+    api.events.on('profile:updated', profile => published.push([profile.name, profile.email]));
+
+    const rename = api.updateUserProfile(1, { name: 'Anna' });
+    const changeEmail = api.updateUserProfile(1, { email: 'anna@example.com' });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(calls.length, 1);
+    assert.deepEqual(calls[0].options.body, { name: 'Anna' });
+
+    calls[0].reject(new Error('Network down'));
+    await assert.rejects(rename, /Failed to update user profile/);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(calls.length, 2);
+    assert.deepEqual(calls[1].options.body, { email: 'anna@example.com' });
+
+    calls[1].resolve({ id: 1, name: 'Ann', email: 'anna@example.com' });
+    const saved = await changeEmail;
+    assert.equal(saved.email, 'anna@example.com');
+
+    const cached = api.cache.peek('user_1').value;
+    assert.equal(cached.name, 'Ann');
+    assert.equal(cached.email, 'anna@example.com');
+    assert.deepEqual(published, [
+        ['Anna', 'ann@example.com'],
+        ['Anna', 'anna@example.com'],
+        ['Ann', 'anna@example.com'],
+        ['Ann', 'anna@example.com']
+    ]);
+    assert.equal(api.profileEdits.size, 0);
+});
+
+test('UserAPI returns a stale profile at once and publishes the refreshed one', async (t) => {
+    let now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+    const { transport, calls } = deferredTransport();
+    const api = new UserAPI({ transport, catalog: { listProducts: async () => [] } });
+    api.cache.set('user_1', api.toProfileData({ id: 1, name: 'Ann' }));
+    const refreshed = new Promise(resolve => api.events.on('profile:updated', resolve));
+
+    now += 6 * 60 * 1000;
+    assert.equal((await api.fetchUserProfile(1)).name, 'Ann');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(calls.length, 1);
+
+    calls[0].resolve({ id: 1, name: 'Anna' });
+    assert.equal((await refreshed).name, 'Anna');
+    assert.equal(api.cache.get('user_1').name, 'Anna');
+});
+
+test('UserAPI drops a user\'s recommendations without refetching their profile', async () => {
+    const { transport, calls } = deferredTransport();
+    const api = new UserAPI({
+        transport,
+        catalog: { listProducts: async () => [] },
+        recommender: { limit: 8, recommend: () => [] }
+    });
+    api.cache.set('user_1', api.toProfileData({ id: 1, name: 'Ann' }), { tags: ['user:1', 'profile'] });
+    await api.fetchRecommendations(1, [3]);
+    const invalidated = [];
+    api.events.on('cache:invalidated', event => invalidated.push(event));
+
+    // What RecommendationsComponent does after a product click
+    api.invalidateTag('recommendations:1');
+    assert.equal(api.cache.keys().some(key => key.startsWith('recommendations_1_')), false);
+    assert.equal((await api.fetchUserProfile(1)).name, 'Ann');
+    assert.equal(calls.length, 0);
+    assert.equal(invalidated.length, 1);
+
+    await api.fetchRecommendations(1, [3]);
+    api.clearCache(1);
+    assert.deepEqual(api.cache.keys(), []);
+});
+
+test('ProductCatalogAPI accepts every product in the fixture catalog', () => {
+    const catalog = new ProductCatalogAPI();
+    const { products } = require('../fixtures.js');
+
+    products.forEach(product => assert.deepEqual(catalog.validateProduct(product), [], `product ${product.id}`));
+});
+
+test('ProductCatalogAPI rejects malformed products and drops them from listings', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const { products } = require('../fixtures.js');
+    const valid = products[0];
+    const malformed = [
+        { ...valid, id: 0 },
+        { ...valid, price: '9.99' },
+        { ...valid, currency: 'usd' },
+        { ...valid, rating: 6 },
+        { ...valid, images: ['a.jpg', 3] },
+        { ...valid, ratingCounts: { 5: -1 } },
+        { ...valid, badge: 7 },
+        (({ sku, ...rest }) => rest)(valid),
+        null
+    ];
+    const catalog = new ProductCatalogAPI({ transport: { request: async () => [valid, ...malformed] } });
+
+    assert.deepEqual(catalog.validateProduct({ ...valid, price: -1 }), ['product.price must be at least 0']);
+    assert.deepEqual(catalog.validateProduct((({ sku, ...rest }) => rest)(valid)), ['product.sku is required']);
+    assert.deepEqual(await catalog.listProducts(), [valid]);
+    assert.equal(console.warn.mock.callCount(), malformed.length);
+});
+
+test('UserAPI validates edited profile fields', () => {
+    const api = new UserAPI({ transport: { request: async () => ({}) }, catalog: { listProducts: async () => [] } });
+
+    assert.deepEqual(api.validateProfileData({ name: 'Ann', email: 'ann@example.com', phone: '', website: 'example.com/ann' }), {});
+    assert.deepEqual(Object.keys(api.validateProfileData({
+        name: ' ',
+        email: 'ann@',
+        phone: 'call me',
+        website: 'not a site',
+        company: 'x'.repeat(101)
+    })), ['name', 'email', 'phone', 'website', 'company']);
+});
+
+test('UserAPI lists only the profile fields that changed', () => {
+    const api = new UserAPI({ transport: { request: async () => ({}) }, catalog: { listProducts: async () => [] } });
+
+    assert.deepEqual(api.diffProfile({ name: 'Ann', email: 'ann@example.com' }, { name: ' Ann ', email: 'anna@example.com' }), [
+        { field: 'email', from: 'ann@example.com', to: 'anna@example.com' }
+    ]);
+});
+
+test('UserAPI reports field errors from the backend and keeps the saved profile', async () => {
+    const api = new UserAPI({ transport: new MockTransport({ latency: 0 }), catalog: { listProducts: async () => [] } });
+    const profile = await api.fetchUserProfile(1);
+    const { email: otherEmail } = (await api.request('/users')).find(user => user.id !== 1);
+
+    await assert.rejects(api.updateUserProfile(1, { email: otherEmail }), {
+        message: 'Please correct the highlighted fields.',
+        fieldErrors: { email: 'This email is already used by another account.' }
+    });
+    assert.equal(api.cache.peek('user_1').value.email, profile.email);
+
+    assert.equal((await api.updateUserProfile(1, { company: 'Acme' })).company, 'Acme');
+});
+
+test('UserAPI checks avatar files and saves uploaded sizes as the backend avatar', async () => {
+    const { transport, calls } = deferredTransport();
+    const api = new UserAPI({ transport, catalog: { listProducts: async () => [] } });
+    const sizes = { 80: 'a-80.jpg', 160: 'a-160.jpg', 320: 'a-320.jpg' };
+
+    assert.equal(api.validateAvatarFile({ type: 'image/png', size: 1024 }), null);
+    assert.match(api.validateAvatarFile(null), /Choose an image/);
+    assert.match(api.validateAvatarFile({ type: 'image/svg+xml', size: 1024 }), /JPEG, PNG, WebP or GIF/);
+    assert.match(api.validateAvatarFile({ type: 'image/jpeg', size: 6 * 1024 * 1024 }), /5 MB or smaller/);
+
+    api.cache.set('user_1', api.toProfileData({ id: 1, name: 'Ann' }));
+    const upload = api.uploadAvatar(1, sizes);
+    assert.equal(api.cache.peek('user_1').value.avatar, 'a-80.jpg');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(calls[0].options.body, { avatar: sizes });
+
+    calls[0].resolve({ id: 1, name: 'Ann', avatar: sizes });
+    assert.deepEqual((await upload).avatarSizes, sizes);
+});
+
+test('UserAPI filters, sorts and pages one cached ranking', async () => {
+    const products = [
+        { id: 1, category: 'Home', price: 30, rating: 4.5, reviewCount: 10 },
+        { id: 2, category: 'Sports', price: 10, rating: 3.5, reviewCount: 50 },
+        { id: 3, category: 'Home', price: 20, rating: 4.5, reviewCount: 80 },
+        { id: 4, category: 'Home', price: 90, rating: 2, reviewCount: 5 }
+    ];
+    let rankings = 0;
+    const api = new UserAPI({
+        transport: { request: async () => ({}) },
+        catalog: {
+            listProducts: async () => products,
+            listCategories: async () => [{ slug: 'home', name: 'Home' }, { slug: 'sports', name: 'Sports' }]
+        },
+        recommender: { limit: 8, recommend: (items) => { rankings++; return items; } }
+    });
+    const ids = async options => (await api.fetchRecommendations(1, [], options)).map(product => product.id);
+
+    assert.deepEqual(await ids({ filters: { categories: ['home'], maxPrice: 50 } }), [1, 3]);
+    assert.deepEqual(await ids({ filters: { minRating: 4 }, sort: 'rating' }), [3, 1]);
+    assert.deepEqual(await ids({ sort: 'price-asc', offset: 1, limit: 2 }), [3, 1]);
+    assert.deepEqual(await ids({ sort: 'reviews', limit: 1 }), [3]);
+    assert.equal(rankings, 1);
+});
+
+test('PrivacySettings allows tracking only with consent and no browser opt-out', () => {
+    const browser = {};
+    const privacy = new PrivacySettings({ storage: new MemoryStorageAdapter(), browser });
+
+    assert.equal(privacy.needsConsent(), true);
+    assert.equal(privacy.isTrackingAllowed(), false);
+    privacy.update({ consent: 'granted' });
+    assert.equal(privacy.isTrackingAllowed(), true);
+
+    browser.globalPrivacyControl = true;
+    assert.equal(privacy.isTrackingAllowed(), false);
+    privacy.update({ respectBrowserSignals: false });
+    assert.equal(privacy.isTrackingAllowed(), true);
+});
+
+test('BrowsingHistoryTracker records nothing without consent and prunes when retention shortens', () => {
+    const events = new EventBus();
+    const privacy = new PrivacySettings({ storage: new MemoryStorageAdapter(), events, browser: { doNotTrack: '1' } });
+    const tracker = new BrowsingHistoryTracker('history', 20, new MemoryStorageAdapter(), events, privacy);
+    const day = 24 * 60 * 60 * 1000;
+
+    privacy.update({ consent: 'granted' });
+    tracker.addItem(1);
+    tracker.addSearch('lamp');
+    assert.deepEqual(tracker.getHistory(), []);
+
+    privacy.update({ respectBrowserSignals: false });
+    tracker.addItem(1, { now: Date.now() - 20 * day });
+    tracker.addItem(2);
+    privacy.update({ retentionDays: 7 });
+    assert.deepEqual(tracker.getHistory(), [2]);
+});
+
+test('BrowsingHistoryTracker keeps one timestamped entry per product and weights recent, engaged views', () => {
+    const tracker = new BrowsingHistoryTracker('history', 20, new MemoryStorageAdapter());
+    const day = 24 * 60 * 60 * 1000;
+    const now = Date.now();
+
+    tracker.addItem(1, { source: 'search', now: now - 14 * day });
+    tracker.addItem(2, { source: 'recommendation', now: now - 2 * day });
+    tracker.addItem(2, { source: 'detail', now });
+    tracker.recordDwell(2, 60000);
+
+    const [latest, older] = tracker.getEntries();
+    assert.equal(latest.productId, 2);
+    assert.equal(latest.viewCount, 2);
+    assert.equal(latest.source, 'detail');
+    assert.equal(latest.firstViewedAt, new Date(now - 2 * day).toISOString());
+    assert.equal(latest.dwellMs, 60000);
+    assert.equal(older.source, 'search');
+
+    const [recent, old] = tracker.getWeightedHistory({ now });
+    assert.equal(recent.weight, 0.85);
+    assert.equal(old.weight, 0.15);
+});
+
+test('BrowsingHistoryTracker removes, restores and pauses history', () => {
+    const tracker = new BrowsingHistoryTracker('history', 20, new MemoryStorageAdapter());
+    const reasons = [];
+    tracker.events.on('history:changed', ({ reason }) => reasons.push(reason));
+    tracker.addItem(1);
+    tracker.addItem(2);
+
+    const entries = tracker.getEntries();
+    assert.deepEqual(tracker.removeItem(1), [2]);
+    assert.deepEqual(tracker.restore(entries), [2, 1]);
+
+    tracker.setPaused(true);
+    tracker.addItem(3);
+    tracker.recordDwell(2, 5000);
+    assert.deepEqual(tracker.getHistory(), [2, 1]);
+    assert.equal(tracker.getEntries()[0].dwellMs, 0);
+    assert.deepEqual(reasons, ['view', 'view', 'remove', 'restore', 'pause']);
+});
+
+test('WishlistAPI keeps the first save and reports price changes since saving', async () => {
+    const products = [{ id: 4, price: 8 }, { id: 5, price: 30 }];
+    const wishlist = new WishlistAPI({
+        storage: new MemoryStorageAdapter(),
+        catalog: { listProducts: async () => products }
+    });
+
+    wishlist.add(1, { id: 4, price: 10 }, { now: 1000 });
+    wishlist.add(1, { id: 4, price: 12 }, { now: 2000 });
+    wishlist.add(1, { id: 9, price: 5 });
+    assert.equal(wishlist.toggle(1, { id: 5, price: 30 }), true);
+    assert.deepEqual(wishlist.getProductIds(1), [5, 9, 4]);
+    assert.deepEqual(wishlist.getProductIds(2), []);
+
+    const items = await wishlist.fetchWishlist(1);
+    assert.deepEqual(items.map(item => [item.productId, item.priceChange]), [[5, 0], [4, -2]]);
+    assert.equal(items[1].savedAt, 1000);
+});
+
+test('WishlistAPI moves a product to the cart and keeps it when the cart refuses', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    let accept = true;
+    const events = new EventBus();
+    const added = [];
+    events.on('cart:add', payload => added.push(payload));
+    const wishlist = new WishlistAPI({
+        storage: new MemoryStorageAdapter(),
+        events,
+        cart: { addItem: async () => { if (!accept) throw new Error('Out of stock'); } }
+    });
+    wishlist.add(1, { id: 4, price: 10 });
+    wishlist.add(1, { id: 5, price: 20 });
+
+    await wishlist.moveToCart(1, { id: 4, price: 10 });
+    accept = false;
+    await assert.rejects(wishlist.moveToCart(1, { id: 5, price: 20 }), /Failed to add the product to your cart/);
+
+    assert.deepEqual(wishlist.getProductIds(1), [5]);
+    assert.deepEqual(added, [{ userId: 1, productId: 4, quantity: 1, price: 10, source: 'wishlist' }]);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { UploadedAvatarProvider, GravatarProvider, InitialsAvatarProvider, md5Hex } = require('../avatars.js');
+const { UserAPI } = require('../api.js');
+
+test('md5Hex matches known digests', () => {
+    assert.equal(md5Hex(''), 'd41d8cd98f00b204e9800998ecf8427e');
+    assert.equal(md5Hex('The quick brown fox jumps over the lazy dog'), '9e107d9d372bb6826bd81d3542a419d6');
+});
+
+test('GravatarProvider hashes the trimmed, lowercased email and asks for a 404 when missing', () => {
+    const provider = new GravatarProvider({ size: 80 });
+
+    assert.equal(
+        provider.getURL({ email: ' MyEmailAddress@example.com ' }),
+        'https://www.gravatar.com/avatar/0bc83cb571cd1c50ba6f3e8a78ef1346?s=80&r=g&d=404'
+    );
+    assert.equal(provider.getURL({ email: '' }), null);
+});
+
+test('InitialsAvatarProvider draws escaped initials in a colour that stays the same per user', () => {
+    const provider = new InitialsAvatarProvider();
+
+    assert.equal(provider.getInitials('Ann Marie Smith'), 'AS');
+    assert.equal(provider.getInitials('émile'), 'É');
+    assert.equal(provider.getInitials('  '), '?');
+    assert.equal(provider.getColor(7), provider.getColor(7));
+
+    const svg = decodeURIComponent(provider.getURL({ id: 1, name: '<b> &x' }).split(',')[1]);
+    assert.match(svg, />&lt;&amp;<\/text>/);
+});
+
+test('UserAPI shows the first avatar a provider has and keeps the rest as fallbacks', () => {
+    const api = new UserAPI({
+        transport: { request: async () => ({}) },
+        catalog: { listProducts: async () => [] },
+        avatarProviders: [new UploadedAvatarProvider(), new GravatarProvider(), new InitialsAvatarProvider()]
+    });
+
+    const withoutUpload = api.resolveAvatar({ id: 1, name: 'Ann', email: 'ann@example.com', avatarSizes: null });
+    assert.match(withoutUpload.avatar, /^https:\/\/www\.gravatar\.com\//);
+    assert.equal(withoutUpload.avatarFallbacks.length, 1);
+    assert.match(withoutUpload.avatarFallbacks[0], /^data:image\/svg\+xml/);
+
+    const uploaded = api.resolveAvatar({ id: 1, name: 'Ann', email: 'ann@example.com', avatarSizes: { 80: 'a-80.jpg' } });
+    assert.equal(uploaded.avatar, 'a-80.jpg');
+    assert.equal(uploaded.avatarFallbacks.length, 2);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ResponseCache = require('../cache.js');
+
+/**
+ * Control Date.now for one test
+ * @param {Object} t - Test context
+ * @returns {{advance: Function}} Moves the clock forward by milliseconds
+ */
+function mockClock(t) {
+    let now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+    return { advance: ms => { now += ms; } };
+}
+
+test('ResponseCache expires entries after the TTL of their longest matching prefix', (t) => {
+    const clock = mockClock(t);
+    const cache = new ResponseCache({ ttls: { user_: 1000, user_list: 5000 }, defaultTtl: 3000 });
+    cache.set('user_1', 'profile').set('user_list', 'users').set('other', 'value');
+
+    clock.advance(1001);
+    assert.equal(cache.get('user_1'), undefined);
+    assert.equal(cache.get('user_list'), 'users');
+    assert.equal(cache.get('other'), 'value');
+
+    clock.advance(2000);
+    assert.equal(cache.get('other'), undefined);
+    assert.equal(cache.get('user_list'), 'users');
+});
+
+test('ResponseCache evicts the least recently used entry beyond its size cap', () => {
+    const cache = new ResponseCache({ maxEntries: 2 });
+    cache.set('a', 1).set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    assert.deepEqual(cache.keys(), ['a', 'c']);
+    assert.equal(cache.has('b'), false);
+});
+
+test('ResponseCache serves expired entries as stale until the stale window ends', (t) => {
+    const clock = mockClock(t);
+    const cache = new ResponseCache({ defaultTtl: 1000, staleTtl: 2000 });
+    cache.set('user_1', 'profile');
+
+    clock.advance(1500);
+    assert.equal(cache.get('user_1'), undefined);
+    assert.deepEqual(cache.peek('user_1'), { value: 'profile', isStale: true, storedAt: 1_000_000 });
+
+    clock.advance(2000);
+    assert.equal(cache.peek('user_1'), null);
+    assert.equal(cache.size, 0);
+});
+
+test('ResponseCache invalidates entries by tag or key prefix', () => {
+    const cache = new ResponseCache();
+    cache.set('user_1', 'profile', { tags: ['user:1', 'profile'] });
+    cache.set('recommendations_1_a', [], { tags: ['user:1', 'recommendations:1'] });
+    cache.set('recommendations_2_a', [], { tags: ['user:2', 'recommendations:2'] });
+
+    assert.deepEqual(cache.invalidateTag('recommendations:1'), ['recommendations_1_a']);
+    assert.deepEqual(cache.invalidatePrefix('recommendations_'), ['recommendations_2_a']);
+    assert.deepEqual(cache.keys(), ['user_1']);
+});
+
+test('ResponseCache keeps the tags of an entry that is stored again without tags', () => {
+    const cache = new ResponseCache();
+    cache.set('user_1', 'profile', { tags: ['user:1'] });
+    cache.set('user_1', 'updated profile');
+
+    assert.deepEqual(cache.invalidateTag('user:1'), ['user_1']);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventBus } = require('../events.js');
+
+test('EventBus delivers to exact, namespace and catch-all subscriptions', () => {
+    const bus = new EventBus();
+    const received = [];
+    bus.on('profile:updated', (payload, { topic }) => received.push(['exact', topic, payload]));
+    bus.on('profile:*', (payload, { topic }) => received.push(['namespace', topic]));
+    bus.on('*', (payload, { topic }) => received.push(['all', topic]));
+
+    bus.emit('profile:updated', { id: 1 });
+    bus.emit('order:status', {});
+
+    assert.deepEqual(received, [
+        ['exact', 'profile:updated', { id: 1 }],
+        ['namespace', 'profile:updated'],
+        ['all', 'profile:updated'],
+        ['all', 'order:status']
+    ]);
+});
+
+test('EventBus calls once handlers for the next matching event only', () => {
+    const bus = new EventBus();
+    let calls = 0;
+    bus.once('cart:*', () => { calls++; });
+
+    bus.emit('profile:updated');
+    bus.emit('cart:add');
+    bus.emit('cart:add');
+    assert.equal(calls, 1);
+});
+
+test('EventBus stops calling handlers after unsubscribe or off', () => {
+    const bus = new EventBus();
+    let calls = 0;
+    const handler = () => { calls++; };
+    const unsubscribe = bus.on('history:changed', handler);
+    bus.on('wishlist:changed', handler);
+
+    unsubscribe();
+    bus.off('wishlist:changed', handler);
+    bus.emit('history:changed');
+    bus.emit('wishlist:changed');
+    assert.equal(calls, 0);
+});
+
+test('EventBus keeps publishing when a handler throws and waits for async handlers', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const bus = new EventBus();
+    let settled = false;
+    bus.on('order:status', () => { throw new Error('broken listener'); });
+    bus.on('order:status', async () => {
+        await new Promise(resolve => setImmediate(resolve));
+        settled = true;
+    });
+
+    await bus.emit('order:status', {});
+    assert.equal(settled, true);
+    assert.equal(console.error.mock.callCount(), 1);
+});
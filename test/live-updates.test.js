@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventSource } = require('eventsource');
+const WebSocket = require('ws');
+const LiveUpdateClient = require('../live-updates.js');
+const { createLiveServer } = require('../live-server.js');
+
+// The client uses the browser globals
+globalThis.EventSource = EventSource;
+globalThis.WebSocket = WebSocket;
+
+/**
+ * Start a live server on an ephemeral port
+ * @param {number} port - Port to listen on; 0 picks a free one
+ * @returns {Promise<{live: Object, port: number}>}
+ */
+async function startServer(port = 0) {
+    const live = createLiveServer();
+    await new Promise(resolve => live.server.listen(port, '127.0.0.1', resolve));
+    return { live, port: live.server.address().port };
+}
+
+/**
+ * Resolve once the client reports a status
+ * @param {LiveUpdateClient} client - Client to watch
+ * @param {string} status - Status to wait for
+ */
+function waitForStatus(client, status) {
+    if (client.status === status) return Promise.resolve();
+    return new Promise(resolve => {
+        const unsubscribe = client.onStatusChange(current => {
+            if (current === status) {
+                unsubscribe();
+                resolve();
+            }
+        });
+    });
+}
+
+/**
+ * Resolve with the next message the client dispatches
+ * @param {LiveUpdateClient} client - Client to watch
+ */
+function nextMessage(client) {
+    return new Promise(resolve => {
+        const unsubscribe = client.onMessage(message => {
+            unsubscribe();
+            resolve(message);
+        });
+    });
+}
+
+test('LiveUpdateClient receives subscribed messages over Server-Sent Events', async (t) => {
+    const { live, port } = await startServer();
+    const client = new LiveUpdateClient({ url: `http://127.0.0.1:${port}/events`, topics: ['order:status'] });
+    t.after(async () => {
+        client.disconnect();
+        await live.close();
+    });
+
+    client.connect();
+    await waitForStatus(client, 'connected');
+
+    const received = nextMessage(client);
+    assert.equal(live.publish({ type: 'profile:updated', payload: { id: 1 } }), 0);
+    assert.equal(live.publish({ type: 'order:status', payload: { orderId: 7 } }), 1);
+    const message = await received;
+    assert.equal(message.type, 'order:status');
+    assert.deepEqual(message.payload, { orderId: 7 });
+});
+
+test('LiveUpdateClient receives messages published over HTTP on a WebSocket', async (t) => {
+    const { live, port } = await startServer();
+    const client = new LiveUpdateClient({ url: `ws://127.0.0.1:${port}/ws`, topics: ['profile:updated'] });
+    t.after(async () => {
+        client.disconnect();
+        await live.close();
+    });
+
+    client.connect();
+    await waitForStatus(client, 'connected');
+
+    const received = nextMessage(client);
+    const response = await fetch(`http://127.0.0.1:${port}/publish`, {
+        method: 'POST',
+        body: JSON.stringify({ type: 'profile:updated', payload: { id: 1, name: 'Ann' } })
+    });
+    assert.deepEqual(await response.json(), { delivered: 1 });
+    assert.deepEqual((await received).payload, { id: 1, name: 'Ann' });
+});
+
+test('LiveUpdateClient reconnects when the server comes back', async (t) => {
+    let { live, port } = await startServer();
+    const client = new LiveUpdateClient({ url: `ws://127.0.0.1:${port}/ws`, reconnectBaseDelay: 10 });
+    t.after(async () => {
+        client.disconnect();
+        await live.close();
+    });
+
+    client.connect();
+    await waitForStatus(client, 'connected');
+
+    await live.close();
+    await waitForStatus(client, 'reconnecting');
+    ({ live } = await startServer(port));
+    await waitForStatus(client, 'connected');
+
+    const received = nextMessage(client);
+    live.publish({ type: 'recommendation:new', payload: { userId: 1 } });
+    assert.equal((await received).type, 'recommendation:new');
+});
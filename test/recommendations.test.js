@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RecommendationEngine = require('../recommendations.js');
+const { products } = require('../fixtures.js');
+
+test('RecommendationEngine ranks products similar to the history first and explains why', () => {
+    const engine = new RecommendationEngine();
+    const viewed = products[0];
+    const ranked = engine.recommend(products, { history: [viewed.id], limit: 5 });
+
+    assert.equal(ranked.length, 5);
+    assert.ok(ranked.every(product => product.id !== viewed.id));
+    assert.ok(ranked.every(product => Number.isFinite(product.score) && product.reason));
+    assert.deepEqual(ranked.map(product => product.score), ranked.map(product => product.score).slice().sort((a, b) => b - a));
+});
+
+test('RecommendationEngine credits products other shoppers viewed alongside the history', () => {
+    const engine = new RecommendationEngine({ weights: { coView: 10 } });
+    const [viewed, , , coViewed] = products;
+    const ranked = engine.recommend(products, {
+        history: [viewed.id],
+        coViewHistories: [[viewed.id, coViewed.id]],
+        limit: 1
+    });
+
+    assert.equal(ranked[0].id, coViewed.id);
+});
+
+test('RecommendationEngine ignores co-views through views whose weight is 0', () => {
+    const engine = new RecommendationEngine();
+    const [viewed, , , coViewed] = products;
+    const ranked = engine.recommend(products, {
+        history: [{ productId: viewed.id, weight: 0 }],
+        coViewHistories: [[viewed.id, coViewed.id]],
+        limit: Infinity
+    });
+
+    assert.ok(ranked.every(product => Number.isFinite(product.score)));
+});
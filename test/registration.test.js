@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RegistrationAPI } = require('../api.js');
+const { MemoryStorageAdapter } = require('../storage.js');
+
+test('ready() upgrades version 1 user records and backs them up', async () => {
+    const storage = new MemoryStorageAdapter({
+        secure_users_db_v1: JSON.stringify([{ id: 1, email: 'a@example.com' }])
+    });
+    const api = new RegistrationAPI({ storage });
+
+    const summary = await api.ready();
+
+    assert.deepEqual([summary.fromVersion, summary.toVersion], [1, api.schemaVersion]);
+    assert.deepEqual(api.getUsers()[0].roles, ['customer']);
+    assert.ok(storage.getItem('secure_users_db_backup_v1'));
+});
+
+test('a database from a newer version leaves accounts read-only instead of rejecting', async () => {
+    const users = JSON.stringify([{ id: 1, email: 'a@example.com' }]);
+    const storage = new MemoryStorageAdapter({
+        secure_users_db_v1: users,
+        secure_users_db_schema_version: '99'
+    });
+    const api = new RegistrationAPI({ storage });
+
+    assert.equal(await api.ready(), null);
+    assert.match(api.migrationError.message, /newer than supported/);
+    assert.throws(() => api.saveUsers([]), /Account changes are unavailable/);
+    assert.equal(storage.getItem('secure_users_db_v1'), users);
+});
+
+/**
+ * RegistrationAPI over memory storage with one stored user
+ * @param {Object} user - Fields overriding the defaults
+ */
+async function withUser(user) {
+    const api = new RegistrationAPI({ storage: new MemoryStorageAdapter(), passwordHashIterations: 1000 });
+    await api.ready();
+    api.saveUsers([{ id: 1, email: 'a@example.com', isEmailVerified: true, roles: ['customer'], ...user }]);
+    return api;
+}
+
+test('an unverified user with a legacy hash is not re-hashed on each attempt', async () => {
+    const api = new RegistrationAPI({ passwordHashIterations: 1000 });
+    const legacyHash = await api.hashPasswordLegacy('Secret123!');
+    const registration = await withUser({ passwordHash: legacyHash, isEmailVerified: false });
+
+    await assert.rejects(registration.login('a@example.com', 'Secret123!'), /verify your email/);
+    await assert.rejects(registration.login('a@example.com', 'Secret123!'), /verify your email/);
+
+    assert.equal(registration.getUsers()[0].passwordHash, legacyHash);
+    assert.ok(!registration.getAuditLogs().some(log => log.eventType === 'PASSWORD_HASH_UPGRADED'));
+});
+
+test('a legacy hash is upgraded and saved on a successful sign-in', async () => {
+    const api = new RegistrationAPI({ passwordHashIterations: 1000 });
+    const registration = await withUser({ passwordHash: await api.hashPasswordLegacy('Secret123!') });
+
+    await registration.login('a@example.com', 'Secret123!');
+
+    assert.match(registration.getUsers()[0].passwordHash, /^pbkdf2\$1000\$/);
+});
+
+test('a malformed PBKDF2 record rejects like a wrong password', async () => {
+    for (const passwordHash of ['pbkdf2$abc$zz$00', 'pbkdf2$0$00$00', 'pbkdf2$1000$00']) {
+        const registration = await withUser({ passwordHash });
+        await assert.rejects(registration.login('a@example.com', 'Secret123!'), { message: 'Invalid email or password.' });
+    }
+});
+
+test('peekSession() reads the session without extending it', async () => {
+    const api = new RegistrationAPI({ passwordHashIterations: 1000 });
+    const registration = await withUser({ passwordHash: await api.hashPassword('Secret123!') });
+    const { expiresAt } = await registration.login('a@example.com', 'Secret123!');
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.equal(registration.peekSession().expiresAt, expiresAt);
+    assert.ok(registration.getCurrentSession().expiresAt > expiresAt);
+});
+
+test('login() starts a session for the right password and logout() ends it', async () => {
+    const api = new RegistrationAPI({ passwordHashIterations: 1000 });
+    const registration = await withUser({ passwordHash: await api.hashPassword('Secret123!') });
+    const changes = [];
+    registration.events.on('auth:changed', ({ reason }) => changes.push(reason));
+
+    await assert.rejects(registration.login('a@example.com', 'wrong'), { message: 'Invalid email or password.' });
+    await assert.rejects(registration.login('b@example.com', 'Secret123!'), { message: 'Invalid email or password.' });
+
+    const session = await registration.login(' A@example.com ', 'Secret123!');
+    assert.equal(session.user.id, 1);
+    assert.equal(session.user.passwordHash, undefined);
+    assert.equal(registration.getActiveUserId(), 1);
+
+    registration.logout();
+    assert.equal(registration.getCurrentSession(), null);
+    assert.deepEqual(changes, ['login', 'logout']);
+});
+
+test('a session expires after the idle timeout', async (t) => {
+    const api = new RegistrationAPI({ passwordHashIterations: 1000 });
+    const registration = await withUser({ passwordHash: await api.hashPassword('Secret123!') });
+    await registration.login('a@example.com', 'Secret123!');
+    let now = Date.now();
+    t.mock.method(Date, 'now', () => now);
+    const changes = [];
+    registration.events.on('auth:changed', ({ reason }) => changes.push(reason));
+
+    now += registration.sessionTtlMs - 1000;
+    assert.ok(registration.getCurrentSession());
+    now += registration.sessionTtlMs + 1;
+    assert.equal(registration.getCurrentSession(), null);
+    assert.deepEqual(changes, ['expired']);
+});
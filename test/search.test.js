@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ProductSearchIndex = require('../search.js');
+
+const products = [
+    { id: 1, title: 'Wireless headphones', category: 'Electronics', description: 'Noise cancelling', rating: 4 },
+    { id: 2, title: 'Yoga mat', category: 'Sports', description: 'Non-slip mat for yoga', rating: 4.5 },
+    { id: 3, title: 'Desk lamp', category: 'Home', description: 'Adjustable lamp with wireless charging', rating: 3 }
+];
+
+/** Product IDs found for a query */
+function findIds(query) {
+    return new ProductSearchIndex().build(products).search(query).map(result => result.product.id);
+}
+
+test('ProductSearchIndex ranks title matches above description matches', () => {
+    assert.deepEqual(findIds('wireless'), [1, 3]);
+});
+
+test('ProductSearchIndex finds misspelled words within the allowed edit distance', () => {
+    assert.deepEqual(findIds('hedphones'), [1]);
+    // Swapped neighbouring letters count as one edit
+    assert.deepEqual(findIds('wirelses'), [1, 3]);
+    // Short words must match exactly
+    assert.deepEqual(findIds('mad'), []);
+});
+
+test('ProductSearchIndex matches the last word as a prefix, also when misspelled', () => {
+    assert.deepEqual(findIds('desk la'), [3]);
+    assert.deepEqual(findIds('headp'), [1]);
+    assert.deepEqual(findIds('hedpho'), [1]);
+    // Only the word being typed may be a prefix
+    assert.deepEqual(findIds('la desk'), []);
+});
+
+test('ProductSearchIndex.editDistance counts edits up to the maximum', () => {
+    const index = new ProductSearchIndex();
+    assert.equal(index.editDistance('lamp', 'lamp', 2), 0);
+    assert.equal(index.editDistance('lmap', 'lamp', 2), 1);
+    assert.equal(index.editDistance('lamp', 'damps', 2), 2);
+    assert.equal(index.editDistance('lamp', 'yoga', 2), 3);
+});
+
+test('ProductSearchIndex.highlight marks the words that matched', () => {
+    const index = new ProductSearchIndex().build(products);
+    const [result] = index.search('yoga m');
+
+    assert.deepEqual(index.highlight(result.product.title, result.terms), [
+        { text: 'Yoga', match: true },
+        { text: ' ', match: false },
+        { text: 'mat', match: true }
+    ]);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStorageAdapter, WebStorageAdapter } = require('../storage.js');
+
+test('MemoryStorageAdapter reads, writes and removes string values', async () => {
+    const storage = new MemoryStorageAdapter({ seeded: '1' });
+    await storage.ready();
+
+    assert.equal(storage.getItem('seeded'), '1');
+    storage.setItem('count', 2);
+    assert.equal(storage.getItem('count'), '2');
+    storage.removeItem('count');
+    assert.equal(storage.getItem('count'), null);
+});
+
+test('WebStorageAdapter resolves its storage area on use', () => {
+    const area = new Map();
+    const storage = new WebStorageAdapter(() => ({
+        getItem: key => (area.has(key) ? area.get(key) : null),
+        setItem: (key, value) => area.set(key, value),
+        removeItem: key => area.delete(key)
+    }));
+
+    storage.setItem('key', 'value');
+    assert.equal(area.get('key'), 'value');
+    assert.equal(storage.getItem('key'), 'value');
+});
+
+test('IndexedDBStorageAdapter keeps writes and removals made before hydration', async () => {
+    require('fake-indexeddb/auto');
+    const { IndexedDBStorageAdapter } = require('../storage.js');
+
+    const seed = new IndexedDBStorageAdapter('hydration_test');
+    await seed.ready();
+    await Promise.all([
+        seed.persist(store => store.put('old', 'removed')),
+        seed.persist(store => store.put('old', 'replaced'))
+    ]);
+
+    // Change both keys while the hydration cursor is reading the store
+    const storage = new IndexedDBStorageAdapter('hydration_test');
+    const hydrated = storage.ready();
+    await storage.openDatabase();
+    storage.removeItem('removed');
+    storage.setItem('replaced', 'new');
+    await hydrated;
+
+    assert.equal(storage.getItem('removed'), null);
+    assert.equal(storage.getItem('replaced'), 'new');
+});
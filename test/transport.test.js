@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HttpTransport, MockTransport, ResilientTransport, TransportError } = require('../transport.js');
+
+/**
+ * Transport answering from a queue of handlers, one per request
+ * @param {Array<Function>} handlers - Called with the request options
+ */
+function scriptedTransport(handlers) {
+    return {
+        request: (path, options) => Promise.resolve().then(() => handlers.shift()(options))
+    };
+}
+
+test('an aborted half-open trial lets the next request through', async () => {
+    const abortError = new DOMException('The operation was aborted.', 'AbortError');
+    const transport = new ResilientTransport(scriptedTransport([
+        () => { throw new TransportError('HTTP error! status: 500', { status: 500 }); },
+        () => { throw abortError; },
+        () => ({ ok: true })
+    ]), { retries: 0, failureThreshold: 1, resetTimeout: 0 });
+
+    await assert.rejects(transport.request('/users/1'), { status: 500 });
+    assert.equal(transport.getStatus().endpoints[0].state, 'open');
+
+    // The breaker is half-open now; the trial request is aborted
+    await assert.rejects(transport.request('/users/1'), { name: 'AbortError' });
+
+    assert.deepEqual(await transport.request('/users/1'), { ok: true });
+    assert.equal(transport.getStatus().endpoints[0].state, 'closed');
+});
+
+test('retries idempotent requests after a server error', async () => {
+    const transport = new ResilientTransport(scriptedTransport([
+        () => { throw new TransportError('HTTP error! status: 503', { status: 503 }); },
+        () => ({ id: 1 })
+    ]), { baseDelay: 0 });
+
+    assert.deepEqual(await transport.request('/users/1'), { id: 1 });
+});
+
+test('stops retrying at once when aborted during the backoff', async () => {
+    const controller = new AbortController();
+    const transport = new ResilientTransport(scriptedTransport([
+        () => {
+            controller.abort();
+            throw new TransportError('HTTP error! status: 503', { status: 503 });
+        },
+        () => ({ id: 1 })
+    ]), { baseDelay: 60000, maxDelay: 60000 });
+
+    const started = Date.now();
+    await assert.rejects(transport.request('/users/1', { signal: controller.signal }), { name: 'AbortError' });
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('HttpTransport does not fetch when the signal is already aborted', async (t) => {
+    const fetch = t.mock.method(globalThis, 'fetch', async () => ({ ok: true, json: async () => ({}) }));
+    const controller = new AbortController();
+    controller.abort();
+
+    await assert.rejects(new HttpTransport().request('/users/1', { signal: controller.signal }), { name: 'AbortError' });
+    assert.equal(fetch.mock.callCount(), 0);
+});
+
+test('HttpTransport sends the base URL, query, JSON body and bearer token', async (t) => {
+    const fetch = t.mock.method(globalThis, 'fetch', async () => ({ ok: true, json: async () => ({ id: 1 }) }));
+    const transport = new HttpTransport({ baseURL: 'https://api.example.com/', getAuthToken: () => 'token-1' });
+
+    const data = await transport.request('/users/1', { method: 'PATCH', query: { a: 1, b: undefined }, body: { name: 'Ann' } });
+    const [url, init] = fetch.mock.calls[0].arguments;
+    assert.deepEqual(data, { id: 1 });
+    assert.equal(url, 'https://api.example.com/users/1?a=1');
+    assert.equal(init.method, 'PATCH');
+    assert.equal(init.body, '{"name":"Ann"}');
+    assert.equal(init.headers.Authorization, 'Bearer token-1');
+    assert.equal(init.headers['Content-Type'], 'application/json');
+});
+
+test('HttpTransport turns HTTP and network failures into TransportErrors', async (t) => {
+    const responses = [
+        async () => ({ ok: false, status: 404, headers: {}, json: async () => ({ error: 'Not found' }) }),
+        async () => { throw new TypeError('fetch failed'); }
+    ];
+    t.mock.method(globalThis, 'fetch', () => responses.shift()());
+    const transport = new HttpTransport();
+
+    await assert.rejects(transport.request('/users/9'), { name: 'TransportError', status: 404, body: { error: 'Not found' } });
+    await assert.rejects(transport.request('/users/9'), { name: 'TransportError', status: 0 });
+});
+
+test('MockTransport serves and updates fixture users like the backend', async () => {
+    const transport = new MockTransport({ latency: 0 });
+
+    assert.equal((await transport.request('/users/1')).id, 1);
+    await assert.rejects(transport.request('/users/999'), { status: 404 });
+    await assert.rejects(transport.request('/nowhere'), { status: 404 });
+
+    const updated = await transport.request('/users/1', { method: 'PATCH', body: { name: 'Ann' } });
+    assert.equal(updated.name, 'Ann');
+    assert.equal((await transport.request('/users/1')).name, 'Ann');
+    await assert.rejects(transport.request('/users/1', { method: 'PATCH', body: { name: ' ' } }), {
+        status: 422,
+        body: { errors: { name: 'Name cannot be empty.' } }
+    });
+});
@@ -0,0 +1,661 @@
+/**
+ * Transport layer used by UserAPI and ProductCatalogAPI to talk to the backend.
+ *
+ * A transport exposes `request(path, options)` and resolves with the parsed JSON
+ * body. HttpTransport talks to a real server; MockTransport answers from the
+ * bundled fixtures so the dashboard works offline and in tests. ResilientTransport
+ * wraps either one with retries and circuit breaking.
+ */
+
+// The browser loads the fixtures as an earlier script (see index.html); Node requires them
+if (typeof module !== 'undefined' && module.exports) {
+    globalThis.MOCK_FIXTURES = require('./fixtures.js');
+}
+
+/**
+ * Error raised for failed requests. Carries the HTTP status (0 for network
+ * failures and timeouts) so callers can decide how to react.
+ */
+class TransportError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details - Failure details
+     * @param {number} details.status - HTTP status, or 0 when no response was received
+     * @param {string} details.url - Requested URL
+     * @param {Headers|null} details.headers - Response headers, when a response was received
+     * @param {any} details.body - Parsed response body, when available
+     * @param {boolean} details.isTimeout - Whether the request was aborted by its timeout
+     */
+    constructor(message, { status = 0, url = '', headers = null, body = null, isTimeout = false } = {}) {
+        super(message);
+        this.name = 'TransportError';
+        this.status = status;
+        this.url = url;
+        this.headers = headers;
+        this.body = body;
+        this.isTimeout = isTimeout;
+    }
+}
+
+/**
+ * Transport over fetch with a configurable base URL, default headers, bearer
+ * token injection and per-request timeouts.
+ */
+class HttpTransport {
+    /**
+     * @param {Object} options - Transport settings
+     * @param {string} options.baseURL - Prefix for every request path
+     * @param {Object} options.headers - Headers sent with every request
+     * @param {Function} options.getAuthToken - Returns the current auth token, or null to send none
+     * @param {number} options.timeout - Default request timeout in milliseconds
+     */
+    constructor({ baseURL = '', headers = {}, getAuthToken = null, timeout = 10000 } = {}) {
+        this.baseURL = baseURL.replace(/\/+$/, '');
+        this.headers = { Accept: 'application/json', ...headers };
+        this.getAuthToken = getAuthToken;
+        this.timeout = timeout;
+    }
+
+    /**
+     * Build the absolute URL for a request
+     * @param {string} path - Path relative to the base URL
+     * @param {Object} query - Query string parameters
+     * @returns {string} Request URL
+     */
+    buildURL(path, query = {}) {
+        const params = new URLSearchParams();
+        Object.entries(query).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) {
+                params.append(key, String(value));
+            }
+        });
+        const queryString = params.toString();
+        return `${this.baseURL}${path}${queryString ? `?${queryString}` : ''}`;
+    }
+
+    /**
+     * Perform a request and parse the JSON response
+     * @param {string} path - Path relative to the base URL, e.g. `/users/1`
+     * @param {Object} options - Request options
+     * @param {string} options.method - HTTP method
+     * @param {Object} options.query - Query string parameters
+     * @param {any} options.body - JSON-serializable request body
+     * @param {Object} options.headers - Extra headers for this request
+     * @param {AbortSignal} options.signal - Caller-provided abort signal
+     * @param {number} options.timeout - Timeout override in milliseconds
+     * @returns {Promise<any>} Parsed response body
+     */
+    async request(path, { method = 'GET', query, body, headers = {}, signal, timeout = this.timeout } = {}) {
+        // An already aborted signal fires no abort event, so check it before fetching
+        if (signal?.aborted) {
+            throw new DOMException('The operation was aborted.', 'AbortError');
+        }
+
+        const url = this.buildURL(path, query);
+        const requestHeaders = { ...this.headers, ...headers };
+
+        const token = this.getAuthToken ? this.getAuthToken() : null;
+        if (token) {
+            requestHeaders.Authorization = `Bearer ${token}`;
+        }
+
+        if (body !== undefined) {
+            requestHeaders['Content-Type'] = 'application/json';
+        }
+
+        // Abort on timeout or when the caller's signal aborts
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        const forwardAbort = () => controller.abort();
+        signal?.addEventListener('abort', forwardAbort);
+
+        try {
+            const response = await fetch(url, {
+                method,
+                headers: requestHeaders,
+                body: body !== undefined ? JSON.stringify(body) : undefined,
+                signal: controller.signal
+            });
+
+            const data = await response.json().catch(() => null);
+            if (!response.ok) {
+                throw new TransportError(`HTTP error! status: ${response.status}`, {
+                    status: response.status,
+                    url,
+                    headers: response.headers,
+                    body: data
+                });
+            }
+
+            return data;
+        } catch (error) {
+            if (error instanceof TransportError) throw error;
+            if (timedOut) {
+                throw new TransportError(`Request timed out after ${timeout}ms`, { url, isTimeout: true });
+            }
+            if (error.name === 'AbortError') throw error;
+            throw new TransportError(`Network error: ${error.message}`, { url });
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', forwardAbort);
+        }
+    }
+}
+
+/**
+ * In-browser stand-in for the backend. Serves the fixture users and product catalog
+ * and keeps profile updates in memory for the lifetime of the page.
+ */
+class MockTransport {
+    /**
+     * @param {Object} options - Mock settings
+     * @param {Object} options.fixtures - Data to serve; defaults to MOCK_FIXTURES
+     * @param {number} options.latency - Simulated response delay in milliseconds
+     */
+    constructor({ fixtures = MOCK_FIXTURES, latency = 150 } = {}) {
+        this.data = JSON.parse(JSON.stringify(fixtures));
+        this.latency = latency;
+        this.routes = [
+            { method: 'GET', pattern: /^\/users$/, handler: () => this.data.users },
+            { method: 'GET', pattern: /^\/users\/(\d+)$/, handler: ([id]) => this.findUser(id) },
+            { method: 'PUT', pattern: /^\/users\/(\d+)$/, handler: ([id], body) => this.replaceUser(id, body) },
+            { method: 'PATCH', pattern: /^\/users\/(\d+)$/, handler: ([id], body) => this.patchUser(id, body) },
+            { method: 'GET', pattern: /^\/products$/, handler: (params, body, query) => this.listProducts(query) },
+            { method: 'GET', pattern: /^\/products\/search$/, handler: (params, body, query) => this.searchProducts(query) },
+            { method: 'GET', pattern: /^\/products\/(\d+)$/, handler: ([id]) => this.findProduct(id) },
+            { method: 'GET', pattern: /^\/categories$/, handler: () => this.listCategories() },
+            {
+                method: 'GET',
+                pattern: /^\/categories\/([a-z0-9-]+)\/products$/,
+                handler: ([slug], body, query) => this.listProducts({ ...query, category: slug })
+            }
+        ];
+    }
+
+    /**
+     * Answer a request from the fixtures
+     * @param {string} path - Request path, e.g. `/users/1`
+     * @param {Object} options - Same options as HttpTransport#request
+     * @returns {Promise<any>} Response body
+     */
+    async request(path, { method = 'GET', query = {}, body, signal } = {}) {
+        await this.delay(signal);
+
+        const route = this.routes.find(item => item.method === method && item.pattern.test(path));
+        if (!route) {
+            throw new TransportError('HTTP error! status: 404', { status: 404, url: path });
+        }
+
+        const params = path.match(route.pattern).slice(1);
+        const result = route.handler(params, body, query);
+        return JSON.parse(JSON.stringify(result));
+    }
+
+    /**
+     * Wait for the simulated latency, rejecting if the request is aborted
+     * @param {AbortSignal} signal - Caller-provided abort signal
+     * @returns {Promise<void>}
+     */
+    delay(signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException('The operation was aborted.', 'AbortError'));
+                return;
+            }
+            const timer = setTimeout(resolve, this.latency);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new DOMException('The operation was aborted.', 'AbortError'));
+            }, { once: true });
+        });
+    }
+
+    /**
+     * Look up a fixture user
+     * @param {string} id - User ID from the path
+     * @returns {Object} User record
+     */
+    findUser(id) {
+        const user = this.data.users.find(item => item.id === Number(id));
+        if (!user) {
+            throw new TransportError('HTTP error! status: 404', { status: 404, url: `/users/${id}` });
+        }
+        return user;
+    }
+
+    /**
+     * Replace a fixture user (PUT semantics)
+     * @param {string} id - User ID from the path
+     * @param {Object} body - New user record
+     * @returns {Object} Stored user record
+     */
+    replaceUser(id, body = {}) {
+        const user = this.findUser(id);
+        const index = this.data.users.indexOf(user);
+        this.data.users[index] = { ...body, id: user.id };
+        return this.data.users[index];
+    }
+
+    /**
+     * Merge changes into a fixture user (PATCH semantics). Rejects an empty name or
+     * an email used by another user with a 422 and per-field `errors`, like a real backend.
+     * @param {string} id - User ID from the path
+     * @param {Object} body - Changed fields
+     * @returns {Object} Stored user record
+     */
+    patchUser(id, body = {}) {
+        const user = this.findUser(id);
+
+        const errors = {};
+        if ('name' in body && !String(body.name || '').trim()) {
+            errors.name = 'Name cannot be empty.';
+        }
+        if ('email' in body) {
+            const email = String(body.email || '').trim().toLowerCase();
+            const taken = this.data.users.some(item => item.id !== user.id && item.email.toLowerCase() === email);
+            if (taken) {
+                errors.email = 'This email is already used by another account.';
+            }
+        }
+        if (Object.keys(errors).length) {
+            throw new TransportError('HTTP error! status: 422', { status: 422, url: `/users/${id}`, body: { errors } });
+        }
+
+        Object.assign(user, body, { id: user.id });
+        return user;
+    }
+
+    /**
+     * List fixture products, optionally in one category, honouring JSONPlaceholder-style
+     * `_start` and `_limit` paging
+     * @param {Object} query - Query string parameters; `category` is a category slug
+     * @returns {Array<Object>} Products
+     */
+    listProducts(query = {}) {
+        const category = query.category ? this.findCategory(query.category) : null;
+        const products = category
+            ? this.data.products.filter(product => product.category === category.name)
+            : this.data.products;
+        return this.paginate(products, query);
+    }
+
+    /**
+     * Products whose title, description or category contain every word of `q`
+     * @param {Object} query - Query string parameters
+     * @returns {Array<Object>} Matching products
+     */
+    searchProducts(query = {}) {
+        const terms = String(query.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+        const matches = this.data.products.filter(product => {
+            const text = `${product.title} ${product.description} ${product.category}`.toLowerCase();
+            return terms.every(term => text.includes(term));
+        });
+        return this.paginate(matches, query);
+    }
+
+    /**
+     * Look up a fixture product
+     * @param {string} id - Product ID from the path
+     * @returns {Object} Product record
+     */
+    findProduct(id) {
+        const product = this.data.products.find(item => item.id === Number(id));
+        if (!product) {
+            throw new TransportError('HTTP error! status: 404', { status: 404, url: `/products/${id}` });
+        }
+        return product;
+    }
+
+    /**
+     * List categories with their product counts
+     * @returns {Array<{slug: string, name: string, productCount: number}>} Categories
+     */
+    listCategories() {
+        return this.data.categories.map(category => ({
+            ...category,
+            productCount: this.data.products.filter(product => product.category === category.name).length
+        }));
+    }
+
+    /**
+     * Look up a fixture category
+     * @param {string} slug - Category slug
+     * @returns {{slug: string, name: string}} Category
+     */
+    findCategory(slug) {
+        const category = this.data.categories.find(item => item.slug === slug);
+        if (!category) {
+            throw new TransportError('HTTP error! status: 404', { status: 404, url: `/categories/${slug}` });
+        }
+        return category;
+    }
+
+    /**
+     * Apply `_start` and `_limit` query parameters to a list
+     * @param {Array} items - Full list
+     * @param {Object} query - Query string parameters
+     * @returns {Array} Requested page
+     */
+    paginate(items, query = {}) {
+        const start = Number(query._start) || 0;
+        const limit = Number(query._limit) || items.length;
+        return items.slice(start, start + limit);
+    }
+}
+
+/**
+ * Circuit breaker for a single endpoint. Opens after repeated failures so the
+ * endpoint is left alone for a cool-down period, then lets one trial request
+ * through (half-open) to decide whether to close again.
+ */
+class CircuitBreaker {
+    /**
+     * @param {Object} options - Breaker settings
+     * @param {number} options.failureThreshold - Consecutive failures before opening
+     * @param {number} options.resetTimeout - Cool-down in milliseconds before a trial request
+     */
+    constructor({ failureThreshold = 5, resetTimeout = 30000 } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.resetTimeout = resetTimeout;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Whether a request may be sent now. Moves an expired open breaker to half-open.
+     * @returns {boolean}
+     */
+    canRequest() {
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeout) {
+            this.state = 'half-open';
+            this.trialInFlight = false;
+        }
+
+        if (this.state === 'closed') return true;
+        if (this.state === 'half-open' && !this.trialInFlight) {
+            this.trialInFlight = true;
+            return true;
+        }
+        return false;
+    }
+
+    /** Record a successful request and close the breaker */
+    recordSuccess() {
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Give back a half-open trial that ended without an answer from the endpoint,
+     * e.g. because the caller aborted it, so the next request can be the trial
+     */
+    releaseTrial() {
+        this.trialInFlight = false;
+    }
+
+    /** Record a failed request, opening the breaker once the threshold is reached */
+    recordFailure() {
+        this.failures += 1;
+        this.trialInFlight = false;
+        if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+            this.state = 'open';
+            this.openedAt = Date.now();
+        }
+    }
+
+    /**
+     * Snapshot of the breaker for display
+     * @returns {{state: string, failures: number, retryAt: number|null}}
+     */
+    getState() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            retryAt: this.state === 'open' ? this.openedAt + this.resetTimeout : null
+        };
+    }
+}
+
+/**
+ * Transport decorator that retries idempotent requests with jittered exponential
+ * backoff (honouring `Retry-After`) and guards each endpoint with a circuit breaker.
+ */
+class ResilientTransport {
+    /**
+     * @param {Object} transport - Wrapped transport (HttpTransport or MockTransport)
+     * @param {Object} options - Retry and breaker settings
+     * @param {number} options.retries - Maximum retries per idempotent request
+     * @param {number} options.baseDelay - Backoff base in milliseconds
+     * @param {number} options.maxDelay - Upper bound for a single backoff in milliseconds
+     * @param {number} options.maxRetryAfter - Longest `Retry-After` wait to honour; longer waits fail fast
+     * @param {number} options.failureThreshold - Consecutive failures before a breaker opens
+     * @param {number} options.resetTimeout - Breaker cool-down in milliseconds
+     */
+    constructor(transport, {
+        retries = 3,
+        baseDelay = 300,
+        maxDelay = 5000,
+        maxRetryAfter = 30000,
+        failureThreshold = 5,
+        resetTimeout = 30000
+    } = {}) {
+        this.transport = transport;
+        this.retries = retries;
+        this.baseDelay = baseDelay;
+        this.maxDelay = maxDelay;
+        this.maxRetryAfter = maxRetryAfter;
+        this.breakerOptions = { failureThreshold, resetTimeout };
+        this.breakers = new Map();
+        this.subscribers = new Set();
+        this.idempotentMethods = new Set(['GET', 'HEAD']);
+    }
+
+    /**
+     * Perform a request with retries and circuit breaking
+     * @param {string} path - Request path
+     * @param {Object} options - Same options as HttpTransport#request
+     * @returns {Promise<any>} Parsed response body
+     */
+    async request(path, options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        const endpoint = this.getEndpointKey(method, path);
+        const breaker = this.getBreaker(endpoint);
+        const maxAttempts = this.idempotentMethods.has(method) ? this.retries + 1 : 1;
+
+        for (let attempt = 0; ; attempt++) {
+            if (!breaker.canRequest()) {
+                throw new TransportError('Service temporarily unavailable. Please try again shortly.', {
+                    status: 503,
+                    url: path
+                });
+            }
+
+            try {
+                const data = await this.transport.request(path, options);
+                this.updateBreaker(endpoint, breaker, () => breaker.recordSuccess());
+                return data;
+            } catch (error) {
+                if (!this.isRetryable(error)) {
+                    // The endpoint answered, so it is healthy even if the request was rejected
+                    if (error instanceof TransportError) {
+                        this.updateBreaker(endpoint, breaker, () => breaker.recordSuccess());
+                    } else {
+                        breaker.releaseTrial();
+                    }
+                    throw error;
+                }
+
+                this.updateBreaker(endpoint, breaker, () => breaker.recordFailure());
+
+                const delay = this.getRetryDelay(error, attempt);
+                if (attempt + 1 >= maxAttempts || delay === null) {
+                    throw error;
+                }
+                await this.sleep(delay, options.signal);
+            }
+        }
+    }
+
+    /**
+     * Whether a failure is transient: network errors, timeouts, 429 and 5xx
+     * @param {Error} error - Request failure
+     * @returns {boolean}
+     */
+    isRetryable(error) {
+        if (!(error instanceof TransportError)) return false;
+        return error.status === 0 || error.status === 429 || error.status >= 500;
+    }
+
+    /**
+     * Compute the wait before the next attempt
+     * @param {TransportError} error - Failure of the previous attempt
+     * @param {number} attempt - Zero-based attempt number that failed
+     * @returns {number|null} Delay in milliseconds, or null when retrying is pointless
+     */
+    getRetryDelay(error, attempt) {
+        const retryAfter = this.parseRetryAfter(error.headers?.get?.('Retry-After'));
+        if (retryAfter !== null) {
+            return retryAfter <= this.maxRetryAfter ? retryAfter : null;
+        }
+
+        // Full jitter: a random wait between 0 and the exponential cap
+        const cap = Math.min(this.maxDelay, this.baseDelay * 2 ** attempt);
+        return Math.round(Math.random() * cap);
+    }
+
+    /**
+     * Parse a `Retry-After` header given in seconds or as an HTTP date
+     * @param {string|null} value - Header value
+     * @returns {number|null} Delay in milliseconds
+     */
+    parseRetryAfter(value) {
+        if (!value) return null;
+        if (/^\d+$/.test(value.trim())) {
+            return Number(value) * 1000;
+        }
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Wait for a delay, rejecting early if the request is aborted
+     * @param {number} ms - Delay in milliseconds
+     * @param {AbortSignal} signal - Caller-provided abort signal
+     * @returns {Promise<void>}
+     */
+    sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException('The operation was aborted.', 'AbortError'));
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('The operation was aborted.', 'AbortError'));
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Group requests by method and path, with numeric IDs collapsed (`GET /users/:id`)
+     * @param {string} method - HTTP method
+     * @param {string} path - Request path
+     * @returns {string} Endpoint key
+     */
+    getEndpointKey(method, path) {
+        return `${method} ${path.replace(/\/\d+(?=\/|$)/g, '/:id')}`;
+    }
+
+    /**
+     * Return the breaker for an endpoint, creating it on first use
+     * @param {string} endpoint - Endpoint key
+     * @returns {CircuitBreaker}
+     */
+    getBreaker(endpoint) {
+        if (!this.breakers.has(endpoint)) {
+            this.breakers.set(endpoint, new CircuitBreaker(this.breakerOptions));
+        }
+        return this.breakers.get(endpoint);
+    }
+
+    /**
+     * Apply a breaker transition and notify subscribers if its state changed
+     * @param {string} endpoint - Endpoint key
+     * @param {CircuitBreaker} breaker - Breaker to update
+     * @param {Function} transition - Mutates the breaker
+     */
+    updateBreaker(endpoint, breaker, transition) {
+        const previousState = breaker.state;
+        transition();
+        if (breaker.state !== previousState) {
+            this.notifySubscribers(this.getStatus());
+        }
+    }
+
+    /**
+     * Overall health plus the state of every endpoint seen so far
+     * @returns {{degraded: boolean, endpoints: Array<Object>}}
+     */
+    getStatus() {
+        const endpoints = Array.from(this.breakers.entries()).map(([endpoint, breaker]) => ({
+            endpoint,
+            ...breaker.getState()
+        }));
+        return {
+            degraded: endpoints.some(item => item.state !== 'closed'),
+            endpoints
+        };
+    }
+
+    /**
+     * Subscribe to breaker state changes
+     * @param {Function} callback - Called with the status returned by getStatus()
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(callback) {
+        this.subscribers.add(callback);
+
+        return () => {
+            this.subscribers.delete(callback);
+        };
+    }
+
+    /**
+     * Notify subscribers of a status change
+     * @param {Object} status - Current status
+     */
+    notifySubscribers(status) {
+        this.subscribers.forEach(callback => {
+            try {
+                callback(status);
+            } catch (error) {
+                console.error('Error in service status subscriber callback:', error);
+            }
+        });
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TransportError,
+        HttpTransport,
+        MockTransport,
+        CircuitBreaker,
+        ResilientTransport
+    };
+}